@@ -0,0 +1,188 @@
+// AWS Security Training - delivery analytics core
+// Session records, aggregation and report formats shared by the deck's recorder (analytics-recorder.js)
+// and the dashboard page (analytics.html).
+//
+// A session is one delivery of the deck in one browser tab:
+//   { id, startedAt, endedAt, locale, slides: { slug: stats }, events: [ … ] }
+//   stats:  { views, dwellMs, tab, accordion, control, answers, correct }
+//   events: { at, type: 'view', slug, from }                       navigation to a slide
+//           { at, type: 'interaction', slug, kind, label }         kind: tab | accordion | control
+//           { at, type: 'quiz', slug, quizId, questionId, correct } quiz answer
+// `at` is milliseconds since the session started. Dwell time only counts while the deck tab is visible.
+// Sessions are kept in localStorage, newest first; reports are JSON ({ version, generatedAt, sessions })
+// or CSV with one row per session and slide.
+// Loaded as a plain <script> in the browser (window.DeckAnalytics) and via require() from Node.
+(function (root) {
+    const STORAGE_KEY = 'aws-security-analytics';
+    const REPORT_VERSION = 1;
+    const MAX_SESSIONS = 50;
+    const MAX_EVENTS = 2000;
+    const INTERACTION_KINDS = ['tab', 'accordion', 'control'];
+    const CSV_COLUMNS = ['session', 'started_at', 'locale', 'slide', 'slug', 'title', 'section', 'views', 'revisits',
+        'dwell_seconds', 'tab_clicks', 'accordion_clicks', 'control_clicks', 'quiz_answers', 'quiz_correct'];
+
+    function createSession({ locale = null, now = Date.now() } = {}) {
+        return {
+            id: `s-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            startedAt: new Date(now).toISOString(),
+            endedAt: new Date(now).toISOString(),
+            locale,
+            slides: {},
+            events: []
+        };
+    }
+
+    function getSlideStats(session, slug) {
+        if (!session.slides[slug]) {
+            session.slides[slug] = { views: 0, dwellMs: 0, tab: 0, accordion: 0, control: 0, answers: 0, correct: 0 };
+        }
+        return session.slides[slug];
+    }
+
+    // Appends an event and updates the per-slide counters; `now` is a timestamp in milliseconds
+    function recordEvent(session, event, now = Date.now()) {
+        const stats = getSlideStats(session, event.slug);
+        if (event.type === 'view') stats.views += 1;
+        if (event.type === 'interaction' && INTERACTION_KINDS.includes(event.kind)) stats[event.kind] += 1;
+        if (event.type === 'quiz') {
+            stats.answers += 1;
+            if (event.correct) stats.correct += 1;
+        }
+
+        // The counters stay exact when a very long session stops logging individual events
+        if (session.events.length < MAX_EVENTS) {
+            session.events.push(Object.assign({ at: now - Date.parse(session.startedAt) }, event));
+        }
+        session.endedAt = new Date(now).toISOString();
+    }
+
+    function addDwell(session, slug, ms, now = Date.now()) {
+        if (!slug || ms <= 0) return;
+        getSlideStats(session, slug).dwellMs += Math.round(ms);
+        session.endedAt = new Date(now).toISOString();
+    }
+
+    function loadSessions(storage = root.localStorage) {
+        try {
+            const sessions = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(sessions) ? sessions : [];
+        } catch (err) {
+            return []; // storage disabled or corrupt
+        }
+    }
+
+    // Newest first; a session saved again (same id) replaces its earlier copy
+    function saveSession(session, storage = root.localStorage) {
+        const sessions = [session].concat(loadSessions(storage).filter(item => item.id !== session.id))
+            .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt))
+            .slice(0, MAX_SESSIONS);
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+            return true;
+        } catch (err) {
+            return false; // quota exceeded or storage disabled
+        }
+    }
+
+    function clearSessions(storage = root.localStorage) {
+        try {
+            storage.removeItem(STORAGE_KEY);
+        } catch (err) {
+            // nothing stored
+        }
+    }
+
+    function toReport(sessions, now = Date.now()) {
+        return { version: REPORT_VERSION, generatedAt: new Date(now).toISOString(), sessions };
+    }
+
+    // Sessions from an imported file: a report, a list of sessions or a single session
+    function readReport(data) {
+        const sessions = Array.isArray(data) ? data : data && Array.isArray(data.sessions) ? data.sessions : [data];
+        return sessions.filter(session => session && typeof session.id === 'string' && session.slides && typeof session.slides === 'object');
+    }
+
+    function getSessionDwellMs(session) {
+        return Object.values(session.slides).reduce((sum, stats) => sum + (stats.dwellMs || 0), 0);
+    }
+
+    // Totals across sessions per slide and section, in manifest order:
+    // { sessions, dwellMs, slides: [{ number, slug, title, section, views, revisits, dwellMs, avgMs, interactions, answers, correct }],
+    //   sections: [{ key, name, dwellMs, avgMs, share }] }
+    function summarize(sessions, manifest) {
+        const count = sessions.length;
+        const slides = manifest.slides.map((slide, index) => {
+            const totals = { views: 0, revisits: 0, dwellMs: 0, interactions: 0, answers: 0, correct: 0 };
+            sessions.forEach(session => {
+                const stats = session.slides[slide.slug];
+                if (!stats) return;
+                totals.views += stats.views || 0;
+                totals.revisits += Math.max(0, (stats.views || 0) - 1);
+                totals.dwellMs += stats.dwellMs || 0;
+                totals.interactions += INTERACTION_KINDS.reduce((sum, kind) => sum + (stats[kind] || 0), 0);
+                totals.answers += stats.answers || 0;
+                totals.correct += stats.correct || 0;
+            });
+            return Object.assign({ number: index + 1, slug: slide.slug, title: slide.title, section: slide.section }, totals,
+                { avgMs: count ? totals.dwellMs / count : 0 });
+        });
+
+        const dwellMs = slides.reduce((sum, slide) => sum + slide.dwellMs, 0);
+        const sections = manifest.sections.map(section => {
+            const sectionMs = slides.filter(slide => slide.section === section.key).reduce((sum, slide) => sum + slide.dwellMs, 0);
+            return {
+                key: section.key,
+                name: section.name,
+                dwellMs: sectionMs,
+                avgMs: count ? sectionMs / count : 0,
+                share: dwellMs ? sectionMs / dwellMs : 0
+            };
+        });
+
+        return { sessions: count, dwellMs, slides, sections };
+    }
+
+    function csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // One row per session and slide that was shown in it
+    function toCSV(sessions, manifest) {
+        const rows = [CSV_COLUMNS];
+        sessions.forEach(session => {
+            manifest.slides.forEach((slide, index) => {
+                const stats = session.slides[slide.slug];
+                if (!stats) return;
+                rows.push([
+                    session.id, session.startedAt, session.locale, index + 1, slide.slug, slide.title, slide.section,
+                    stats.views, Math.max(0, stats.views - 1), (stats.dwellMs / 1000).toFixed(1),
+                    stats.tab, stats.accordion, stats.control, stats.answers, stats.correct
+                ]);
+            });
+        });
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    const DeckAnalytics = {
+        STORAGE_KEY,
+        createSession,
+        getSlideStats,
+        recordEvent,
+        addDwell,
+        loadSessions,
+        saveSession,
+        clearSessions,
+        toReport,
+        readReport,
+        getSessionDwellMs,
+        summarize,
+        toCSV
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckAnalytics;
+    } else {
+        root.DeckAnalytics = DeckAnalytics;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,241 @@
+// AWS Security Training - analytics dashboard
+// Runs in analytics.html and shows the sessions recorded by the deck (analytics-recorder.js) in this
+// browser: time per section and slide, revisits, interactions and quiz answers. Sessions are exported as
+// JSON or CSV reports (analytics-core.js), and JSON reports from other machines can be imported to
+// combine several deliveries. The page refreshes when the deck saves a session in another tab.
+class AnalyticsDashboard {
+    constructor(manifest = window.DECK_MANIFEST) {
+        this.manifest = manifest;
+        this.sessions = [];
+
+        this.status = document.getElementById('analyticsStatus');
+        this.sessionCount = document.getElementById('sessionCount');
+        this.totalTime = document.getElementById('totalTime');
+        this.averageTime = document.getElementById('averageTime');
+        this.sectionTable = document.getElementById('sectionTable');
+        this.slideTable = document.getElementById('slideTable');
+        this.sessionTable = document.getElementById('sessionTable');
+
+        this.init();
+    }
+
+    init() {
+        DeckI18n.applyTranslations(document);
+
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportJSON(this.sessions));
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportCSV(this.sessions));
+        document.getElementById('importInput').addEventListener('change', (e) => this.importFiles(e.target));
+        document.getElementById('clearBtn').addEventListener('click', () => this.clear());
+        window.addEventListener('storage', (e) => {
+            if (e.key === DeckAnalytics.STORAGE_KEY) this.render();
+        });
+
+        this.render();
+    }
+
+    render() {
+        this.sessions = DeckAnalytics.loadSessions();
+        const summary = DeckAnalytics.summarize(this.sessions, this.manifest);
+
+        this.sessionCount.textContent = summary.sessions;
+        this.totalTime.textContent = formatClock(summary.dwellMs);
+        this.averageTime.textContent = formatClock(summary.sessions ? summary.dwellMs / summary.sessions : 0);
+
+        this.renderSections(summary);
+        this.renderSlides(summary);
+        this.renderSessions();
+    }
+
+    renderSections(summary) {
+        if (!summary.dwellMs) {
+            this.showEmpty(this.sectionTable);
+            return;
+        }
+
+        this.fillTable(this.sectionTable, [
+            DeckI18n.t('analytics.section'),
+            DeckI18n.t('analytics.average'),
+            DeckI18n.t('analytics.total'),
+            DeckI18n.t('analytics.share')
+        ], summary.sections.map(section => [
+            { text: this.getSectionName(section.key) },
+            { text: formatClock(section.avgMs) },
+            { text: formatClock(section.dwellMs) },
+            { share: section.share }
+        ]));
+    }
+
+    // Slides shown in at least one session, longest average dwell first
+    renderSlides(summary) {
+        const slides = summary.slides.filter(slide => slide.views || slide.dwellMs).sort((a, b) => b.avgMs - a.avgMs);
+        if (!slides.length) {
+            this.showEmpty(this.slideTable);
+            return;
+        }
+
+        this.fillTable(this.slideTable, [
+            DeckI18n.t('analytics.slide'),
+            DeckI18n.t('analytics.section'),
+            DeckI18n.t('analytics.average'),
+            DeckI18n.t('analytics.total'),
+            DeckI18n.t('analytics.views'),
+            DeckI18n.t('analytics.revisits'),
+            DeckI18n.t('analytics.interactions'),
+            DeckI18n.t('analytics.quiz')
+        ], slides.map(slide => [
+            { text: `${slide.number}. ${DeckI18n.localize(this.manifest.slides[slide.number - 1]).title}` },
+            { text: this.getSectionName(slide.section), className: 'text' },
+            { text: formatClock(slide.avgMs) },
+            { text: formatClock(slide.dwellMs) },
+            { text: slide.views },
+            { text: slide.revisits },
+            { text: slide.interactions },
+            { text: slide.answers ? `${slide.correct}/${slide.answers}` : '–' }
+        ]));
+    }
+
+    renderSessions() {
+        if (!this.sessions.length) {
+            this.showEmpty(this.sessionTable);
+            return;
+        }
+
+        this.fillTable(this.sessionTable, [
+            DeckI18n.t('analytics.started'),
+            DeckI18n.t('analytics.language'),
+            DeckI18n.t('analytics.slides'),
+            DeckI18n.t('analytics.total'),
+            DeckI18n.t('analytics.export')
+        ], this.sessions.map(session => [
+            { text: formatDate(session.startedAt) },
+            { text: (session.locale || '–').toUpperCase() },
+            { text: Object.keys(session.slides).length },
+            { text: formatClock(DeckAnalytics.getSessionDwellMs(session)) },
+            { actions: [
+                { text: 'JSON', onClick: () => this.exportJSON([session], session.id) },
+                { text: 'CSV', onClick: () => this.exportCSV([session], session.id) }
+            ] }
+        ]));
+    }
+
+    // Cells are { text, className }, { share } for a bar with a percentage or { actions } for buttons
+    fillTable(container, headings, rows) {
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        headings.forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const row = body.insertRow();
+            cells.forEach(({ text, className, share, actions }) => {
+                const cell = row.insertCell();
+                if (className) cell.className = className;
+                if (share !== undefined) {
+                    const bar = document.createElement('span');
+                    bar.className = 'analytics-bar';
+                    bar.style.width = `${Math.round(share * 120)}px`;
+                    cell.append(bar, `${Math.round(share * 100)}%`);
+                } else if (actions) {
+                    actions.forEach(action => {
+                        const button = document.createElement('button');
+                        button.className = 'btn btn--secondary btn--sm';
+                        button.textContent = action.text;
+                        button.addEventListener('click', action.onClick);
+                        cell.appendChild(button);
+                    });
+                } else {
+                    cell.textContent = text;
+                }
+            });
+        });
+
+        container.innerHTML = '';
+        container.appendChild(table);
+    }
+
+    showEmpty(container) {
+        container.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'analytics-empty';
+        message.textContent = DeckI18n.t('analytics.empty');
+        container.appendChild(message);
+    }
+
+    getSectionName(key) {
+        const section = this.manifest.sections.find(item => item.key === key);
+        return section ? DeckI18n.localize(section).name : key;
+    }
+
+    exportJSON(sessions, name = getReportName()) {
+        downloadFile(`${name}.json`, 'application/json', JSON.stringify(DeckAnalytics.toReport(sessions), null, 2));
+    }
+
+    exportCSV(sessions, name = getReportName()) {
+        downloadFile(`${name}.csv`, 'text/csv', DeckAnalytics.toCSV(sessions, this.manifest));
+    }
+
+    // Adds the sessions of JSON reports; a session that is already stored is replaced
+    async importFiles(input) {
+        let imported = 0;
+        for (const file of Array.from(input.files)) {
+            try {
+                const sessions = DeckAnalytics.readReport(JSON.parse(await file.text()));
+                sessions.forEach(session => {
+                    if (DeckAnalytics.saveSession(session)) imported += 1;
+                });
+            } catch (err) {
+                console.warn(`Analytics import failed for ${file.name}:`, err);
+            }
+        }
+
+        input.value = '';
+        this.status.textContent = DeckI18n.t('analytics.imported', { count: imported });
+        this.render();
+    }
+
+    clear() {
+        if (!this.sessions.length || !window.confirm(DeckI18n.t('analytics.clearConfirm'))) return;
+        DeckAnalytics.clearSessions();
+        this.status.textContent = '';
+        this.render();
+    }
+}
+
+// Format milliseconds as H:MM:SS / MM:SS
+function formatClock(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours ? `${hours}:${mmss}` : mmss;
+}
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleString(DeckI18n.getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function getReportName() {
+    return `aws-security-analytics-${new Date().toISOString().slice(0, 10)}`;
+}
+
+function downloadFile(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+let analyticsDashboard;
+
+document.addEventListener('DOMContentLoaded', () => {
+    analyticsDashboard = new AnalyticsDashboard();
+});
@@ -0,0 +1,98 @@
+// AWS Security Training - delivery analytics recorder
+// Records each delivery as a session (analytics-core.js) in localStorage: every slide navigation and revisit,
+// the time spent on each slide while the deck tab is visible, tab/accordion/canvas control clicks
+// (`slide-interaction` from app.js) and quiz answers (`quiz-answered` from quiz-client.js).
+// analytics.html shows the recorded sessions and exports them as JSON or CSV. Preview frames do not record.
+const ANALYTICS_SAVE_DELAY = 1000;
+
+class AnalyticsRecorder {
+    constructor(presentation, { storage = window.localStorage } = {}) {
+        this.presentation = presentation;
+        this.storage = storage;
+        this.session = DeckAnalytics.createSession({ locale: DeckI18n.getLocale() });
+        this.slug = null;        // slide being timed
+        this.enteredAt = null;   // start of the current dwell interval; null while the tab is hidden
+        this.saveTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('slide-activated', (e) => this.enter(e.detail.slide));
+        window.addEventListener('slide-interaction', (e) => {
+            const { slide, kind, label } = e.detail;
+            this.record({ type: 'interaction', slug: this.getSlug(slide), kind, label });
+        });
+        window.addEventListener('quiz-answered', (e) => {
+            const { quizId, questionId, correct } = e.detail;
+            this.record({ type: 'quiz', slug: this.slug, quizId, questionId, correct });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.save();
+                this.enteredAt = null;
+            } else if (this.slug) {
+                this.enteredAt = Date.now();
+            }
+        });
+        window.addEventListener('pagehide', () => this.save());
+
+        // The first slide may be active before the recorder exists
+        this.presentation.ready.then(() => this.enter(this.presentation.currentSlide));
+    }
+
+    getSlug(slideNumber) {
+        const entry = this.presentation.manifest.slides[slideNumber - 1];
+        return entry ? entry.slug : null;
+    }
+
+    // A new view of a slide; remounting the current slide (e.g. after a language switch) is not a view
+    enter(slideNumber) {
+        const slug = this.getSlug(slideNumber);
+        if (!slug || slug === this.slug) return;
+
+        const now = Date.now();
+        this.bookDwell(now);
+        DeckAnalytics.recordEvent(this.session, { type: 'view', slug, from: this.slug }, now);
+        this.slug = slug;
+        this.enteredAt = document.hidden ? null : now;
+        this.save();
+    }
+
+    record(event) {
+        if (!event.slug) return;
+        DeckAnalytics.recordEvent(this.session, event);
+        this.scheduleSave();
+    }
+
+    // Adds the time since the last booking to the current slide
+    bookDwell(now = Date.now()) {
+        if (!this.slug || this.enteredAt === null) return;
+        DeckAnalytics.addDwell(this.session, this.slug, now - this.enteredAt, now);
+        this.enteredAt = now;
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), ANALYTICS_SAVE_DELAY);
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        if (!this.slug) return;
+        this.bookDwell();
+        DeckAnalytics.saveSession(this.session, this.storage);
+    }
+
+    // Recorded stats of a slide in this session, including the time on it so far
+    getSlideStats(slideNumber = this.presentation.currentSlide) {
+        const slug = this.getSlug(slideNumber);
+        this.bookDwell();
+        return Object.assign({ slug }, this.session.slides[slug]);
+    }
+
+    getSession() {
+        this.bookDwell();
+        return this.session;
+    }
+}
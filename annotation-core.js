@@ -0,0 +1,134 @@
+// AWS Security Training - slide annotations core
+// Stroke format and storage shared by the deck's annotation layer (annotation-layer.js) and the PDF export
+// (scripts/export-to-pdf.js --annotations).
+//
+// Annotations are kept per slide slug, so they stay on their slide when the deck is reordered:
+//   { version, updatedAt, slides: { slug: [stroke] } }
+//   stroke: { tool: 'pen' | 'highlighter', color, width, points: [[x, y], …] }
+// Points are fractions of the slide area (0–1 across and down) and `width` a fraction of its width, so the
+// same strokes fit the projector, the presenter's previews and an attendee's laptop. The laser pointer is
+// never stored. The store lives in localStorage; the exported file (annotations.json) has the same shape.
+// Loaded as a plain <script> in the browser (window.DeckAnnotations) and via require() from Node.
+(function (root) {
+    const STORAGE_KEY = 'aws-security-annotations';
+    const STORE_VERSION = 1;
+    // Drawing tools: width as a fraction of the slide width, opacity, default color
+    const TOOLS = {
+        pen: { width: 0.003, alpha: 1, color: '#E53935' },
+        highlighter: { width: 0.016, alpha: 0.35, color: '#FFEB3B' }
+    };
+    const COLORS = ['#E53935', '#FF9900', '#FFEB3B', '#43A047', '#1E88E5', '#212121'];
+    // Points closer than this to the previous one are dropped while drawing
+    const MIN_POINT_DISTANCE = 0.002;
+
+    function createStore() {
+        return { version: STORE_VERSION, updatedAt: null, slides: {} };
+    }
+
+    // A parsed store or exported file; unusable strokes are dropped
+    function readStore(data) {
+        const store = createStore();
+        if (!data || typeof data.slides !== 'object' || data.slides === null) return store;
+
+        Object.keys(data.slides).forEach(slug => {
+            const strokes = (Array.isArray(data.slides[slug]) ? data.slides[slug] : []).filter(isStroke);
+            if (strokes.length) store.slides[slug] = strokes;
+        });
+        store.updatedAt = data.updatedAt || null;
+        return store;
+    }
+
+    function isStroke(stroke) {
+        return Boolean(stroke && TOOLS[stroke.tool] && Array.isArray(stroke.points) && stroke.points.length &&
+            stroke.points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)));
+    }
+
+    function loadStore(storage = root.localStorage) {
+        try {
+            return readStore(JSON.parse(storage.getItem(STORAGE_KEY) || 'null'));
+        } catch (err) {
+            return createStore(); // storage disabled or corrupt
+        }
+    }
+
+    function saveStore(store, storage = root.localStorage) {
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(store));
+            return true;
+        } catch (err) {
+            return false; // quota exceeded or storage disabled
+        }
+    }
+
+    function getStrokes(store, slug) {
+        return store.slides[slug] || [];
+    }
+
+    function setStrokes(store, slug, strokes, now = Date.now()) {
+        if (strokes.length) {
+            store.slides[slug] = strokes;
+        } else {
+            delete store.slides[slug];
+        }
+        store.updatedAt = new Date(now).toISOString();
+    }
+
+    function createStroke(tool, color, point) {
+        return { tool, color: color || TOOLS[tool].color, width: TOOLS[tool].width, points: [roundPoint(point)] };
+    }
+
+    // Adds a point to a stroke being drawn; returns false when it is too close to the last one to matter
+    function addPoint(stroke, point) {
+        const last = stroke.points[stroke.points.length - 1];
+        if (Math.hypot(point[0] - last[0], point[1] - last[1]) < MIN_POINT_DISTANCE) return false;
+        stroke.points.push(roundPoint(point));
+        return true;
+    }
+
+    function roundPoint([x, y]) {
+        return [Math.round(x * 10000) / 10000, Math.round(y * 10000) / 10000];
+    }
+
+    // Whether a point passes within `radius` pixels of a stroke drawn at `size` ({ width, height } in pixels)
+    function isNearStroke(stroke, point, radius, size) {
+        const toPixels = ([x, y]) => [x * size.width, y * size.height];
+        const [px, py] = toPixels(point);
+        const reach = radius + (stroke.width * size.width) / 2;
+        const pixels = stroke.points.map(toPixels);
+
+        if (pixels.length === 1) return Math.hypot(px - pixels[0][0], py - pixels[0][1]) <= reach;
+        for (let i = 1; i < pixels.length; i++) {
+            if (distanceToSegment(px, py, pixels[i - 1], pixels[i]) <= reach) return true;
+        }
+        return false;
+    }
+
+    function distanceToSegment(px, py, [ax, ay], [bx, by]) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    }
+
+    const DeckAnnotations = {
+        STORAGE_KEY,
+        TOOLS,
+        COLORS,
+        createStore,
+        readStore,
+        loadStore,
+        saveStore,
+        getStrokes,
+        setStrokes,
+        createStroke,
+        addPoint,
+        isNearStroke
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckAnnotations;
+    } else {
+        root.DeckAnnotations = DeckAnnotations;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,422 @@
+// AWS Security Training - annotation layer
+// Pen, highlighter, laser pointer and eraser over the current slide, for fragment and iframe slides alike:
+// while a tool is picked the layer above .slide-container takes the pointer, otherwise clicks go through to
+// the slide. Strokes are saved per slide (annotation-core.js) and come back whenever the slide is shown;
+// 🗑️ clears the slide, 👁️ hides or shows all annotations, ⬇️ saves annotations.json for the PDF export.
+// Keys: P pen, H highlighter, L laser, E eraser (the same key or Esc puts the tool down), V hide/show and,
+// with the toolbar open, X clears the slide.
+// Drawing is mirrored stroke by stroke to the presenter window's previews (BroadcastChannel) and, in a live
+// session, to the attendees through the live server. Previews and attendees show annotations read-only.
+const ANNOTATION_CHANNEL = 'aws-security-annotations';
+const ANNOTATION_TOOLS = ['pen', 'highlighter', 'laser', 'eraser'];
+const ANNOTATION_KEYS = { p: 'pen', h: 'highlighter', l: 'laser', e: 'eraser' };
+const ANNOTATION_ICONS = { pen: '🖊️', highlighter: '🖍️', laser: '🔴', eraser: '🧽' };
+// Strokes being drawn and the laser are mirrored at most this often
+const ANNOTATION_MIRROR_MS = 40;
+// Eraser reach in pixels
+const ANNOTATION_ERASER_RADIUS = 12;
+
+class AnnotationLayer {
+    // readOnly: shows annotations drawn elsewhere (preview frames, attendees);
+    // local: starts from this browser's saved annotations (false for attendees, who get the presenter's)
+    constructor(presentation, { readOnly = false, local = true } = {}) {
+        this.presentation = presentation;
+        this.readOnly = readOnly;
+        this.store = local ? DeckAnnotations.loadStore() : DeckAnnotations.createStore();
+        this.tool = null;
+        this.colors = { pen: DeckAnnotations.TOOLS.pen.color, highlighter: DeckAnnotations.TOOLS.highlighter.color };
+        this.hidden = false;
+        this.draft = null;          // stroke being drawn here
+        this.remoteDraft = null;    // { slug, stroke } being drawn in the presenting window
+        this.erased = false;
+        this.live = null;
+        this.lastMirror = 0;
+        this.mirrorTimer = null;
+
+        this.container = document.querySelector('.slide-container');
+        this.createLayer();
+        if (!readOnly) this.createToolbar();
+        this.init();
+    }
+
+    init() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(ANNOTATION_CHANNEL);
+            this.channel.addEventListener('message', (e) => this.receive(e.data || {}));
+        }
+
+        window.addEventListener('slide-activated', () => {
+            this.draft = null;
+            this.moveLaser(null);
+            this.render();
+        });
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.resize()).observe(this.container);
+        } else {
+            window.addEventListener('resize', () => this.resize());
+        }
+        this.resize();
+
+        if (this.readOnly) return;
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointerleave', () => {
+            if (this.tool === 'laser') this.pointLaser(null);
+        });
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        window.addEventListener('locale-changed', () => this.translate());
+    }
+
+    // Attendees get the presenter's annotations; the presenter's deck sends them
+    connectLive(liveSession) {
+        this.live = liveSession;
+        liveSession.on('annotations', (message) => this.receive(message));
+        liveSession.on('laser', (message) => this.receive(message));
+        // Sent to the presenter after connecting: attendees get the annotations saved before the session
+        liveSession.on('annotations-sync', () => {
+            this.publish({ type: 'annotations', slides: this.store.slides, all: true, draft: null, hidden: this.hidden });
+        });
+    }
+
+    createLayer() {
+        this.layer = document.createElement('div');
+        this.layer.className = 'annotation-layer';
+        this.layer.innerHTML = '<canvas class="annotation-canvas"></canvas><div class="annotation-laser" hidden></div>';
+        this.container.appendChild(this.layer);
+
+        this.canvas = this.layer.querySelector('.annotation-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.laser = this.layer.querySelector('.annotation-laser');
+    }
+
+    createToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'annotation-toolbar';
+        this.toolbar.setAttribute('role', 'toolbar');
+        this.toolbar.innerHTML = `
+            <button type="button" class="annotation-toggle" aria-expanded="false" data-i18n-title="annotate.toolbar">✏️</button>
+            <div class="annotation-tools" hidden>
+                ${ANNOTATION_TOOLS.map(tool => `<button type="button" data-tool="${tool}" aria-pressed="false" data-i18n-title="annotate.${tool}">${ANNOTATION_ICONS[tool]}</button>`).join('')}
+                <div class="annotation-colors">
+                    ${DeckAnnotations.COLORS.map(color => `<button type="button" data-color="${color}" style="--swatch: ${color}" aria-label="${color}"></button>`).join('')}
+                </div>
+                <button type="button" data-action="visibility" aria-pressed="false" data-i18n-title="annotate.hide">👁️</button>
+                <button type="button" data-action="clear" data-i18n-title="annotate.clear">🗑️</button>
+                <button type="button" data-action="export" data-i18n-title="annotate.export">⬇️</button>
+            </div>`;
+        document.body.appendChild(this.toolbar);
+
+        this.toggleBtn = this.toolbar.querySelector('.annotation-toggle');
+        this.tools = this.toolbar.querySelector('.annotation-tools');
+        this.toggleBtn.addEventListener('click', () => this.setOpen(this.tools.hidden));
+        this.toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.dataset.tool) this.selectTool(this.tool === button.dataset.tool ? null : button.dataset.tool);
+            if (button.dataset.color) this.setColor(button.dataset.color);
+            if (button.dataset.action === 'visibility') this.setHidden(!this.hidden);
+            if (button.dataset.action === 'clear') this.clearSlide();
+            if (button.dataset.action === 'export') this.exportFile();
+        });
+        this.translate();
+    }
+
+    translate() {
+        DeckI18n.applyTranslations(this.toolbar);
+        this.toolbar.setAttribute('aria-label', DeckI18n.t('annotate.toolbar'));
+        this.toolbar.querySelectorAll('[data-tool]').forEach(button => {
+            button.setAttribute('aria-label', button.title);
+        });
+        this.updateToolbar();
+    }
+
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || isAnnotationTypingTarget(e.target)) return;
+        const key = e.key.toLowerCase();
+
+        if (ANNOTATION_KEYS[key]) {
+            e.preventDefault();
+            this.selectTool(this.tool === ANNOTATION_KEYS[key] ? null : ANNOTATION_KEYS[key]);
+        } else if (key === 'escape' && this.tool) {
+            this.selectTool(null);
+        } else if (key === 'x' && !this.tools.hidden) {
+            e.preventDefault();
+            this.clearSlide();
+        } else if (key === 'v') {
+            e.preventDefault();
+            this.setHidden(!this.hidden);
+        }
+    }
+
+    setOpen(open) {
+        this.tools.hidden = !open;
+        this.toggleBtn.setAttribute('aria-expanded', String(open));
+        if (!open) this.selectTool(null);
+    }
+
+    // null puts the tool down: the slide gets its clicks back
+    selectTool(tool) {
+        if (tool && this.tools.hidden) this.setOpen(true);
+        if (this.tool === 'laser') this.pointLaser(null);
+        this.tool = tool;
+        // Drawing on hidden annotations would be invisible
+        if (tool && this.hidden) this.setHidden(false);
+        this.layer.classList.toggle('drawing', Boolean(tool));
+        this.layer.dataset.tool = tool || '';
+        this.updateToolbar();
+    }
+
+    setColor(color) {
+        const tool = this.tool === 'highlighter' ? 'highlighter' : 'pen';
+        this.colors[tool] = color;
+        if (this.tool !== tool) this.selectTool(tool);
+        this.updateToolbar();
+    }
+
+    setHidden(hidden) {
+        this.hidden = hidden;
+        this.render();
+        this.publish({ type: 'annotations', slides: {}, draft: null, hidden });
+        if (this.toolbar) this.updateToolbar();
+    }
+
+    updateToolbar() {
+        if (!this.toolbar) return;
+        this.toolbar.querySelectorAll('[data-tool]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.tool === this.tool));
+        });
+        const color = this.colors[this.tool === 'highlighter' ? 'highlighter' : 'pen'];
+        this.toolbar.querySelectorAll('[data-color]').forEach(button => {
+            button.classList.toggle('selected', button.dataset.color === color);
+        });
+        const visibility = this.toolbar.querySelector('[data-action="visibility"]');
+        visibility.setAttribute('aria-pressed', String(this.hidden));
+        visibility.title = DeckI18n.t(this.hidden ? 'annotate.show' : 'annotate.hide');
+        this.toggleBtn.classList.toggle('active', Boolean(this.tool));
+    }
+
+    getSlug() {
+        const entry = this.presentation.getSlideEntry(this.presentation.currentSlide);
+        return entry ? entry.slug : null;
+    }
+
+    // Pointer position as fractions of the slide area
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        return [
+            Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+            Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height))
+        ];
+    }
+
+    handlePointerDown(e) {
+        const point = this.getPoint(e);
+        if (!this.tool || !point || e.button > 0) return;
+        e.preventDefault();
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+
+        if (this.tool === 'pen' || this.tool === 'highlighter') {
+            this.draft = DeckAnnotations.createStroke(this.tool, this.colors[this.tool], point);
+            this.render();
+            this.mirrorDraft();
+        } else if (this.tool === 'eraser') {
+            this.erased = false;
+            this.eraseAt(point);
+        } else if (this.tool === 'laser') {
+            this.pointLaser(point);
+        }
+    }
+
+    handlePointerMove(e) {
+        const point = this.getPoint(e);
+        if (!this.tool || !point) return;
+
+        if (this.draft) {
+            if (DeckAnnotations.addPoint(this.draft, point)) {
+                this.render();
+                this.mirrorDraft();
+            }
+        } else if (this.tool === 'eraser' && e.buttons) {
+            this.eraseAt(point);
+        } else if (this.tool === 'laser') {
+            // The laser follows the pointer without a button pressed, like a real one
+            this.pointLaser(point);
+        }
+    }
+
+    handlePointerUp() {
+        if (this.draft) {
+            const strokes = DeckAnnotations.getStrokes(this.store, this.getSlug()).concat([this.draft]);
+            this.draft = null;
+            this.commit(strokes);
+        } else if (this.erased) {
+            this.erased = false;
+            this.commit(DeckAnnotations.getStrokes(this.store, this.getSlug()));
+        }
+    }
+
+    // Strokes under the eraser go at once; the slide is saved when the pointer is released
+    eraseAt(point) {
+        const slug = this.getSlug();
+        const size = { width: this.canvas.clientWidth, height: this.canvas.clientHeight };
+        const strokes = DeckAnnotations.getStrokes(this.store, slug);
+        const kept = strokes.filter(stroke => !DeckAnnotations.isNearStroke(stroke, point, ANNOTATION_ERASER_RADIUS, size));
+        if (kept.length === strokes.length) return;
+
+        DeckAnnotations.setStrokes(this.store, slug, kept);
+        this.erased = true;
+        this.render();
+        this.publish({ type: 'annotations', slides: { [slug]: kept }, draft: null, hidden: this.hidden });
+    }
+
+    clearSlide() {
+        const slug = this.getSlug();
+        if (!slug || !DeckAnnotations.getStrokes(this.store, slug).length) return;
+        this.commit([]);
+    }
+
+    commit(strokes) {
+        const slug = this.getSlug();
+        DeckAnnotations.setStrokes(this.store, slug, strokes);
+        if (!DeckAnnotations.saveStore(this.store)) {
+            console.warn('Annotations could not be saved (storage full or disabled)');
+        }
+        this.render();
+        clearTimeout(this.mirrorTimer);
+        this.mirrorTimer = null;
+        this.publish({ type: 'annotations', slides: { [slug]: strokes }, draft: null, hidden: this.hidden });
+    }
+
+    // Stroke in progress, throttled: the last update is always sent
+    mirrorDraft() {
+        this.throttle(() => {
+            if (this.draft) this.publish({ type: 'annotations', slides: {}, draft: { slug: this.getSlug(), stroke: this.draft }, hidden: this.hidden });
+        });
+    }
+
+    pointLaser(point) {
+        this.moveLaser(point);
+        const message = { type: 'laser', slug: this.getSlug(), point };
+        if (!point) {
+            // Always send the laser going away
+            this.publish(message);
+            return;
+        }
+        this.throttle(() => this.publish(Object.assign(message, { point: this.laserPoint })));
+    }
+
+    throttle(send) {
+        const wait = this.lastMirror + ANNOTATION_MIRROR_MS - Date.now();
+        clearTimeout(this.mirrorTimer);
+        if (wait <= 0) {
+            this.lastMirror = Date.now();
+            send();
+            return;
+        }
+        this.mirrorTimer = setTimeout(() => {
+            this.lastMirror = Date.now();
+            send();
+        }, wait);
+    }
+
+    publish(message) {
+        if (this.readOnly) return;
+        if (this.channel) this.channel.postMessage(message);
+        if (this.live && this.live.role === 'presenter') this.live.send(message);
+    }
+
+    // From the presenting window: { type: 'annotations', slides: { slug: strokes }, all, draft, hidden }
+    // (`all`: every annotated slide, the rest have none) or { type: 'laser', slug, point }
+    receive(message) {
+        if (message.type === 'annotations') {
+            if (message.all) this.store = DeckAnnotations.createStore();
+            Object.entries(message.slides || {}).forEach(([slug, strokes]) => {
+                DeckAnnotations.setStrokes(this.store, slug, strokes.filter(stroke => DeckAnnotations.TOOLS[stroke.tool]));
+            });
+            this.remoteDraft = message.draft || null;
+            if (typeof message.hidden === 'boolean') this.hidden = message.hidden;
+            this.render();
+        } else if (message.type === 'laser') {
+            this.moveLaser(message.slug === this.getSlug() ? message.point : null);
+        }
+    }
+
+    moveLaser(point) {
+        this.laserPoint = point;
+        this.laser.hidden = !point;
+        if (point) {
+            this.laser.style.left = `${point[0] * 100}%`;
+            this.laser.style.top = `${point[1] * 100}%`;
+        }
+    }
+
+    resize() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        if (this.ctx) this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.render();
+    }
+
+    render() {
+        if (!this.ctx) return;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        this.ctx.clearRect(0, 0, width, height);
+        if (this.hidden) return;
+
+        const slug = this.getSlug();
+        const strokes = DeckAnnotations.getStrokes(this.store, slug).slice();
+        if (this.draft) strokes.push(this.draft);
+        if (this.remoteDraft && this.remoteDraft.slug === slug) strokes.push(this.remoteDraft.stroke);
+        strokes.forEach(stroke => drawStroke(this.ctx, stroke, width, height));
+    }
+
+    // annotations.json for `npm run export:pdf -- --annotations=annotations.json`
+    exportFile() {
+        const blob = new Blob([JSON.stringify(this.store, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'annotations.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// Tool keys are letters, so they must not fire while typing in a form field (search palette, notes)
+function isAnnotationTypingTarget(target) {
+    return Boolean(target && target.tagName && (target.isContentEditable || ['input', 'textarea', 'select'].includes(target.tagName.toLowerCase())));
+}
+
+function drawStroke(ctx, stroke, width, height) {
+    const tool = DeckAnnotations.TOOLS[stroke.tool];
+    const lineWidth = Math.max(1, stroke.width * width);
+    const points = stroke.points.map(([x, y]) => [x * width, y * height]);
+
+    ctx.save();
+    ctx.globalAlpha = tool.alpha;
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    if (points.length === 1) {
+        ctx.arc(points[0][0], points[0][1], lineWidth / 2, 0, Math.PI * 2);
+        ctx.fill();
+    } else {
+        ctx.moveTo(points[0][0], points[0][1]);
+        points.slice(1).forEach(([x, y]) => ctx.lineTo(x, y));
+        ctx.stroke();
+    }
+    ctx.restore();
+}
@@ -1,8 +1,23 @@
- // AWS Security Training Presentation JavaScript - Updated for 28 slides with CloudFront
+// AWS Security Training Presentation JavaScript - slide order and sections come from deck-manifest.js
+
+// In-slide state kept in deep links (see deck-links.js): tabs and accordion items of the slide or its iframe page
+const SLIDE_STATE_TABS = '.tab, .tab-button, [role="tab"]';
+const SLIDE_STATE_ACCORDIONS = '.accordion-button';
+
+// Incremental reveal: elements marked data-step appear one group at a time (style.css hides .step-hidden).
+// Iframe pages opt in with the same attribute; the deck injects the rule there, so standalone they show everything.
+const STEP_SELECTOR = '[data-step]';
+const STEP_HIDDEN_CLASS = 'step-hidden';
+const STEP_FRAME_STYLE = ':where([data-step]) { transition: opacity 0.3s ease, visibility 0.3s ease; } .step-hidden { opacity: 0; visibility: hidden; }';
+
 class AWSSecurityPresentation {
-    constructor() {
+    constructor(manifest = window.DECK_MANIFEST) {
+        this.manifest = manifest;
+        // Deck language (i18n.js): slide entries carry the titles and fragments of their translation, if any
+        this.locale = DeckI18n.getLocale();
+        this.slideEntries = this.localizeSlides();
         this.currentSlide = 1;
-        this.totalSlides = 33;
+        this.totalSlides = this.slideEntries.length;
         this.slides = document.querySelectorAll('.slide');
         this.prevBtn = document.getElementById('prevBtn');
         this.nextBtn = document.getElementById('nextBtn');
@@ -12,26 +27,98 @@ class AWSSecurityPresentation {
         this.progressFill = document.getElementById('progressFill');
         this.sectionBtns = document.querySelectorAll('.section-btn');
 
-        // Updated section mapping - which slides belong to which section
-        this.sections = {
-            1: { name: 'Giới thiệu', slides: [1, 2, 3, 4, 5], duration: '20 phút' },
-            2: { name: 'IAM', slides: [6, 7, 8, 9, 10], duration: '25 phút' },
-            3: { name: 'Network', slides: [11, 12, 13, 14, 15], duration: '25 phút' },
-            4: { name: 'Data & CloudFront', slides: [16, 17, 18, 19, 20, 21, 22, 23], duration: '30 phút' },
-            5: { name: 'Monitoring', slides: [24, 25, 26], duration: '15 phút' },
-            6: { name: 'AI Guard', slides: [28, 29, 30], duration: '15 phút' },
-            7: { name: 'Best practices', slides: [31], duration: '15 phút' },
-            8: { name: 'Scenarios', slides: [32], duration: '15 phút' },
-            9: { name: '❤️', slides: [33], duration: '1 phút' }
-        };
-
-        // CloudFront specific slides for special handling
-        this.cloudfrontSlides = [20, 21, 22, 23];
+        // Section mapping derived from the manifest - which slides belong to which section
+        this.sections = this.buildSections(manifest);
+        // Planned timeline from the section budgets (rehearsal-core.js)
+        this.schedule = DeckRehearsal.buildSchedule(manifest);
+
+        // CloudFront specific slides for special handling (slides tagged 'cloudfront')
+        this.cloudfrontSlides = this.getSlidesByTag('cloudfront');
+
+        // Speaker notes: notes found in fragments (by slide number) and merged notes promises
+        this.fragmentNotes = {};
+        this.speakerNotes = {};
+
+        // In-slide state per slide number ({ step, tab, accordion }) and state still waiting for its iframe
+        this.slideState = {};
+        this.pendingSlideState = {};
+        // Slides entered backwards whose iframe pages were still loading: reveal all their steps once loaded
+        this.revealAllOnLoad = new Set();
+
+        // Fragment loader: in-memory cache of fragment HTML promises, neighbours prefetched around the
+        // current slide, and iframe pages kept loaded only within `iframeWindow` slides of it
+        const loader = Object.assign({ prefetch: 1, iframeWindow: 1 }, manifest.loader);
+        this.prefetchRadius = loader.prefetch;
+        this.iframeWindow = loader.iframeWindow;
+        this.fragmentCache = {};
+        this.prefetchedPages = new Set();
+
+        // Slide lifecycle: registered hooks per slide number, the slide that last received `enter`
+        // (null while switching) and whether the deck tab is hidden
+        this.lifecycleHooks = {};
+        this.enteredSlide = null;
+        this.pageHidden = false;
 
         this.init();
     }
 
+    localizeSlides() {
+        return this.manifest.slides.map(entry => DeckI18n.localize(entry, this.locale));
+    }
+
+    // Build the numeric section map ({ 1: { key, name, slides, duration }, ... }) from the manifest
+    buildSections(manifest) {
+        const sections = {};
+        manifest.sections.forEach((entry, index) => {
+            const section = DeckI18n.localize(entry, this.locale);
+            sections[index + 1] = {
+                key: section.key,
+                name: section.name,
+                slides: [],
+                duration: section.duration,
+                aliases: section.aliases || []
+            };
+        });
+
+        manifest.slides.forEach((slide, index) => {
+            const sectionIndex = manifest.sections.findIndex(s => s.key === slide.section);
+            if (sectionIndex === -1) {
+                console.warn(`Slide "${slide.id}" references unknown section "${slide.section}"`);
+                return;
+            }
+            sections[sectionIndex + 1].slides.push(index + 1);
+        });
+
+        return sections;
+    }
+
+    // Manifest entry for a slide number (1-based)
+    getSlideEntry(slideNumber) {
+        return this.slideEntries[slideNumber - 1] || null;
+    }
+
+    // Slide numbers whose manifest entry carries the given tag
+    getSlidesByTag(tag) {
+        const numbers = [];
+        this.slideEntries.forEach((slide, index) => {
+            if ((slide.tags || []).includes(tag)) {
+                numbers.push(index + 1);
+            }
+        });
+        return numbers;
+    }
+
     init() {
+        // Mount the first slide from the manifest
+        this.ready = this.mountSlide(this.currentSlide).then(slideEl => {
+            if (slideEl) {
+                slideEl.classList.add('active', 'fade-in');
+                this.applySteps(this.currentSlide);
+                this.enterSlide(this.currentSlide, null);
+            }
+            this.manageNeighbourSlides();
+        });
+
         // Set initial values
         this.updateSlideCounter();
         this.createSlideDots();
@@ -111,13 +198,10 @@ class AWSSecurityPresentation {
             }
         });
 
-        // Add fade-in animation to initial slide
-        this.slides[0].classList.add('fade-in');
-
         console.log('🛡️ AWS Security Training với CloudFront đã load thành công!');
         console.log(`📊 Tổng số slides: ${this.totalSlides}`);
-        console.log('🌐 Slides mới về CloudFront: 20-23');
-        console.log('⏱️ Thời gian đào tạo: 2 tiếng 15 phút');
+        console.log(`🌐 Slides về CloudFront: ${this.cloudfrontSlides.join(', ')}`);
+        console.log(`⏱️ Thời gian đào tạo: ${this.getPlannedDuration()} phút`);
     }
 
     createSlideDots() {
@@ -129,45 +213,303 @@ class AWSSecurityPresentation {
 
             dot.addEventListener('click', () => this.goToSlide(i));
 
-            // Add section indicator and CloudFront special indicator
-            const sectionInfo = this.getSectionForSlide(i);
-            let title = `Slide ${i}`;
-
-            if (sectionInfo) {
-                title += ` - ${sectionInfo.name}`;
-            }
-
             if (this.cloudfrontSlides.includes(i)) {
-                title += ' (CloudFront)';
                 dot.classList.add('cloudfront-slide');
             }
 
-            dot.setAttribute('title', title);
+            dot.setAttribute('title', this.getDotTitle(i));
 
             this.slideDotsContainer.appendChild(dot);
         }
     }
 
+    // Slide title, section indicator and CloudFront special indicator
+    getDotTitle(slideNumber) {
+        const entry = this.getSlideEntry(slideNumber);
+        const sectionInfo = this.getSectionForSlide(slideNumber);
+        let title = `Slide ${slideNumber}: ${entry.title}`;
+
+        if (sectionInfo) {
+            title += ` - ${sectionInfo.name}`;
+        }
+
+        if (this.cloudfrontSlides.includes(slideNumber)) {
+            title += ' (CloudFront)';
+        }
+
+        return title;
+    }
+
     getSectionForSlide(slideNumber) {
         for (const [sectionId, section] of Object.entries(this.sections)) {
             if (section.slides.includes(slideNumber)) {
-                return { id: parseInt(sectionId), name: section.name, duration: section.duration };
+                return { id: parseInt(sectionId), key: section.key, name: section.name, duration: section.duration };
             }
         }
         return null;
     }
 
-    // Attempt to load a slide fragment from /slides/slide-<n>.html (returns HTML string or null)
+    // Planned training time in minutes (sum of per-slide durations in the manifest)
+    getPlannedDuration() {
+        return this.slideEntries.reduce((sum, slide) => sum + (slide.duration || 0), 0);
+    }
+
+    // Fragment HTML for a slide, read once per session and kept in memory. Speaker notes
+    // (<aside class="notes">) are stripped and kept in this.fragmentNotes. A failed read is not cached.
+    fetchFragment(slideNumber) {
+        if (!this.fragmentCache[slideNumber]) {
+            const entry = this.getSlideEntry(slideNumber);
+            this.fragmentCache[slideNumber] = DeckBundle.readText(entry.fragment)
+                .then(text => {
+                    const { html, notes } = SpeakerNotes.extractSpeakerNotes(text);
+                    this.fragmentNotes[slideNumber] = notes;
+                    return html;
+                })
+                .catch(err => {
+                    delete this.fragmentCache[slideNumber];
+                    throw err;
+                });
+        }
+        return this.fragmentCache[slideNumber];
+    }
+
+    // Slide HTML from the manifest entry: the fragment, a generated knowledge check, or a generated
+    // wrapper for slides that only have an iframe page. Rejects when the fragment cannot be loaded.
     async loadSlideFragment(slideNumber) {
+        const entry = this.getSlideEntry(slideNumber);
+        if (!entry) return null;
+
+        // Knowledge check slides are rendered from their quiz data file by quiz-client.js
+        if (entry.quiz) {
+            return `<div class="slide quiz-slide"><div class="slide-content"><h1>${entry.title}</h1><div class="quiz-root"></div></div></div>`;
+        }
+
+        if (entry.fragment) {
+            return this.fetchFragment(slideNumber);
+        }
+
+        if (entry.iframe) {
+            return `<div class="slide pa-0"><iframe src="${entry.iframe}" style="width:100%; height:100%; border:none;"></iframe></div>`;
+        }
+
+        return null;
+    }
+
+    // Placeholder slide shown when a fragment fails to load; its button re-mounts the slide
+    buildErrorSlide(slideNumber, err) {
+        const entry = this.getSlideEntry(slideNumber);
+        console.warn(`Slide ${slideNumber} (${entry.fragment}) could not be loaded`, err);
+        return `<div class="slide slide-error" data-load-error="true">
+            <div class="slide-content">
+                <h1>${entry.title}</h1>
+                <p>${DeckI18n.t('slide.loadError')}</p>
+                <button type="button" class="btn btn--primary slide-retry">${DeckI18n.t('slide.retry')}</button>
+            </div>
+        </div>`;
+    }
+
+    async retrySlide(slideNumber) {
+        const failed = this.getSlideElement(slideNumber);
+        const wasActive = failed && failed.classList.contains('active');
+        if (failed) {
+            this.destroySlideHooks(slideNumber);
+            failed.remove();
+        }
+
+        const slideEl = await this.mountSlide(slideNumber);
+        if (slideEl && wasActive) {
+            slideEl.classList.add('active');
+            window.dispatchEvent(new CustomEvent('slide-activated', { detail: { slide: slideNumber, element: slideEl } }));
+        }
+    }
+
+    // Warm the fragment cache (and the browser cache for iframe pages) around the current slide
+    prefetchAround(slideNumber) {
+        for (let offset = 1; offset <= this.prefetchRadius; offset++) {
+            [slideNumber + offset, slideNumber - offset].forEach(n => {
+                const entry = this.getSlideEntry(n);
+                if (!entry) return;
+
+                if (entry.fragment) {
+                    this.fetchFragment(n).catch(() => {
+                        // reported with a retry button if the slide is opened
+                    });
+                }
+                if (entry.iframe && !DeckBundle.isSingleFile() && !this.prefetchedPages.has(entry.iframe)) {
+                    this.prefetchedPages.add(entry.iframe);
+                    const link = document.createElement('link');
+                    link.rel = 'prefetch';
+                    link.href = entry.iframe;
+                    document.head.appendChild(link);
+                }
+            });
+        }
+    }
+
+    // Unload iframe pages of mounted slides farther than iframeWindow from the current slide
+    // (three.js / Chart.js pages keep animating otherwise) and reload them when they come back in range
+    manageIframes() {
+        document.querySelectorAll('.slide-container .slide[data-slide-id]').forEach(slideEl => {
+            const slideNumber = this.resolveSlideNumber(slideEl);
+            const inWindow = Math.abs(slideNumber - this.currentSlide) <= this.iframeWindow;
+
+            slideEl.querySelectorAll('iframe').forEach(frame => {
+                if (!inWindow && !frame.dataset.unloadedSrc) {
+                    this.destroySlideHooks(slideNumber, frame);
+                    frame.dataset.unloadedSrc = frame.getAttribute('src');
+                    frame.src = 'about:blank';
+                    // Re-apply tabs/accordions once the page loads again
+                    if (this.slideState[slideNumber]) {
+                        this.pendingSlideState[slideNumber] = this.slideState[slideNumber];
+                    }
+                } else if (inWindow && frame.dataset.unloadedSrc) {
+                    frame.src = frame.dataset.unloadedSrc;
+                    delete frame.dataset.unloadedSrc;
+                }
+            });
+        });
+    }
+
+    manageNeighbourSlides() {
+        this.manageIframes();
+        const schedule = window.requestIdleCallback || ((callback) => setTimeout(callback, 200));
+        schedule(() => this.prefetchAround(this.currentSlide));
+    }
+
+    // Speaker notes for a slide as { vi, en, ... } HTML strings (empty object when the slide has none).
+    // Combines fragment asides with the notes/<id>.html sidecar; used by the presenter view and export tooling.
+    getSpeakerNotes(slideNumber = this.currentSlide) {
+        if (!this.speakerNotes[slideNumber]) {
+            this.speakerNotes[slideNumber] = this.loadSpeakerNotes(slideNumber);
+        }
+        return this.speakerNotes[slideNumber];
+    }
+
+    async loadSpeakerNotes(slideNumber) {
+        const entry = this.getSlideEntry(slideNumber);
+        if (!entry) return {};
+
+        if (entry.fragment && !(slideNumber in this.fragmentNotes)) {
+            try {
+                await this.fetchFragment(slideNumber);
+            } catch (err) {
+                // fragment unavailable; sidecar notes may still exist
+            }
+        }
+
+        let sidecarNotes = null;
         try {
-            const resp = await fetch(`slides/slide-${slideNumber}.html`, { cache: "no-cache" });
-            if (!resp.ok) throw new Error('Not found');
-            const text = await resp.text();
-            return text;
+            const text = await DeckBundle.readText(SpeakerNotes.getNotesSidecarPath(entry));
+            sidecarNotes = SpeakerNotes.extractSpeakerNotes(text).notes;
         } catch (err) {
-            // fragment not available; fallback to inline slides already present in DOM
-            return null;
+            // no sidecar for this slide
         }
+
+        return SpeakerNotes.mergeSpeakerNotes(this.fragmentNotes[slideNumber], sidecarNotes);
+    }
+
+    // Mounted slide element for slideNumber (null if it is not in .slide-container yet)
+    getSlideElement(slideNumber) {
+        const entry = this.getSlideEntry(slideNumber);
+        return entry ? document.querySelector(`.slide-container .slide[data-slide-id="${entry.id}"]`) : null;
+    }
+
+    // Insert the slide element for slideNumber into .slide-container if it is not there yet.
+    // Slides are found by the manifest id and slug set as data attributes, so fragments never need renumbering
+    // and keep working (and styled) wherever they move in the deck.
+    async mountSlide(slideNumber) {
+        const existing = this.getSlideElement(slideNumber);
+        if (existing) return existing;
+
+        let fragmentHtml;
+        try {
+            fragmentHtml = await this.loadSlideFragment(slideNumber);
+        } catch (err) {
+            fragmentHtml = this.buildErrorSlide(slideNumber, err);
+        }
+        if (!fragmentHtml) return null;
+
+        // Another caller (prefetch, notes, navigation) may have mounted it while we waited
+        const mounted = this.getSlideElement(slideNumber);
+        if (mounted) return mounted;
+
+        const entry = this.getSlideEntry(slideNumber);
+        const sectionInfo = this.getSectionForSlide(slideNumber);
+        const slideContainer = document.querySelector('.slide-container');
+
+        const temp = document.createElement('div');
+        temp.innerHTML = fragmentHtml.trim();
+        // Single-file builds serve iframe pages from the bundle (blob: URLs); rewrite before they start loading
+        if (DeckBundle.isSingleFile()) {
+            temp.querySelectorAll('iframe[src]').forEach(frame => {
+                frame.src = DeckBundle.resolveUrl(frame.getAttribute('src'));
+            });
+        }
+        const newSlide = temp.firstElementChild;
+        newSlide.dataset.slideId = entry.id;
+        newSlide.dataset.slug = entry.slug;
+        // Translated content is marked with its language; untranslated slides stay in Vietnamese
+        const original = this.manifest.slides[slideNumber - 1];
+        if (entry.fragment !== original.fragment || entry.iframe !== original.iframe) {
+            newSlide.lang = this.locale;
+        }
+        if (sectionInfo) {
+            newSlide.dataset.section = sectionInfo.id;
+        }
+        // Ensure the new slide is positioned absolutely like others
+        newSlide.style.position = 'absolute';
+        newSlide.style.top = '0';
+        newSlide.style.left = '0';
+        newSlide.style.width = '100%';
+        newSlide.style.height = '100%';
+        newSlide.style.boxSizing = 'border-box';
+        slideContainer.appendChild(newSlide);
+
+        // Execute any <script type="module"> tags found in the fragment.
+        // Module scripts inserted via innerHTML do not execute, so recreate them and append to the document to run.
+        (function runModuleScripts(rootElement) {
+            const moduleScripts = rootElement.querySelectorAll('script[type="module"]');
+            moduleScripts.forEach(oldScript => {
+                const newScript = document.createElement('script');
+                newScript.type = 'module';
+                // Resolve relative src paths so they work when fragment was loaded from slides/
+                const srcAttr = oldScript.getAttribute('src');
+                if (srcAttr) {
+                    // If the src is relative (not starting with http(s) or /), prepend 'slides/' because fragments are served from slides/
+                    if (!/^(?:https?:|\/)/.test(srcAttr)) {
+                        newScript.src = DeckBundle.resolveUrl(`slides/${srcAttr}`);
+                    } else {
+                        newScript.src = srcAttr;
+                    }
+                } else {
+                    // Inline module: copy text content
+                    newScript.textContent = oldScript.textContent;
+                }
+                // Copy other attributes (nonce, data-*, etc.) except type/src which we already set
+                for (let i = 0; i < oldScript.attributes.length; i++) {
+                    const attr = oldScript.attributes[i];
+                    if (attr.name === 'type' || attr.name === 'src') continue;
+                    try { newScript.setAttribute(attr.name, attr.value); } catch (e) { /* ignore invalid attrs */ }
+                }
+                // Append to body so module executes in document context
+                document.body.appendChild(newScript);
+            });
+        })(newSlide);
+
+        this.trackSlideState(slideNumber, newSlide);
+
+        const retryButton = newSlide.querySelector('.slide-retry');
+        if (retryButton) {
+            retryButton.addEventListener('click', () => this.retrySlide(slideNumber));
+        }
+
+        if (entry.quiz) {
+            new KnowledgeCheck(newSlide, entry, this, window.liveSession || null);
+        }
+
+        // Refresh internal slides NodeList
+        this.slides = document.querySelectorAll('.slide');
+        return newSlide;
     }
 
     updateSlideCounter() {
@@ -176,8 +518,14 @@ class AWSSecurityPresentation {
     }
 
     updateProgressBar() {
-        const progress = (this.currentSlide / this.totalSlides) * 100;
-        this.progressFill.style.width = `${progress}%`;
+        this.progressFill.style.width = `${this.getSlideProgress()}%`;
+    }
+
+    // Deck progress in percent; a slide with reveal steps fills its share step by step
+    getSlideProgress() {
+        const count = this.getStepCount();
+        const fraction = count ? Math.min(this.getStep(), count) / count : 1;
+        return ((this.currentSlide - 1 + fraction) / this.totalSlides) * 100;
     }
 
     updateSectionHighlight() {
@@ -215,20 +563,20 @@ class AWSSecurityPresentation {
 
         // Update button text for different scenarios
         if (this.currentSlide === this.totalSlides) {
-            this.nextBtn.innerHTML = 'Kết thúc 🎯';
+            this.nextBtn.innerHTML = DeckI18n.t('nav.finish');
         } else if (this.cloudfrontSlides.includes(this.currentSlide + 1)) {
             this.nextBtn.innerHTML = 'CloudFront →';
         } else {
-            this.nextBtn.innerHTML = 'Tiếp →';
+            this.nextBtn.innerHTML = DeckI18n.t('nav.next');
         }
 
         // Update previous button text
         if (this.currentSlide === 1) {
-            this.prevBtn.innerHTML = '🏠 Bắt đầu';
+            this.prevBtn.innerHTML = DeckI18n.t('nav.start');
         } else if (this.cloudfrontSlides.includes(this.currentSlide - 1)) {
             this.prevBtn.innerHTML = '← CloudFront';
         } else {
-            this.prevBtn.innerHTML = '← Trước';
+            this.prevBtn.innerHTML = DeckI18n.t('nav.prev');
         }
     }
 
@@ -250,69 +598,43 @@ class AWSSecurityPresentation {
         }
     }
 
-    async goToSlide(slideNumber) {
+    // options.replaceHistory: reuse the current history entry (navigation driven by the URL itself)
+    // options.force: ignore beforeLeave vetoes (following a presenter or the live session)
+    // options.step: reveal step to show (0 = none, 'last' = all); defaults to the step the slide was left at
+    async goToSlide(slideNumber, options = {}) {
         if (slideNumber < 1 || slideNumber > this.totalSlides || slideNumber === this.currentSlide) {
             return;
         }
 
-        // Try to load fragment (if available) before performing transition
-        const fragmentHtml = await this.loadSlideFragment(slideNumber);
-        const slideContainer = document.querySelector('.slide-container');
+        // Wait for the first slide, then load the target fragment (if needed) before performing transition.
+        // Fragments not cached yet show a loading indicator when they take noticeably long.
+        await this.ready;
 
-        if (fragmentHtml) {
-            // If slide with id doesn't exist yet, insert it
-            if (!document.getElementById(`slide-${slideNumber}`)) {
-                const temp = document.createElement('div');
-                temp.innerHTML = fragmentHtml.trim();
-                const newSlide = temp.firstElementChild;
-                // Ensure the new slide is positioned absolutely like others
-                newSlide.style.position = 'absolute';
-                newSlide.style.top = '0';
-                newSlide.style.left = '0';
-                newSlide.style.width = '100%';
-                newSlide.style.height = '100%';
-                newSlide.style.boxSizing = 'border-box';
-                slideContainer.appendChild(newSlide);
-
-                // Execute any <script type="module"> tags found in the fragment.
-                // Module scripts inserted via innerHTML do not execute, so recreate them and append to the document to run.
-                (function runModuleScripts(rootElement) {
-                    const moduleScripts = rootElement.querySelectorAll('script[type="module"]');
-                    moduleScripts.forEach(oldScript => {
-                        const newScript = document.createElement('script');
-                        newScript.type = 'module';
-                        // Resolve relative src paths so they work when fragment was loaded from slides/
-                        const srcAttr = oldScript.getAttribute('src');
-                        if (srcAttr) {
-                            // If the src is relative (not starting with http(s) or /), prepend 'slides/' because fragments are served from slides/
-                            if (!/^(?:https?:|\/)/.test(srcAttr)) {
-                                newScript.src = `slides/${srcAttr}`;
-                            } else {
-                                newScript.src = srcAttr;
-                            }
-                        } else {
-                            // Inline module: copy text content
-                            newScript.textContent = oldScript.textContent;
-                        }
-                        // Copy other attributes (nonce, data-*, etc.) except type/src which we already set
-                        for (let i = 0; i < oldScript.attributes.length; i++) {
-                            const attr = oldScript.attributes[i];
-                            if (attr.name === 'type' || attr.name === 'src') continue;
-                            try { newScript.setAttribute(attr.name, attr.value); } catch (e) { /* ignore invalid attrs */ }
-                        }
-                        // Append to body so module executes in document context
-                        document.body.appendChild(newScript);
-                    });
-                })(newSlide);
+        // Slide scripts may veto leaving (e.g. an unfinished exercise); keep the URL on the current slide then
+        if (!options.force && !(await this.canLeaveSlide(slideNumber))) {
+            this.updateURL({ replace: true });
+            return;
+        }
 
-                // Refresh internal slides NodeList
-                this.slides = document.querySelectorAll('.slide');
-            }
+        const slideContainer = document.querySelector('.slide-container');
+        const loadingTimer = setTimeout(() => slideContainer.classList.add('is-loading'), 150);
+        try {
+            await this.mountSlide(slideNumber);
+        } finally {
+            clearTimeout(loadingTimer);
+            slideContainer.classList.remove('is-loading');
+        }
+
+        // Hide (or, stepping back into the slide, show) its reveal steps before it appears
+        if (options.step !== undefined) {
+            this.showStep(options.step, slideNumber);
+        } else {
+            this.applySteps(slideNumber);
         }
 
         // Determine current and target elements by id to work with dynamic slides
-        const currentSlideElement = document.getElementById(`slide-${this.currentSlide}`) || this.slides[this.currentSlide - 1];
-        const targetSlideElement = document.getElementById(`slide-${slideNumber}`) || this.slides[slideNumber - 1];
+        const currentSlideElement = this.getSlideElement(this.currentSlide);
+        const targetSlideElement = this.getSlideElement(slideNumber);
 
         if (!currentSlideElement || !targetSlideElement) {
             // If for some reason elements are missing, abort
@@ -340,6 +662,8 @@ class AWSSecurityPresentation {
         }
 
         // Update current slide
+        const previousSlide = this.currentSlide;
+        this.leaveSlide(slideNumber);
         this.currentSlide = slideNumber;
 
         // Activate new slide with a slight delay for smooth transition
@@ -367,24 +691,197 @@ class AWSSecurityPresentation {
             // Dispatch slide-activated event for slide-specific scripts
             window.dispatchEvent(new CustomEvent('slide-activated', { detail: { slide: this.currentSlide, element: targetSlideElement } }));
 
+            // Start the slide's animations (skipped when a newer navigation already entered it)
+            if (this.enteredSlide !== this.currentSlide) {
+                this.enterSlide(this.currentSlide, previousSlide);
+            }
+
             // Announce slide change for accessibility
             this.announceSlideChange();
 
-            // Update URL hash for bookmarking
-            this.updateURL();
+            // Update URL hash for bookmarking; new entries let browser Back walk slide history
+            this.updateURL({ replace: options.replaceHistory });
+
+            // Prefetch the neighbours and unload iframe pages that are now out of range
+            this.manageNeighbourSlides();
 
         }, 50);
     }
 
+    // Slide lifecycle hooks for fragment module scripts and iframe pages:
+    //   enter / leave    the slide became the current slide / was replaced by another one
+    //   beforeLeave      called before navigating away; returning false (or a promise of false) cancels it
+    //   pause / resume   the deck tab was hidden / shown again while the slide is current
+    //   destroy          the slide element or its iframe page is being discarded
+    // `target` is a slide number, slug, manifest id or any element inside the slide; iframe pages pass
+    // window.frameElement. `enter` runs right away if the slide is already current. Returns an unregister function.
+    onSlide(target, hooks) {
+        const slideNumber = this.resolveSlideNumber(target);
+        if (!slideNumber) {
+            console.warn('onSlide: unknown slide', target);
+            return () => {};
+        }
+
+        const registration = { hooks, frame: target && target.tagName === 'IFRAME' ? target : null };
+        (this.lifecycleHooks[slideNumber] = this.lifecycleHooks[slideNumber] || []).push(registration);
+        if (this.enteredSlide === slideNumber) {
+            this.runSlideHooks(slideNumber, 'enter', { from: null }, [registration]);
+        }
+
+        return () => {
+            const registrations = this.lifecycleHooks[slideNumber] || [];
+            const index = registrations.indexOf(registration);
+            if (index !== -1) registrations.splice(index, 1);
+        };
+    }
+
+    // Slide number for a number, slug, manifest id or element inside a mounted slide (null if unknown)
+    resolveSlideNumber(target) {
+        if (typeof target === 'number') {
+            return this.getSlideEntry(target) ? target : null;
+        }
+        if (typeof target === 'string') {
+            const index = this.slideEntries.findIndex(entry => entry.slug === target || entry.id === target);
+            return index === -1 ? null : index + 1;
+        }
+        const slideEl = target && target.closest ? target.closest('.slide[data-slide-id]') : null;
+        return slideEl ? this.resolveSlideNumber(slideEl.dataset.slideId) : null;
+    }
+
+    isSlideActive(target) {
+        const slideNumber = this.resolveSlideNumber(target);
+        return slideNumber !== null && slideNumber === this.enteredSlide;
+    }
+
+    runSlideHooks(slideNumber, name, detail = {}, registrations = this.lifecycleHooks[slideNumber] || []) {
+        const context = Object.assign({
+            slide: slideNumber,
+            element: this.getSlideElement(slideNumber),
+            presentation: this
+        }, detail);
+        return registrations.slice().map(registration => callLifecycleHook(registration, name, context));
+    }
+
+    async canLeaveSlide(to) {
+        if (this.enteredSlide === null) return true;
+        const results = await Promise.all(
+            this.runSlideHooks(this.enteredSlide, 'beforeLeave', { to }).map(result => Promise.resolve(result).catch(() => undefined))
+        );
+        return !results.includes(false);
+    }
+
+    enterSlide(slideNumber, from) {
+        this.enteredSlide = slideNumber;
+        this.runSlideHooks(slideNumber, 'enter', { from });
+    }
+
+    leaveSlide(to) {
+        const left = this.enteredSlide;
+        if (left === null) return;
+        this.enteredSlide = null;
+        this.runSlideHooks(left, 'leave', { to });
+    }
+
+    // Deck tab hidden or shown again (visibilitychange): pause or resume the current slide
+    setPageHidden(hidden) {
+        if (hidden === this.pageHidden) return;
+        this.pageHidden = hidden;
+        if (this.enteredSlide !== null) {
+            this.runSlideHooks(this.enteredSlide, hidden ? 'pause' : 'resume');
+        }
+    }
+
+    // Run `destroy` and drop the hooks of a slide that is being removed, or only those of one iframe page
+    destroySlideHooks(slideNumber, frame = null) {
+        const registrations = this.lifecycleHooks[slideNumber] || [];
+        const discarded = registrations.filter(registration => !frame || registration.frame === frame);
+        this.lifecycleHooks[slideNumber] = registrations.filter(registration => !discarded.includes(registration));
+        this.runSlideHooks(slideNumber, 'destroy', {}, discarded);
+    }
+
+    // Reveal steps come first: next/prev only change slides once the current slide is fully built/unbuilt
     goToNextSlide() {
+        if (this.nextStep()) return;
         if (this.currentSlide < this.totalSlides) {
-            this.goToSlide(this.currentSlide + 1);
+            this.goToSlide(this.currentSlide + 1, { step: 0 });
         }
     }
 
     goToPrevSlide() {
+        if (this.prevStep()) return;
         if (this.currentSlide > 1) {
-            this.goToSlide(this.currentSlide - 1);
+            this.goToSlide(this.currentSlide - 1, { step: 'last' });
+        }
+    }
+
+    // Reveal step groups of a slide: [data-step] elements in the slide and its loaded iframe pages,
+    // in document order; data-step="n" puts elements in group n, so equal numbers appear together
+    getSlideSteps(slideNumber = this.currentSlide) {
+        const slideEl = this.getSlideElement(slideNumber);
+        return slideEl ? collectStepGroups(this.getSlideStateRoots(slideEl)) : [];
+    }
+
+    getStepCount(slideNumber = this.currentSlide) {
+        return this.getSlideSteps(slideNumber).length;
+    }
+
+    // Number of revealed step groups (0 = only the parts of the slide without data-step)
+    getStep(slideNumber = this.currentSlide) {
+        return (this.slideState[slideNumber] || {}).step || 0;
+    }
+
+    // Show the first `step` groups of a slide; 'last' reveals all of them
+    showStep(step, slideNumber = this.currentSlide) {
+        const slideEl = this.getSlideElement(slideNumber);
+        const count = this.getStepCount(slideNumber);
+        // Steps of iframe pages still loading are unknown yet, so keep the requested step as is
+        const loading = Boolean(slideEl) && Array.from(slideEl.querySelectorAll('iframe')).some(frame => !getFrameDocument(frame));
+
+        let target;
+        if (step === 'last') {
+            target = count;
+            if (loading) this.revealAllOnLoad.add(slideNumber);
+        } else {
+            target = loading ? Math.max(0, step) : Math.max(0, Math.min(step, count));
+        }
+
+        this.setSlideState(slideNumber, { step: target });
+        this.applySteps(slideNumber);
+    }
+
+    nextStep() {
+        const step = this.getStep();
+        if (step >= this.getStepCount()) return false;
+        this.showStep(step + 1);
+        return true;
+    }
+
+    prevStep() {
+        const step = Math.min(this.getStep(), this.getStepCount());
+        if (step <= 0) return false;
+        this.showStep(step - 1);
+        return true;
+    }
+
+    // Hide the step groups past the slide's current step and report it (progress bar, presenter, live session)
+    applySteps(slideNumber) {
+        const slideEl = this.getSlideElement(slideNumber);
+        if (!slideEl) return;
+
+        const roots = this.getSlideStateRoots(slideEl);
+        const groups = collectStepGroups(roots);
+        const step = Math.min(this.getStep(slideNumber), groups.length);
+
+        roots.forEach(root => {
+            if (root !== slideEl && root.querySelector(STEP_SELECTOR)) injectStepStyle(root);
+        });
+        groups.forEach((elements, index) => {
+            elements.forEach(el => el.classList.toggle(STEP_HIDDEN_CLASS, index >= step));
+        });
+
+        if (slideNumber === this.currentSlide) {
+            this.updateProgressBar();
+            window.dispatchEvent(new CustomEvent('slide-step', { detail: { slide: slideNumber, step, count: groups.length } }));
         }
     }
 
@@ -400,7 +897,7 @@ class AWSSecurityPresentation {
     // Quick navigation to CloudFront section
     goToCloudFrontSection() {
         console.log('🌐 Chuyển đến phần CloudFront');
-        this.goToSlide(20); // First CloudFront slide
+        this.goToFirstCloudFrontSlide();
     }
 
     handleKeydown(event) {
@@ -464,17 +961,20 @@ class AWSSecurityPresentation {
         announcement.setAttribute('aria-atomic', 'true');
         announcement.className = 'sr-only';
 
-        // Guard: slide element or its <h1> may be missing (dynamic loading). Avoid TypeError.
-        const slideEl = this.slides[this.currentSlide - 1] || document.getElementById(`slide-${this.currentSlide}`);
-        const slideTitleEl = slideEl ? slideEl.querySelector('h1') : null;
-        const slideTitle = slideTitleEl ? slideTitleEl.textContent : `Slide ${this.currentSlide}`;
+        const entry = this.getSlideEntry(this.currentSlide);
+        const slideTitle = entry ? entry.title : `Slide ${this.currentSlide}`;
         const sectionInfo = this.getSectionForSlide(this.currentSlide);
         const sectionName = sectionInfo ? sectionInfo.name : '';
 
-        let announcementText = `Slide ${this.currentSlide} của ${this.totalSlides}: ${slideTitle}. Phần: ${sectionName}`;
+        let announcementText = DeckI18n.t('announce.slide', {
+            number: this.currentSlide,
+            total: this.totalSlides,
+            title: slideTitle,
+            section: sectionName
+        });
 
         if (this.cloudfrontSlides.includes(this.currentSlide)) {
-            announcementText += '. Nội dung CloudFront mới.';
+            announcementText += `. ${DeckI18n.t('announce.cloudfront')}`;
         }
 
         announcement.textContent = announcementText;
@@ -487,27 +987,111 @@ class AWSSecurityPresentation {
         }, 1000);
     }
 
-    updateURL() {
-        // Update browser URL hash for bookmarking
-        const sectionInfo = this.getSectionForSlide(this.currentSlide);
-        let hashName = 'slide';
+    // Write the stable slide hash (#slug?tab=2). A slide change pushes a history entry; in-slide state
+    // changes, history navigation and preview frames replace the current one.
+    updateURL({ replace = false } = {}) {
+        const hash = DeckLinks.buildSlideHash(this.manifest, this.currentSlide, this.slideState[this.currentSlide]);
+        if (!hash || window.location.hash === hash) return;
 
-        if (sectionInfo) {
-            hashName = sectionInfo.name.toLowerCase().replace(/\s+/g, '-').replace(/&/g, '');
+        const method = replace || document.body.classList.contains('mode-preview') ? 'replaceState' : 'pushState';
+        history[method]({ slide: this.currentSlide }, '', hash);
+    }
+
+    getSlideState(slideNumber = this.currentSlide) {
+        return Object.assign({}, this.slideState[slideNumber]);
+    }
+
+    // Merge in-slide state (e.g. { step: 2 }) and keep the URL in sync for the current slide
+    setSlideState(slideNumber, state) {
+        const next = DeckLinks.normalizeState(Object.assign({}, this.slideState[slideNumber], state));
+        if (JSON.stringify(next) === JSON.stringify(this.slideState[slideNumber] || {})) return;
+
+        this.slideState[slideNumber] = next;
+        if (slideNumber === this.currentSlide) {
+            this.updateURL({ replace: true });
         }
+    }
 
-        if (this.cloudfrontSlides.includes(this.currentSlide)) {
-            hashName += '-cloudfront';
+    // The slide element plus the documents of its same-origin iframe pages that have loaded
+    getSlideStateRoots(slideEl) {
+        const roots = [slideEl];
+        slideEl.querySelectorAll('iframe').forEach(frame => {
+            const doc = getFrameDocument(frame);
+            if (doc) roots.push(doc);
+        });
+        return roots;
+    }
+
+    // Remember tab/accordion clicks inside the slide (and its iframe pages) as in-slide state
+    trackSlideState(slideNumber, slideEl) {
+        const watch = (root) => {
+            root.addEventListener('click', (e) => {
+                // Clicks replayed by applySlideState() are not the audience's or trainer's
+                if (e.isTrusted) this.reportInteraction(slideNumber, e.target);
+                // Let the page's own handlers update the DOM first
+                setTimeout(() => this.captureSlideState(slideNumber), 0);
+            });
+        };
+
+        watch(slideEl);
+        slideEl.querySelectorAll('iframe').forEach(frame => {
+            frame.addEventListener('load', () => {
+                const doc = getFrameDocument(frame);
+                if (!doc) return;
+                watch(doc);
+                if (this.pendingSlideState[slideNumber] && applySlideState(doc, this.pendingSlideState[slideNumber])) {
+                    delete this.pendingSlideState[slideNumber];
+                }
+                if (this.revealAllOnLoad.delete(slideNumber)) {
+                    this.showStep('last', slideNumber);
+                } else {
+                    this.applySteps(slideNumber);
+                }
+            });
+        });
+    }
+
+    // Tell listeners (analytics-recorder.js) about a click on a tab, accordion item or control in a slide
+    reportInteraction(slideNumber, target) {
+        const interaction = describeInteraction(target);
+        if (interaction) {
+            window.dispatchEvent(new CustomEvent('slide-interaction', { detail: Object.assign({ slide: slideNumber }, interaction) }));
         }
+    }
 
-        history.replaceState(null, null, `#${hashName}-${this.currentSlide}`);
+    captureSlideState(slideNumber) {
+        const slideEl = this.getSlideElement(slideNumber);
+        if (!slideEl) return;
+
+        const { step } = this.slideState[slideNumber] || {};
+        // Tab/accordion state is replaced, not merged, so a closed accordion drops out of the URL
+        const state = this.getSlideStateRoots(slideEl)
+            .reduce((merged, root) => Object.assign(readSlideState(root), merged), { step });
+        this.slideState[slideNumber] = DeckLinks.normalizeState(state);
+        if (slideNumber === this.currentSlide) {
+            this.updateURL({ replace: true });
+        }
     }
 
-    // Method to go to slide by title (useful for programmatic navigation)
+    // Re-open the tab/accordion from a deep link; iframe pages that are still loading apply it on load
+    restoreSlideState(slideNumber) {
+        const state = this.slideState[slideNumber];
+        const slideEl = this.getSlideElement(slideNumber);
+        if (!state || !slideEl || (!state.tab && !state.accordion)) return;
+
+        const applied = this.getSlideStateRoots(slideEl).some(root => applySlideState(root, state));
+        if (applied) {
+            delete this.pendingSlideState[slideNumber];
+        } else {
+            this.pendingSlideState[slideNumber] = state;
+        }
+    }
+
+    // Method to go to slide by title (useful for programmatic navigation); ignores case and diacritics
     goToSlideByTitle(title) {
-        const slideIndex = Array.from(this.slides).findIndex(slide => {
-            const h1 = slide.querySelector('h1');
-            return h1 && h1.textContent.toLowerCase().includes(title.toLowerCase());
+        const query = DeckSearch.foldText(title).folded;
+        const slideIndex = this.slideEntries.findIndex(slide => {
+            return DeckSearch.foldText(slide.title).folded.includes(query);
         });
 
         if (slideIndex !== -1) {
@@ -517,27 +1101,35 @@ class AWSSecurityPresentation {
 
     // Method to get current slide info
     getCurrentSlideInfo() {
-        const currentSlideElement = this.slides[this.currentSlide - 1];
-        const title = currentSlideElement.querySelector('h1')?.textContent || 'Untitled';
+        const entry = this.getSlideEntry(this.currentSlide);
         const sectionInfo = this.getSectionForSlide(this.currentSlide);
 
         return {
             number: this.currentSlide,
             total: this.totalSlides,
-            title: title,
+            title: entry.title,
             section: sectionInfo,
-            id: currentSlideElement.id,
+            id: entry.id,
+            slug: entry.slug,
+            tags: entry.tags || [],
+            duration: entry.duration,
+            step: this.getStep(),
+            stepCount: this.getStepCount(),
             isCloudFront: this.cloudfrontSlides.includes(this.currentSlide)
         };
     }
 
     // CloudFront specific navigation methods
     goToFirstCloudFrontSlide() {
-        this.goToSlide(20);
+        if (this.cloudfrontSlides.length) {
+            this.goToSlide(this.cloudfrontSlides[0]);
+        }
     }
 
     goToLastCloudFrontSlide() {
-        this.goToSlide(23);
+        if (this.cloudfrontSlides.length) {
+            this.goToSlide(this.cloudfrontSlides[this.cloudfrontSlides.length - 1]);
+        }
     }
 
     isCurrentSlideCloudFront() {
@@ -552,23 +1144,18 @@ class AWSSecurityPresentation {
         return ((currentIndex + 1) / this.cloudfrontSlides.length) * 100;
     }
 
-    // Auto-advance functionality (optional, not activated by default)
-    startAutoAdvance(intervalMs = 18000) { // Slightly longer for CloudFront slides
-        this.autoAdvanceInterval = setInterval(() => {
-            if (this.currentSlide < this.totalSlides) {
-                // Pause longer on CloudFront slides
-                const nextInterval = this.cloudfrontSlides.includes(this.currentSlide + 1) ? intervalMs * 1.5 : intervalMs;
-                this.goToNextSlide();
-            } else {
-                this.stopAutoAdvance();
-            }
-        }, intervalMs);
+    // Self-running playback (kiosk-mode.js): per-slide timings, reveal steps, tabs and accordion items.
+    // Ctrl+A starts it as is; index.html?kiosk passes { kiosk: true } to loop and hide the navigation chrome.
+    startAutoAdvance(options = {}) {
+        this.stopAutoAdvance();
+        this.autoAdvance = new KioskMode(this, options);
+        this.autoAdvance.start();
     }
 
     stopAutoAdvance() {
-        if (this.autoAdvanceInterval) {
-            clearInterval(this.autoAdvanceInterval);
-            this.autoAdvanceInterval = null;
+        if (this.autoAdvance) {
+            this.autoAdvance.stop();
+            this.autoAdvance = null;
         }
     }
 
@@ -587,27 +1174,18 @@ class AWSSecurityPresentation {
 
     // Method to navigate to specific sections for demo purposes
     navigateToSection(sectionName) {
-        const sectionMap = {
-            'intro': 1,
-            'introduction': 1,
-            'iam': 2,
-            'network': 3,
-            'data': 4,
-            'cloudfront': 4, // CloudFront is in section 4
-            'monitoring': 5,
-            'auto-detect-remediation': 6,
-            'pricing-protection': 7,
-            'scenarios': 8,
-            'best-practices': 9,
-        };
+        // Matches the manifest section key or one of its aliases
+        const name = sectionName.toLowerCase();
+        const match = Object.entries(this.sections).find(([, section]) => {
+            return section.key === name || section.aliases.includes(name);
+        });
 
-        const sectionId = sectionMap[sectionName.toLowerCase()];
-        if (sectionId) {
-            this.goToSection(sectionId);
+        if (match) {
+            this.goToSection(parseInt(match[0]));
         }
     }
 
-    // Export presentation data (useful for analytics)
+    // Export presentation data; `analytics` is the session recorded so far (analytics-recorder.js)
     getSessionData() {
         return {
             totalSlides: this.totalSlides,
@@ -616,39 +1194,124 @@ class AWSSecurityPresentation {
             cloudfrontSlides: this.cloudfrontSlides,
             currentSlideInfo: this.getCurrentSlideInfo(),
             timestamp: new Date().toISOString(),
-            version: '2.0-cloudfront'
+            version: this.manifest.version,
+            analytics: this.analytics ? this.analytics.getSession() : null
         };
     }
 
-    // Initialize from URL hash if present
+    // Go to the slide and in-slide state named by the URL hash (on load and on popstate).
+    // Old numeric hashes resolve through deck-links.js and are rewritten to the slug form.
     initFromURL() {
-        const hash = window.location.hash;
-        if (hash) {
-            const slideMatch = hash.match(/-(\d+)$/);
-            if (slideMatch) {
-                const slideNumber = parseInt(slideMatch[1]);
-                if (slideNumber >= 1 && slideNumber <= this.totalSlides) {
-                    this.goToSlide(slideNumber);
+        const target = DeckLinks.parseSlideHash(this.manifest, window.location.hash);
+        if (!target) {
+            this.updateURL({ replace: true });
+            return;
+        }
+
+        this.showSlideState(target.slide, target.state, { replaceHistory: true });
+    }
+
+    // Go to a slide with the given in-slide state (tab, accordion item, step), e.g. from a deep link or search
+    showSlideState(slideNumber, state, options = {}) {
+        this.slideState[slideNumber] = DeckLinks.normalizeState(state);
+        if (slideNumber === this.currentSlide) {
+            this.ready.then(() => {
+                if (options.step !== undefined) {
+                    this.showStep(options.step, slideNumber);
+                } else {
+                    this.applySteps(slideNumber);
                 }
+                this.restoreSlideState(slideNumber);
+            });
+            this.updateURL({ replace: true });
+            return;
+        }
+
+        const onActivated = (e) => {
+            if (e.detail.slide !== slideNumber) return;
+            window.removeEventListener('slide-activated', onActivated);
+            this.restoreSlideState(slideNumber);
+        };
+        window.addEventListener('slide-activated', onActivated);
+        this.goToSlide(slideNumber, options);
+    }
+
+    // Switch the deck language (i18n.js): shell strings, slide titles and sections follow at once, and mounted
+    // slides with translated content are rebuilt in place. The choice is kept in ?lang= and localStorage.
+    setLocale(locale) {
+        if (locale === this.locale || !DeckI18n.setLocale(locale, { persist: !document.body.classList.contains('mode-preview') })) {
+            return;
+        }
+        const previousEntries = this.slideEntries;
+        this.locale = locale;
+        this.slideEntries = this.localizeSlides();
+        this.sections = this.buildSections(this.manifest);
+
+        const url = new URL(window.location.href);
+        if (locale === DeckI18n.DEFAULT_LOCALE) {
+            url.searchParams.delete('lang');
+        } else {
+            url.searchParams.set('lang', locale);
+        }
+        history.replaceState(history.state, '', url);
+
+        DeckI18n.applyTranslations(document);
+        this.sectionBtns.forEach(btn => {
+            const section = this.sections[btn.dataset.section];
+            if (section) btn.textContent = section.name;
+        });
+        document.querySelectorAll('.dot').forEach((dot, index) => dot.setAttribute('title', this.getDotTitle(index + 1)));
+        this.updateNavigationButtons();
+
+        const changed = [];
+        previousEntries.forEach((entry, index) => {
+            const next = this.slideEntries[index];
+            if (entry.fragment !== next.fragment || entry.iframe !== next.iframe || entry.quiz !== next.quiz) {
+                changed.push(index + 1);
             }
+        });
+        this.ready = this.ready.then(() => this.remountSlides(changed));
+
+        window.dispatchEvent(new CustomEvent('locale-changed', { detail: { locale } }));
+    }
+
+    // Rebuild mounted slides whose content changed (and failed slides, whose message is translated too).
+    // The current slide keeps its reveal step, tabs and accordion items.
+    async remountSlides(slideNumbers) {
+        const remount = [];
+        document.querySelectorAll('.slide-container .slide[data-slide-id]').forEach(slideEl => {
+            const slideNumber = this.resolveSlideNumber(slideEl);
+            if (slideNumbers.includes(slideNumber) || slideEl.dataset.loadError) remount.push(slideNumber);
+        });
+        slideNumbers.forEach(slideNumber => {
+            delete this.fragmentCache[slideNumber];
+            delete this.fragmentNotes[slideNumber];
+            delete this.speakerNotes[slideNumber];
+        });
+
+        for (const slideNumber of remount) {
+            const isCurrent = slideNumber === this.currentSlide;
+            if (isCurrent) this.leaveSlide(slideNumber);
+            this.destroySlideHooks(slideNumber);
+            this.getSlideElement(slideNumber).remove();
+            if (!isCurrent) continue;
+
+            const slideEl = await this.mountSlide(slideNumber);
+            if (!slideEl) continue;
+            slideEl.classList.add('active');
+            this.applySteps(slideNumber);
+            this.restoreSlideState(slideNumber);
+            window.dispatchEvent(new CustomEvent('slide-activated', { detail: { slide: slideNumber, element: slideEl } }));
+            this.enterSlide(slideNumber, null);
         }
+        this.manageNeighbourSlides();
     }
 
-    // Performance tracking for CloudFront slides
+    // Views, dwell time, interactions and quiz answers recorded for the current slide in this session
     trackSlidePerformance() {
-        if (this.isCurrentSlideCloudFront()) {
-            const slideInfo = this.getCurrentSlideInfo();
-            console.log(`📊 CloudFront slide performance: ${slideInfo.title}`);
-
-            // Could implement analytics here
-            return {
-                slide: this.currentSlide,
-                section: 'CloudFront',
-                timestamp: Date.now(),
-                title: slideInfo.title
-            };
-        }
-        return null;
+        if (!this.analytics) return null;
+        const slideInfo = this.getCurrentSlideInfo();
+        return Object.assign({ slide: this.currentSlide, title: slideInfo.title, timestamp: Date.now() }, this.analytics.getSlideStats());
     }
 
     // Get training progress summary
@@ -663,18 +1326,16 @@ class AWSSecurityPresentation {
             currentSection: currentSectionId,
             totalSections: totalSections,
             sectionProgress: ((currentSectionId - 1) / totalSections) * 100,
-            slideProgress: (this.currentSlide / this.totalSlides) * 100,
+            slideProgress: this.getSlideProgress(),
             isCloudFrontSection: this.isCurrentSlideCloudFront(),
             cloudFrontProgress: this.getCloudFrontProgress(),
             estimatedTimeRemaining: this.getEstimatedTimeRemaining()
         };
     }
 
-    // Calculate estimated time remaining
+    // Planned minutes left after the current slide, from the section budgets (rehearsal-core.js)
     getEstimatedTimeRemaining() {
-        const remainingSlides = this.totalSlides - this.currentSlide;
-        const averageTimePerSlide = 5; // minutes
-        return remainingSlides * averageTimePerSlide;
+        return Math.round(DeckRehearsal.getPlannedRemainingMs(this.schedule, this.currentSlide) / 60000);
     }
 }
 
@@ -697,6 +1358,8 @@ function addTouchSupport() {
     });
 
     function handleSwipe() {
+        // A swipe while drawing is a stroke, not navigation
+        if (presentation.annotations && presentation.annotations.tool) return;
         const threshold = 100;
         const differenceX = startX - endX;
         const differenceY = Math.abs(startY - endY);
@@ -743,12 +1406,12 @@ function addKeyboardShortcuts() {
                     if (e.ctrlKey /*|| e.metaKey*/) {
                         e.preventDefault();
                         // Toggle auto-advance
-                        if (presentation.autoAdvanceInterval) {
+                        if (presentation.autoAdvance) {
                             presentation.stopAutoAdvance();
                             console.log('Auto-advance stopped');
                         } else {
                             presentation.startAutoAdvance();
-                            console.log('Auto-advance started (18s interval)');
+                            console.log('Auto-advance started (per-slide timings)');
                         }
                     }
                     break;
@@ -783,11 +1446,104 @@ function addKeyboardShortcuts() {
                         presentation.goToCloudFrontSection();
                     }
                     break;
+                // Switch between Vietnamese and English
+                case 'l':
+                    if (e.altKey) {
+                        e.preventDefault();
+                        presentation.setLocale(getNextLocale(presentation.locale));
+                    }
+                    break;
+                // Cycle light / dark / high-contrast themes
+                case 't':
+                    if (e.altKey) {
+                        e.preventDefault();
+                        DeckTheme.setTheme(getNextTheme(DeckTheme.getTheme()));
+                    }
+                    break;
             }
         }
     });
 }
 
+// Document of a same-origin iframe once its page has loaded (null for cross-origin or blank frames)
+function getFrameDocument(frame) {
+    try {
+        const doc = frame.contentDocument;
+        return doc && doc.readyState === 'complete' && doc.location.href !== 'about:blank' ? doc : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Step groups of the given roots in reveal order. A bare data-step follows the previous step element;
+// data-step="n" joins group n.
+function collectStepGroups(roots) {
+    const groups = new Map();
+    let order = 0;
+    roots.forEach(root => {
+        root.querySelectorAll(STEP_SELECTOR).forEach(el => {
+            const explicit = parseInt(el.dataset.step, 10);
+            order = Number.isNaN(explicit) ? order + 1 : explicit;
+            if (!groups.has(order)) groups.set(order, []);
+            groups.get(order).push(el);
+        });
+    });
+    return Array.from(groups.keys()).sort((a, b) => a - b).map(key => groups.get(key));
+}
+
+function injectStepStyle(doc) {
+    if (doc.getElementById('deck-step-style')) return;
+    const style = doc.createElement('style');
+    style.id = 'deck-step-style';
+    style.textContent = STEP_FRAME_STYLE;
+    doc.head.appendChild(style);
+}
+
+// Selected tab and open accordion item (1-based) in a slide or iframe document; the first tab is the default
+function readSlideState(root) {
+    const state = {};
+    const tabs = Array.from(root.querySelectorAll(SLIDE_STATE_TABS));
+    const activeTab = tabs.findIndex(tab => tab.classList.contains('active') || tab.getAttribute('aria-selected') === 'true');
+    if (activeTab > 0) state.tab = activeTab + 1;
+
+    const accordions = Array.from(root.querySelectorAll(SLIDE_STATE_ACCORDIONS));
+    const openItem = accordions.findIndex(button => button.classList.contains('active') || button.getAttribute('aria-expanded') === 'true');
+    if (openItem !== -1) state.accordion = openItem + 1;
+    return state;
+}
+
+// { kind, label } of a clicked tab, accordion item or control (a button or canvas, e.g. animation controls),
+// or null. Quiz answers are reported through `quiz-answered` instead.
+function describeInteraction(target) {
+    if (!target || !target.closest || target.closest('.quiz-root')) return null;
+    const label = (el) => (el.getAttribute('aria-label') || el.textContent || el.id || el.tagName.toLowerCase())
+        .replace(/\s+/g, ' ').trim().slice(0, 80);
+
+    const tab = target.closest(SLIDE_STATE_TABS);
+    if (tab) return { kind: 'tab', label: label(tab) };
+    const accordion = target.closest(SLIDE_STATE_ACCORDIONS);
+    if (accordion) return { kind: 'accordion', label: label(accordion) };
+    const control = target.closest('button, [role="button"], canvas');
+    return control ? { kind: 'control', label: label(control) } : null;
+}
+
+// Click the pages' own tab/accordion controls so their scripts run; returns whether anything matched
+function applySlideState(root, state) {
+    let applied = false;
+    const tab = state.tab && root.querySelectorAll(SLIDE_STATE_TABS)[state.tab - 1];
+    if (tab) {
+        if (!tab.classList.contains('active')) tab.click();
+        applied = true;
+    }
+
+    const accordion = state.accordion && root.querySelectorAll(SLIDE_STATE_ACCORDIONS)[state.accordion - 1];
+    if (accordion) {
+        if (!accordion.classList.contains('active')) accordion.click();
+        applied = true;
+    }
+    return applied;
+}
+
 // Enhanced loading experience
 function showLoadingState() {
     // Add loading class to body
@@ -803,25 +1559,38 @@ function showLoadingState() {
     });
 }
 
+// Call one lifecycle hook; a failing slide script must not break navigation
+function callLifecycleHook(registration, name, context) {
+    const hook = registration.hooks[name];
+    if (typeof hook !== 'function') return undefined;
+    try {
+        return hook(context);
+    } catch (err) {
+        console.warn(`Slide ${context.slide} ${name} hook failed`, err);
+        return undefined;
+    }
+}
+
 // Handle visibility change (useful for presentations)
 function handleVisibilityChange() {
     document.addEventListener('visibilitychange', () => {
-        if (document.hidden) {
-            // Page is hidden - pause any auto-advance
-            if (presentation.autoAdvanceInterval) {
-                presentation.stopAutoAdvance();
-                console.log('Auto-advance paused (page hidden)');
-            }
-        } else {
-            // Page is visible - could resume auto-advance if needed
-            console.log('Page is now visible');
+        // Let the current slide pause its animations while nobody can see them
+        presentation.setPageHidden(document.hidden);
+
+        // Auto-advance waits while the page is hidden and gives the slide its full time again when shown
+        if (presentation.autoAdvance) {
+            presentation.autoAdvance.setHidden(document.hidden);
         }
     });
 }
 
-// Add presentation controls overlay (for presenter mode)
+// Channel shared by the audience deck and presenter.html (same origin only)
+const PRESENTER_CHANNEL = 'aws-security-presenter';
+
+// Add presenter window toggle (opens presenter.html on a second screen)
 function addPresenterControls() {
     const controlsToggle = document.createElement('button');
+    controlsToggle.className = 'presenter-toggle';
     controlsToggle.innerHTML = '🎮';
     controlsToggle.style.position = 'fixed';
     controlsToggle.style.top = '20px';
@@ -835,71 +1604,122 @@ function addPresenterControls() {
     controlsToggle.style.height = '50px';
     controlsToggle.style.cursor = 'pointer';
     controlsToggle.style.fontSize = '20px';
-    controlsToggle.title = 'Toggle Presenter Controls';
+    controlsToggle.dataset.i18nTitle = 'presenter.open';
+    controlsToggle.title = DeckI18n.t('presenter.open');
 
-    let controlsVisible = false;
-
-    controlsToggle.addEventListener('click', () => {
-        controlsVisible = !controlsVisible;
-        if (controlsVisible) {
-            showPresenterInfo();
-        } else {
-            hidePresenterInfo();
-        }
-    });
+    controlsToggle.addEventListener('click', () => openPresenterWindow());
 
     document.body.appendChild(controlsToggle);
+}
+
+// Language button next to the presenter button; shows the language it switches to
+function addLocaleSwitch() {
+    const localeSwitch = document.createElement('button');
+    localeSwitch.type = 'button';
+    localeSwitch.className = 'locale-switch';
+    localeSwitch.dataset.i18nTitle = 'locale.switch';
+    localeSwitch.title = DeckI18n.t('locale.switch');
+
+    const update = () => {
+        const next = getNextLocale(presentation.locale);
+        localeSwitch.textContent = next.toUpperCase();
+        localeSwitch.setAttribute('aria-label', `${DeckI18n.t('locale.switch')}: ${DeckI18n.LOCALES[next]}`);
+    };
+    update();
+
+    localeSwitch.addEventListener('click', () => presentation.setLocale(getNextLocale(presentation.locale)));
+    window.addEventListener('locale-changed', update);
+
+    document.body.appendChild(localeSwitch);
+}
 
-    function showPresenterInfo() {
+function getNextLocale(locale) {
+    const locales = Object.keys(DeckI18n.LOCALES);
+    return locales[(locales.indexOf(locale) + 1) % locales.length];
+}
+
+// Theme button next to the language button; like it, shows the theme it switches to
+const THEME_ICONS = { light: '☀️', dark: '🌙', contrast: '◐' };
+
+function addThemeSwitch() {
+    const themeSwitch = document.createElement('button');
+    themeSwitch.type = 'button';
+    themeSwitch.className = 'theme-switch';
+    themeSwitch.dataset.i18nTitle = 'theme.switch';
+    themeSwitch.title = DeckI18n.t('theme.switch');
+
+    const update = () => {
+        const next = getNextTheme(DeckTheme.getTheme());
+        themeSwitch.textContent = THEME_ICONS[next];
+        themeSwitch.setAttribute('aria-label', `${DeckI18n.t('theme.switch')}: ${DeckI18n.t(`theme.${next}`)}`);
+    };
+    update();
+
+    themeSwitch.addEventListener('click', () => DeckTheme.setTheme(getNextTheme(DeckTheme.getTheme())));
+    window.addEventListener('theme-changed', update);
+    window.addEventListener('locale-changed', update);
+
+    document.body.appendChild(themeSwitch);
+}
+
+function getNextTheme(theme) {
+    const themes = DeckTheme.THEMES;
+    return themes[(themes.indexOf(theme) + 1) % themes.length];
+}
+
+function openPresenterWindow() {
+    const presenterWindow = window.open('presenter.html', 'aws-security-presenter', 'width=1280,height=800');
+    if (!presenterWindow) {
+        console.warn('Presenter window was blocked by the browser popup blocker');
+    }
+    return presenterWindow;
+}
+
+// Keep the audience deck and the presenter window in sync through BroadcastChannel.
+// The deck publishes its state on every slide change; the presenter sends navigation commands back.
+function addPresenterSync() {
+    if (typeof BroadcastChannel === 'undefined') {
+        console.warn('BroadcastChannel not supported - presenter view cannot sync');
+        return null;
+    }
+
+    const channel = new BroadcastChannel(PRESENTER_CHANNEL);
+
+    const publishState = async () => {
         const info = presentation.getCurrentSlideInfo();
         const progress = presentation.getTrainingProgress();
-        const infoPanel = document.createElement('div');
-        infoPanel.id = 'presenter-info';
-        infoPanel.style.position = 'fixed';
-        infoPanel.style.top = '80px';
-        infoPanel.style.right = '20px';
-        infoPanel.style.background = 'rgba(35, 47, 62, 0.95)';
-        infoPanel.style.color = 'white';
-        infoPanel.style.padding = '20px';
-        infoPanel.style.borderRadius = '10px';
-        infoPanel.style.zIndex = '999';
-        infoPanel.style.minWidth = '300px';
-        infoPanel.style.fontSize = '14px';
-
-        infoPanel.innerHTML = `
-            <h3 style="margin-top: 0; color: #FF9900;">Presenter Controls</h3>
-            <p><strong>Current:</strong> ${info.number}/${info.total}</p>
-            <p><strong>Title:</strong> ${info.title}</p>
-            <p><strong>Section:</strong> ${info.section ? info.section.name : 'N/A'}</p>
-            <p><strong>Duration:</strong> ${info.section ? info.section.duration : 'N/A'}</p>
-            ${info.isCloudFront ? '<p><strong>🌐 CloudFront Slide</strong></p>' : ''}
-            <div style="background: #4A90E2; height: 4px; border-radius: 2px; margin: 10px 0;">
-                <div style="background: #FF9900; height: 100%; width: ${progress.slideProgress}%; border-radius: 2px;"></div>
-            </div>
-            <p><strong>Progress:</strong> ${Math.round(progress.slideProgress)}%</p>
-            <p><strong>Time Left:</strong> ~${progress.estimatedTimeRemaining} minutes</p>
-            <hr style="border-color: #666;">
-            <p><strong>Shortcuts:</strong></p>
-            <ul style="margin: 0; padding-left: 20px; font-size: 12px;">
-                <li>Arrow keys: Navigate</li>
-                <li>Ctrl+F: Fullscreen</li>
-                <li>Ctrl+1-7: Jump to section</li>
-                <li>Alt+C: CloudFront section</li>
-                <li>Alt+I/M/S/B: Quick navigation</li>
-                <li>Ctrl+A: Toggle auto-advance</li>
-                <li>Ctrl+P: Print session data</li>
-            </ul>
-        `;
-
-        document.body.appendChild(infoPanel);
-    }
-
-    function hidePresenterInfo() {
-        const infoPanel = document.getElementById('presenter-info');
-        if (infoPanel) {
-            infoPanel.remove();
+        const notes = await presentation.getSpeakerNotes(info.number);
+        channel.postMessage({ type: 'state', info, progress, notes, locale: presentation.locale });
+    };
+
+    window.addEventListener('slide-activated', publishState);
+    window.addEventListener('slide-step', publishState);
+    window.addEventListener('locale-changed', publishState);
+
+    channel.addEventListener('message', (e) => {
+        const message = e.data || {};
+        switch (message.type) {
+            case 'hello':
+                publishState();
+                break;
+            case 'goto':
+                // `step` (optional) is the reveal step to show, also on the current slide (narration recording)
+                if (message.slide === presentation.currentSlide && message.step !== undefined) {
+                    presentation.showStep(message.step);
+                } else {
+                    presentation.goToSlide(message.slide, { force: true, step: message.step });
+                }
+                break;
+            case 'next':
+                presentation.goToNextSlide();
+                break;
+            case 'prev':
+                presentation.goToPrevSlide();
+                break;
         }
-    }
+    });
+
+    return channel;
 }
 
 // Initialize presentation when DOM is loaded
@@ -909,8 +1729,16 @@ document.addEventListener('DOMContentLoaded', () => {
     // Show loading state
     showLoadingState();
 
-    // Initialize presentation
+    // Preview frames (used by presenter.html) show only the slide and never take part in sync
+    const previewMode = new URLSearchParams(window.location.search).get('mode') === 'preview';
+
+    // Deck language from ?lang= or the last choice; preview frames follow the presenter without storing it
+    DeckI18n.setLocale(DeckI18n.getLocale(), { persist: !previewMode });
+    DeckI18n.applyTranslations(document);
+
+    // Initialize presentation (also on window: slide scripts and iframe pages register lifecycle hooks through it)
     presentation = new AWSSecurityPresentation();
+    window.presentation = presentation;
 
     // Add touch support for mobile
     addTouchSupport();
@@ -921,8 +1749,60 @@ document.addEventListener('DOMContentLoaded', () => {
     // Handle visibility changes
     handleVisibilityChange();
 
-    // Add presenter controls (optional)
-    addPresenterControls();
+    if (previewMode) {
+        document.body.classList.add('mode-preview');
+        // Annotations drawn in the deck window show up in the presenter's previews
+        presentation.annotations = new AnnotationLayer(presentation, { readOnly: true });
+    } else {
+        // Add presenter controls (optional)
+        addPresenterControls();
+        addLocaleSwitch();
+        addThemeSwitch();
+
+        // Slide overview grid (press O)
+        window.slideOverview = new SlideOverview(presentation);
+        window.searchPalette = new SearchPalette(presentation);
+
+        // Sync with the presenter window
+        addPresenterSync();
+
+        // Record navigation, dwell time and interactions for analytics.html
+        presentation.analytics = new AnalyticsRecorder(presentation);
+
+        // Self-running booth / lobby screen when opened with ?kiosk
+        const kioskOptions = KioskMode.fromURL();
+        if (kioskOptions) {
+            presentation.ready.then(() => presentation.startAutoAdvance(kioskOptions));
+        }
+
+        // Recorded narration for self-paced learners when opened with ?narration
+        if (NarrationPlayer.fromURL()) {
+            Promise.all([NarrationPlayer.loadIndex(), presentation.ready]).then(([index]) => {
+                window.narrationPlayer = new NarrationPlayer(presentation, index);
+            });
+        }
+
+        // Join a LAN live session when opened with ?live=presenter|audience
+        const liveOptions = LiveSession.fromURL();
+        if (liveOptions) {
+            window.liveSession = new LiveSession(presentation, liveOptions);
+            connectKnowledgeChecks(window.liveSession);
+            // The presenter can pair a phone as a remote control (📱, QR code)
+            if (liveOptions.role === 'presenter') {
+                window.remotePairing = new RemotePairing(presentation, window.liveSession);
+            }
+        }
+
+        // Pen, highlighter, laser and eraser over the slides (toolbar on the left); attendees see the presenter's
+        const attendee = Boolean(liveOptions) && liveOptions.role === 'audience';
+        presentation.annotations = new AnnotationLayer(presentation, { readOnly: attendee, local: !attendee });
+        if (window.liveSession) presentation.annotations.connectLive(window.liveSession);
+
+        // Cache the deck for offline training rooms and show the cache status
+        if (OfflineSupport.isSupported() && !DeckBundle.isSingleFile()) {
+            window.offlineSupport = new OfflineSupport();
+        }
+    }
 
     // Add focus management for accessibility
     document.addEventListener('focusin', (e) => {
@@ -950,7 +1830,7 @@ window.addEventListener('popstate', (e) => {
 
 // Handle page unload (cleanup)
 window.addEventListener('beforeunload', (e) => {
-    if (presentation.autoAdvanceInterval) {
+    if (presentation.autoAdvance) {
         presentation.stopAutoAdvance();
     }
 });
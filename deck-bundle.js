@@ -0,0 +1,63 @@
+// AWS Security Training - static bundle access
+// `npm run build` (scripts/build-static.js) inlines fragments, notes and quizzes into
+// window.DECK_BUNDLE = { singleFile, files: { path: text }, assets: { path: { type, text, deps } } }.
+// Without a bundle (development) every read falls back to fetch(), so the same code runs in both.
+//   files:  text the deck reads itself (slides/*.html, notes/*.html, quizzes/*.json)
+//   assets: only in the single-file build - iframe pages and their scripts/styles, served as blob: URLs
+(function (root) {
+    const blobUrls = {};
+
+    function getBundle() {
+        return root.DECK_BUNDLE || null;
+    }
+
+    // Manifest and fragments mix "slide-1.html" and "/slide-1.html"
+    function normalizePath(path) {
+        return path.replace(/^\.?\//, '');
+    }
+
+    function isBundled() {
+        return Boolean(getBundle());
+    }
+
+    function isSingleFile() {
+        return Boolean(getBundle() && getBundle().singleFile);
+    }
+
+    // Text of a deck file: the bundled copy in a build, fetched in development (throws when missing)
+    async function readText(path, fetchOptions = { cache: 'no-cache' }) {
+        const bundle = getBundle();
+        if (bundle) {
+            const key = normalizePath(path);
+            if (!(key in bundle.files)) throw new Error(`${path} is not part of the bundle`);
+            return bundle.files[key];
+        }
+
+        const resp = await fetch(path, fetchOptions);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${path}`);
+        return resp.text();
+    }
+
+    async function readJSON(path, fetchOptions) {
+        return JSON.parse(await readText(path, fetchOptions));
+    }
+
+    // URL for a page or script: a blob: URL for single-file assets (dependencies first), the path otherwise
+    function resolveUrl(path) {
+        const bundle = getBundle();
+        const key = normalizePath(path);
+        const asset = bundle && bundle.assets && bundle.assets[key];
+        if (!asset) return path;
+
+        if (!blobUrls[key]) {
+            let text = asset.text;
+            (asset.deps || []).forEach(dep => {
+                text = text.split(`"${dep}"`).join(`"${resolveUrl(dep)}"`);
+            });
+            blobUrls[key] = URL.createObjectURL(new Blob([text], { type: asset.type }));
+        }
+        return blobUrls[key];
+    }
+
+    root.DeckBundle = { isBundled, isSingleFile, readText, readJSON, resolveUrl };
+})(window);
@@ -0,0 +1,68 @@
+// AWS Security Training - deep links
+// Slide hashes use the stable manifest slug plus optional in-slide state, so links survive renumbering:
+//   #iam-overview                                  the slide
+//   #monitoring-response-scenarios?accordion=2     second accordion item opened
+//   #real-world-incidents?tab=3                    third incident tab selected
+// State values are 1-based (step, tab, accordion). Old numeric hashes (#iam-7, #data-cloudfront-21,
+// #slide-7) used the original numbering, which is the number in the fragment file name, and still resolve.
+// Loaded as a plain <script> in the browser (window.DeckLinks) and via require() from the Node scripts.
+(function (root) {
+    const STATE_KEYS = ['step', 'tab', 'accordion'];
+
+    // Keep only known positive integer state values
+    function normalizeState(state) {
+        const normalized = {};
+        STATE_KEYS.forEach(key => {
+            const value = parseInt(state && state[key], 10);
+            if (value > 0) normalized[key] = value;
+        });
+        return normalized;
+    }
+
+    function buildSlideHash(manifest, slideNumber, state) {
+        const entry = manifest.slides[slideNumber - 1];
+        if (!entry) return '';
+
+        const params = new URLSearchParams();
+        const normalized = normalizeState(state);
+        STATE_KEYS.forEach(key => {
+            if (normalized[key]) params.set(key, normalized[key]);
+        });
+        const query = params.toString();
+        return `#${entry.slug}${query ? `?${query}` : ''}`;
+    }
+
+    // Original slide N lives in slides/slide-N.html (or slide-N.html for slides shown as an iframe page)
+    function findLegacySlide(manifest, number) {
+        const index = manifest.slides.findIndex(entry =>
+            entry.fragment === `slides/slide-${number}.html` || entry.iframe === `slide-${number}.html`);
+        return index === -1 ? null : index + 1;
+    }
+
+    // '#slug?tab=2' -> { slide, state } (null when the hash names no slide)
+    function parseSlideHash(manifest, hash) {
+        const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+        if (!path) return null;
+
+        const name = decodeURIComponent(path);
+        const state = normalizeState(Object.fromEntries(new URLSearchParams(query)));
+
+        const index = manifest.slides.findIndex(entry => entry.slug === name || entry.id === name);
+        if (index !== -1) return { slide: index + 1, state };
+
+        const legacyMatch = name.match(/-(\d+)$/);
+        if (legacyMatch) {
+            const slide = findLegacySlide(manifest, parseInt(legacyMatch[1], 10));
+            if (slide) return { slide, state };
+        }
+        return null;
+    }
+
+    const DeckLinks = { STATE_KEYS, normalizeState, buildSlideHash, parseSlideHash, findLegacySlide };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckLinks;
+    } else {
+        root.DeckLinks = DeckLinks;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,96 @@
+// AWS Security Training - deck manifest
+// Single source of truth for slide order, sections and per-slide metadata.
+// Slide numbers are derived from the position in `slides`, so reordering or
+// inserting a slide is a one-line edit here. Loaded as a plain <script> in the
+// browser (window.DECK_MANIFEST) and via require() from the Node scripts.
+(function (root) {
+    const DECK_MANIFEST = {
+        title: 'AWS Security Fundamentals',
+        version: '3.0-manifest',
+
+        // Slide loader (app.js): fragments prefetched on each side of the current slide, and how many
+        // slides away an iframe page stays loaded before it is unloaded to save memory and CPU.
+        loader: { prefetch: 1, iframeWindow: 1 },
+
+        // Kiosk / auto-advance (kiosk-mode.js): a slide shows for its `kiosk` seconds, or its `duration` minutes
+        // × secondsPerMinute within [minSeconds, maxSeconds]; steps, tabs and accordion items get at least
+        // beatSeconds each; visitor input pauses playback for idleSeconds.
+        kiosk: { secondsPerMinute: 4, minSeconds: 12, maxSeconds: 40, beatSeconds: 5, idleSeconds: 60 },
+
+        // Sections in presentation order. `duration` is the planned budget shown to trainers,
+        // `aliases` are extra names accepted by navigateToSection(), `i18n` holds translated fields (i18n.js).
+        sections: [
+            { key: 'intro', name: 'Giới thiệu', duration: '20 phút', aliases: ['introduction'], i18n: { en: { name: 'Introduction', duration: '20 min' } } },
+            { key: 'iam', name: 'IAM', duration: '28 phút', aliases: [], i18n: { en: { duration: '28 min' } } },
+            { key: 'network', name: 'Network', duration: '28 phút', aliases: [], i18n: { en: { duration: '28 min' } } },
+            { key: 'data', name: 'Data & CloudFront', duration: '33 phút', aliases: ['cloudfront'], i18n: { en: { duration: '33 min' } } },
+            { key: 'monitoring', name: 'Monitoring', duration: '18 phút', aliases: [], i18n: { en: { duration: '18 min' } } },
+            { key: 'ai-guard', name: 'AI Guard', duration: '15 phút', aliases: ['auto-detect-remediation'], i18n: { en: { duration: '15 min' } } },
+            { key: 'best-practices', name: 'Best practices', duration: '15 phút', aliases: [], i18n: { en: { duration: '15 min' } } },
+            { key: 'scenarios', name: 'Scenarios', duration: '15 phút', aliases: [], i18n: { en: { duration: '15 min' } } },
+            { key: 'thank-you', name: '❤️', duration: '1 phút', aliases: ['qa'], i18n: { en: { duration: '1 min' } } }
+        ],
+
+        // Slides in presentation order.
+        //   fragment: HTML fragment loaded into .slide-container (optional)
+        //   iframe:   standalone page shown by the slide; used to build the slide when there is no fragment
+        //   quiz:     knowledge check data file (quizzes/<section>.json) rendered by quiz-client.js
+        //   duration: planned minutes
+        //   kiosk:    seconds on screen in kiosk mode (optional; derived from `duration` otherwise)
+        //   i18n:     per-locale overrides ({ en: { title, fragment, iframe, quiz } }); untranslated fields
+        //             fall back to the Vietnamese entry
+        slides: [
+            { id: 'cover', slug: 'aws-security-fundamentals', title: 'AWS Security Fundamentals', section: 'intro', fragment: null, iframe: 'slide-1.html', tags: ['cover'], duration: 2 },
+            { id: 'incidents', slug: 'real-world-incidents', title: 'Phân Tích Các Sự Cố An Ninh Mạng Thực Tế', section: 'intro', fragment: 'slides/slide-2.html', iframe: 'slide-real-world-incidents.html', tags: ['incidents', 'chart'], duration: 6, i18n: { en: { title: 'Real-World Security Incidents' } } },
+            { id: 'shared-responsibility', slug: 'shared-responsibility-model', title: 'Shared Responsibility Model', section: 'intro', fragment: 'slides/slide-3.html', iframe: 'slide-aws-shared-responsibility-model.html', tags: ['shared-responsibility'], duration: 5 },
+            { id: 'intro-blank', slug: 'intro-blank', title: 'Thảo luận', section: 'intro', fragment: 'slides/slide-4.html', iframe: null, tags: ['placeholder'], duration: 2, i18n: { en: { title: 'Discussion' } } },
+            { id: 'why-security', slug: 'why-aws-security', title: 'Tại sao AWS Security quan trọng?', section: 'intro', fragment: 'slides/slide-5.html', iframe: 'slide-5-why.html', tags: ['three'], duration: 5, i18n: { en: { title: 'Why AWS Security Matters' } } },
+
+            { id: 'iam-overview', slug: 'iam-overview', title: 'Tổng Quan Trực Quan về AWS IAM', section: 'iam', fragment: 'slides/slide-6.html', iframe: 'slide-6-iam-overview.html', tags: ['iam'], duration: 6, i18n: { en: { title: 'AWS IAM at a Glance' } } },
+            { id: 'iam-identities', slug: 'iam-users-groups-roles-policies', title: 'Trực Quan Hóa Các Khái Niệm AWS IAM', section: 'iam', fragment: 'slides/slide-7.html', iframe: 'slide-7-iam-users-groups-roles-policies.html', tags: ['iam'], duration: 6, i18n: { en: { title: 'Visualizing AWS IAM Concepts' } } },
+            { id: 'least-privilege', slug: 'principle-of-least-privilege', title: 'Nguyên Tắc Đặc Quyền Tối Thiểu (PoLP)', section: 'iam', fragment: 'slides/slide-8.html', iframe: 'slide-8-principle-of-least-privilege.html', tags: ['iam'], duration: 6, i18n: { en: { title: 'Principle of Least Privilege (PoLP)' } } },
+            { id: 'root-account', slug: 'root-account-best-practices', title: 'Bảo Mật Tài Khoản Root AWS', section: 'iam', fragment: 'slides/slide-9.html', iframe: 'slide-9-root-account-best-practices.html', tags: ['iam'], duration: 5, i18n: { en: { title: 'Securing the AWS Root Account' } } },
+            { id: 'iam-blank', slug: 'iam-blank', title: 'Thảo luận IAM', section: 'iam', fragment: 'slides/slide-10.html', iframe: null, tags: ['placeholder'], duration: 2, i18n: { en: { title: 'IAM Discussion' } } },
+            { id: 'iam-quiz', slug: 'iam-knowledge-check', title: 'Kiểm tra nhanh: IAM', section: 'iam', fragment: null, iframe: null, quiz: 'quizzes/iam.json', tags: ['quiz'], duration: 3, i18n: { en: { title: 'Knowledge Check: IAM' } } },
+
+            { id: 'vpc-security', slug: 'vpc-security-overview', title: 'VPC Security Overview', section: 'network', fragment: 'slides/slide-11.html', iframe: null, tags: ['network'], duration: 5, i18n: { en: { fragment: 'slides/en/slide-11.html' } } },
+            { id: 'sg-vs-nacl', slug: 'security-groups-vs-nacls', title: 'Security Groups vs Network ACLs', section: 'network', fragment: 'slides/slide-12.html', iframe: null, tags: ['network'], duration: 5, i18n: { en: { fragment: 'slides/en/slide-12.html' } } },
+            { id: 'subnets', slug: 'public-vs-private-subnets', title: 'Public vs Private Subnets', section: 'network', fragment: 'slides/slide-13.html', iframe: null, tags: ['network'], duration: 5 },
+            { id: 'ec2-security', slug: 'ec2-security-best-practices', title: 'EC2 Security Best Practices', section: 'network', fragment: 'slides/slide-14.html', iframe: null, tags: ['network'], duration: 5 },
+            { id: 'waf-shield', slug: 'aws-waf-shield', title: 'AWS WAF & Shield Introduction', section: 'network', fragment: 'slides/slide-15.html', iframe: null, tags: ['network'], duration: 5 },
+            { id: 'network-quiz', slug: 'network-knowledge-check', title: 'Kiểm tra nhanh: Network', section: 'network', fragment: null, iframe: null, quiz: 'quizzes/network.json', tags: ['quiz'], duration: 3, i18n: { en: { title: 'Knowledge Check: Network' } } },
+
+            { id: 'encryption', slug: 'encryption-fundamentals', title: 'Encryption Fundamentals', section: 'data', fragment: 'slides/slide-16.html', iframe: null, tags: ['data'], duration: 4 },
+            { id: 'kms', slug: 'aws-kms-deep-dive', title: 'AWS KMS Deep Dive', section: 'data', fragment: 'slides/slide-17.html', iframe: null, tags: ['data'], duration: 4 },
+            { id: 's3-security', slug: 's3-security-encryption', title: 'S3 Security & Encryption', section: 'data', fragment: 'slides/slide-18.html', iframe: null, tags: ['data'], duration: 4 },
+            { id: 'cloudfront-security', slug: 'cloudfront-security-features', title: 'AWS CloudFront Security Features', section: 'data', fragment: 'slides/slide-19.html', iframe: 'slide-21-cloudfront-security.html', tags: ['cloudfront'], duration: 4 },
+            { id: 'cloudfront-overview', slug: 'cloudfront-overview', title: 'CloudFront Overview & S3 Integration', section: 'data', fragment: 'slides/slide-20.html', iframe: null, tags: ['cloudfront', 'canvas'], duration: 5 },
+            { id: 'cloudfront-s3-best-practices', slug: 'cloudfront-s3-best-practices', title: 'CloudFront + S3 Best Practices', section: 'data', fragment: 'slides/slide-21.html', iframe: 'slide-21-cloudfront-s3-best-practices.html', tags: ['cloudfront'], duration: 4 },
+            { id: 'cloudfront-demo', slug: 'cloudfront-demo-setup', title: 'Demo Setup - CloudFront + S3 Security', section: 'data', fragment: 'slides/slide-22.html', iframe: null, tags: ['cloudfront', 'demo'], duration: 4 },
+            { id: 'data-quiz', slug: 'data-knowledge-check', title: 'Kiểm tra nhanh: Data & CloudFront', section: 'data', fragment: null, iframe: null, quiz: 'quizzes/data.json', tags: ['quiz'], duration: 3, i18n: { en: { title: 'Knowledge Check: Data & CloudFront' } } },
+            { id: 'data-break', slug: 'let-continue', title: 'Let continue ?', section: 'data', fragment: 'slides/slide-23.html', iframe: null, tags: ['break'], duration: 1, i18n: { en: { title: 'Let\'s continue?' } } },
+
+            { id: 'cloudtrail', slug: 'aws-cloudtrail', title: 'AWS CloudTrail - Hộp Đen của Đám Mây', section: 'monitoring', fragment: 'slides/slide-24.html', iframe: 'slide-24-aws-cloudtrail.html', tags: ['monitoring'], duration: 4, i18n: { en: { title: 'AWS CloudTrail - The Black Box of the Cloud' } } },
+            { id: 'cloudwatch', slug: 'aws-cloudwatch', title: 'AWS CloudWatch for Security Monitoring', section: 'monitoring', fragment: 'slides/slide-25.html', iframe: 'slide-25-aws-cloudwatch.html', tags: ['monitoring'], duration: 4 },
+            { id: 'aws-config', slug: 'aws-config', title: 'AWS Config & Automated Remediation', section: 'monitoring', fragment: 'slides/slide-26.html', iframe: 'slide-aws-config.html', tags: ['monitoring', 'chart'], duration: 4 },
+            { id: 'aws-config-loop', slug: 'aws-config-compliance-loop', title: 'AWS Config: Automated Compliance Loop', section: 'monitoring', fragment: 'slides/slide-27.html', iframe: 'canvas-aws-config.html', tags: ['monitoring', 'canvas'], duration: 3 },
+            { id: 'monitoring-quiz', slug: 'monitoring-knowledge-check', title: 'Kiểm tra nhanh: Monitoring', section: 'monitoring', fragment: null, iframe: null, quiz: 'quizzes/monitoring.json', tags: ['quiz'], duration: 3, i18n: { en: { title: 'Knowledge Check: Monitoring' } } },
+
+            { id: 'ai-security', slug: 'aws-ai-powered-security', title: 'Tổng Quan AWS AI-Powered Security', section: 'ai-guard', fragment: 'slides/slide-28.html', iframe: 'slide-28-aws-ai-protect.html', tags: ['ai'], duration: 5, i18n: { en: { title: 'AWS AI-Powered Security Overview' } } },
+            { id: 'macie', slug: 'aws-macie', title: 'Amazon Macie', section: 'ai-guard', fragment: 'slides/slide-29.html', iframe: 'slide-aws-macie.html', tags: ['ai'], duration: 5 },
+            { id: 'guardduty', slug: 'aws-guardduty', title: 'AWS GuardDuty - Intelligent Threat Detection', section: 'ai-guard', fragment: 'slides/slide-30.html', iframe: 'slide-30-aws-guardduty.html', tags: ['ai'], duration: 5 },
+
+            { id: 'best-practices', slug: 'aws-best-practices-checklist', title: 'AWS Best Practices - The Complete Checklist', section: 'best-practices', fragment: 'slides/slide-31.html', iframe: 'slide-31-best-practice.html', tags: ['checklist'], duration: 15 },
+
+            { id: 'scenarios', slug: 'monitoring-response-scenarios', title: '4 Kịch Bản Giám sát & Phản ứng Tự động trên AWS', section: 'scenarios', fragment: 'slides/slide-32.html', iframe: 'slide-32-scenario.html', tags: ['scenario'], duration: 15, i18n: { en: { title: '4 Monitoring & Automated Response Scenarios on AWS' } } },
+
+            { id: 'thank-you', slug: 'thank-you', title: 'Thank You & Q&A', section: 'thank-you', fragment: 'slides/slide-33.html', iframe: 'slide-33-thankyou.html', tags: ['three'], duration: 1 }
+        ]
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DECK_MANIFEST;
+    } else {
+        root.DECK_MANIFEST = DECK_MANIFEST;
+    }
+})(typeof window !== 'undefined' ? window : this);
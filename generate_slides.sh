@@ -1,5 +1,7 @@
 #!/usr/bin/env bash
 # Generate slide fragment files into slides/ directory.
+# Speaker notes go inside the slide root as <aside class="notes" lang="vi|en">…</aside>;
+# app.js strips them from the audience view (see speaker-notes.js).
 set -e
 mkdir -p slides
 
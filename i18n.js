@@ -0,0 +1,531 @@
+// AWS Security Training - languages
+// Shell UI strings per locale, and translated manifest entries:
+//   - t('nav.next') looks the key up in the current locale, then in Vietnamese (the deck's default
+//     language), then returns the key itself, so a missing translation never shows up blank
+//   - manifest sections and slides may carry `i18n: { en: { name, duration, title, fragment, iframe, quiz } }`;
+//     localize() overlays those fields and keeps the Vietnamese value for everything not translated
+//   - static markup opts in with data-i18n (text), data-i18n-title, data-i18n-aria-label and
+//     data-i18n-placeholder, filled in by applyTranslations()
+// The locale comes from ?lang= in the URL, then the last choice stored in localStorage, then Vietnamese.
+// Loaded as a plain <script> in the browser (window.DeckI18n) and via require() from the Node scripts.
+(function (root) {
+    const DEFAULT_LOCALE = 'vi';
+    const LOCALES = { vi: 'Tiếng Việt', en: 'English' };
+    const STORAGE_KEY = 'aws-security-locale';
+    const TRANSLATED_ATTRIBUTES = ['title', 'aria-label', 'placeholder'];
+
+    const MESSAGES = {
+        vi: {
+            'deck.pageTitle': 'AWS Security Training - Đào tạo Bảo mật AWS',
+            'nav.prev': '← Trước',
+            'nav.next': 'Tiếp →',
+            'nav.start': '🏠 Bắt đầu',
+            'nav.finish': 'Kết thúc 🎯',
+            'slide.loadError': '⚠️ Không tải được slide này.',
+            'slide.retry': 'Thử lại',
+            'announce.slide': 'Slide {number} của {total}: {title}. Phần: {section}',
+            'announce.cloudfront': 'Nội dung CloudFront mới.',
+            'locale.switch': 'Đổi ngôn ngữ (Alt+L)',
+            'theme.switch': 'Đổi giao diện (Alt+T)',
+            'theme.light': 'Sáng',
+            'theme.dark': 'Tối',
+            'theme.contrast': 'Tương phản cao',
+            'presenter.open': 'Open Presenter View',
+
+            'overview.title': 'Tổng quan slide',
+            'overview.hint': '←↑↓→ chọn · Enter mở · Esc đóng',
+            'overview.close': 'Đóng tổng quan',
+
+            'search.title': 'Tìm kiếm slide',
+            'search.input': 'Tìm kiếm',
+            'search.placeholder': 'Tìm trong slide, tab, ghi chú…',
+            'search.hint': '↑↓ chọn · Enter mở · Esc đóng',
+            'search.prompt': 'Gõ từ khóa, ví dụ "dac quyen" hoặc "CloudTrail"',
+            'search.count': '{count} kết quả',
+            'search.none': 'Không tìm thấy kết quả',
+            'search.unavailable': 'Không tải được chỉ mục tìm kiếm',
+            'search.tab': 'Tab: {label}',
+            'search.accordion': 'Mục: {label}',
+            'search.notes': 'Ghi chú',
+            'search.notesLang': 'Ghi chú ({lang})',
+
+            'quiz.loadError': 'Không tải được câu hỏi.',
+            'quiz.counter': 'Câu {number} / {total}',
+            'quiz.type.single': 'Chọn một đáp án',
+            'quiz.type.multiple': 'Chọn nhiều đáp án',
+            'quiz.type.truefalse': 'Đúng / Sai',
+            'quiz.type.ordering': 'Sắp xếp theo thứ tự',
+            'quiz.results': '{total} câu trả lời · {correct} đúng',
+            'quiz.waiting': 'Đang chờ câu trả lời…',
+            'quiz.correct': '✅ Chính xác!',
+            'quiz.incorrect': '❌ Chưa đúng - xem đáp án được đánh dấu.',
+            'quiz.submitted': '📨 Đã gửi câu trả lời. Bạn có thể đổi và gửi lại.',
+            'quiz.sending': '📨 Đang gửi…',
+            'quiz.correctOrder': 'Thứ tự đúng: {order}',
+            'quiz.positionNote': 'Số người đặt đúng vị trí của từng bước',
+            'quiz.prev': '← Câu trước',
+            'quiz.next': 'Câu tiếp →',
+            'quiz.reveal': 'Hiện đáp án',
+            'quiz.submit': 'Gửi câu trả lời',
+            'quiz.true': 'Đúng',
+            'quiz.false': 'Sai',
+            'quiz.moveUp': 'Chuyển "{item}" lên',
+            'quiz.moveDown': 'Chuyển "{item}" xuống',
+
+            'live.connecting': '📡 Đang kết nối…',
+            'live.connectingTitle': 'Phiên trực tiếp: {url}',
+            'live.presenting': '📡 Đang phát',
+            'live.presentingTitle': 'Học viên đang theo dõi slide này',
+            'live.following': '🔗 Đang theo presenter',
+            'live.followingTitle': 'Bấm để tự xem slide',
+            'live.rejoin': '↩️ Quay lại presenter',
+            'live.rejoinSlide': '↩️ Quay lại presenter (slide {number})',
+            'live.rejoinTitle': 'Bấm để theo presenter trở lại',
+
+            'offline.error': '⚠️ Không bật được offline',
+            'offline.progress': '⏳ Đang lưu offline {done}/{total}',
+            'offline.progressTitle': 'Đang tải slide để dùng offline',
+            'offline.checking': '⏳ Đang kiểm tra bộ nhớ offline…',
+            'offline.offlineComplete': '📴 Offline - dùng bản đã lưu',
+            'offline.offlineMissing': '📴 Offline - thiếu {count} tệp',
+            'offline.versionTitle': 'Phiên bản cache {version}',
+            'offline.ready': '✅ Sẵn sàng offline',
+            'offline.readyTitle': 'Đã lưu cả {total} tệp (phiên bản {version})',
+            'offline.partial': '⚠️ Đã lưu {cached}/{total} - bấm để thử lại',
+            'offline.partialTitle': 'Một số tệp chưa lưu được; bấm để thử lại',
+
+            'presenter.pageTitle': 'Presenter View - AWS Security Training',
+            'presenter.waiting': 'Đang chờ kết nối với slide deck…',
+            'presenter.elapsed': 'Đã trình bày',
+            'presenter.remaining': 'Còn lại',
+            'presenter.inSection': 'Trong phần',
+            'presenter.current': 'Slide hiện tại',
+            'presenter.next': 'Slide tiếp theo',
+            'presenter.section': 'Phần',
+            'presenter.budget': 'Budget',
+            'presenter.noNotes': 'Chưa có ghi chú cho slide này.',
+            'presenter.shortcuts': 'Shortcuts',
+            'presenter.shortcutsHelp': 'Arrow keys / Space / PageUp / PageDown: Navigate · Home / End: First / last slide',
+            'presenter.resetClock': '⏱️ Reset',
+            'presenter.disconnected': '○ Chưa kết nối',
+            'presenter.connected': '● Đã kết nối',
+            'presenter.noChannel': 'BroadcastChannel không được hỗ trợ',
+            'presenter.stepCounter': '{number} / {total} · bước {step}/{count}',
+            'presenter.nextStep': '{number}. {title} (bước {step}/{count})',
+            'presenter.pace': 'Nhịp độ',
+            'presenter.ahead': 'Sớm {time}',
+            'presenter.behind': 'Trễ {time}',
+            'presenter.onTrack': 'Đúng nhịp',
+            'presenter.overrun': '⚠️ {section} đã vượt ngân sách {time}',
+            'presenter.pauseClock': '⏸️ Tạm dừng',
+            'presenter.resumeClock': '▶️ Tiếp tục',
+            'presenter.saveRun': '💾 Lưu lượt tập',
+            'presenter.runSaved': '✅ Đã lưu',
+            'presenter.runNotSaved': '⚠️ Không lưu được',
+            'presenter.runs': 'So sánh các lượt tập',
+            'presenter.noRuns': 'Chưa có lượt tập nào được lưu.',
+            'presenter.thisRun': 'Lượt này',
+            'presenter.total': 'Tổng',
+            'presenter.clearRuns': 'Xóa các lượt đã lưu',
+            'presenter.clearRunsConfirm': 'Xóa tất cả các lượt tập đã lưu trên máy này?',
+            'presenter.analytics': '📈 Phân tích',
+            'analytics.pageTitle': 'Phân tích buổi đào tạo - AWS Security Training',
+            'analytics.title': 'Phân tích các buổi đào tạo',
+            'analytics.exportJson': '⬇️ JSON',
+            'analytics.exportCsv': '⬇️ CSV',
+            'analytics.import': '⬆️ Nhập JSON',
+            'analytics.imported': 'Đã nhập {count} buổi.',
+            'analytics.clear': '🗑️ Xóa dữ liệu',
+            'analytics.clearConfirm': 'Xóa tất cả các buổi đã ghi trên máy này?',
+            'analytics.sessions': 'Buổi đã ghi',
+            'analytics.totalTime': 'Tổng thời gian',
+            'analytics.averageTime': 'Trung bình mỗi buổi',
+            'analytics.bySection': 'Thời gian theo phần',
+            'analytics.bySlide': 'Slide tốn nhiều thời gian nhất',
+            'analytics.sessionList': 'Các buổi đã ghi',
+            'analytics.empty': 'Chưa có dữ liệu. Trình chiếu bộ slide trong trình duyệt này để ghi một buổi.',
+            'analytics.section': 'Phần',
+            'analytics.slide': 'Slide',
+            'analytics.average': 'Trung bình',
+            'analytics.total': 'Tổng',
+            'analytics.share': 'Tỷ lệ',
+            'analytics.views': 'Lượt xem',
+            'analytics.revisits': 'Xem lại',
+            'analytics.interactions': 'Tương tác',
+            'analytics.quiz': 'Quiz đúng',
+            'analytics.started': 'Bắt đầu',
+            'analytics.language': 'Ngôn ngữ',
+            'analytics.slides': 'Số slide',
+            'analytics.export': 'Xuất',
+            'kiosk.paused': '⏸️ Đã tạm dừng · tự chạy tiếp sau {seconds} giây không thao tác',
+            'narration.title': 'Thuyết minh',
+            'narration.record': '⏺️ Ghi âm',
+            'narration.stop': '⏹️ Dừng ghi',
+            'narration.chooseFolder': '📁 Chọn thư mục narration/',
+            'narration.downloadIndex': '⬇️ index.json',
+            'narration.folder': 'Lưu vào thư mục {name}',
+            'narration.transcript': 'Lời thoại',
+            'narration.recording': '⏺️ Đang ghi: {title} · {time}',
+            'narration.saved': '✅ Đã lưu {file}',
+            'narration.downloaded': '⬇️ Đã tải {file} — chép vào thư mục narration/ cùng index.json',
+            'narration.notSaved': '⚠️ Không lưu được {file}',
+            'narration.noMic': '⚠️ Không truy cập được micro',
+            'narration.unsupported': 'Trình duyệt này không hỗ trợ ghi âm',
+            'narration.coverage': '{count}/{total} slide đã có thuyết minh ({locale})',
+            'narration.hasTake': 'slide này: {time}',
+            'narration.player': 'Thuyết minh',
+            'narration.play': 'Phát thuyết minh',
+            'narration.pause': 'Tạm dừng thuyết minh',
+            'narration.seek': 'Vị trí thuyết minh',
+            'narration.none': 'Chưa có thuyết minh',
+            'narration.noTake': 'Slide này chưa có thuyết minh',
+            'narration.noTranscript': 'Chưa có lời thoại cho slide này.',
+            'remote.pair': 'Điều khiển bằng điện thoại',
+            'remote.pairedCount': '{count} điện thoại đang điều khiển · bấm để ghép thêm',
+            'remote.title': 'Điều khiển bằng điện thoại',
+            'remote.scan': 'Quét mã bằng điện thoại kết nối cùng mạng Wi-Fi với máy trình chiếu.',
+            'remote.requesting': 'Đang tạo mã…',
+            'remote.expires': 'Mã chỉ dùng được một lần · hết hạn sau {time}',
+            'remote.expired': 'Mã đã hết hạn',
+            'remote.unavailable': 'Chưa kết nối với live server (npm run live, mở deck với ?live=presenter)',
+            'remote.newCode': '🔄 Mã mới',
+            'remote.close': 'Đóng',
+            'remote.pageTitle': 'Remote - AWS Security Training',
+            'remote.waiting': 'Đang chờ slide deck…',
+            'remote.connecting': '○ Đang kết nối…',
+            'remote.rejected': 'Mã ghép đã hết hạn hoặc đã được dùng. Bấm 📱 trên slide deck và quét mã mới.',
+            'remote.controls': 'Điều khiển slide',
+            'remote.sections': 'Chuyển đến phần',
+            'remote.notes': 'Ghi chú',
+            'annotate.toolbar': 'Chú thích trên slide',
+            'annotate.pen': 'Bút (P)',
+            'annotate.highlighter': 'Bút dạ quang (H)',
+            'annotate.laser': 'Bút laser (L)',
+            'annotate.eraser': 'Tẩy (E)',
+            'annotate.hide': 'Ẩn chú thích (V)',
+            'annotate.show': 'Hiện chú thích (V)',
+            'annotate.clear': 'Xóa chú thích của slide này (X)',
+            'annotate.export': 'Tải chú thích (annotations.json) để xuất PDF',
+            'canvas.transcript': 'Diễn giải',
+            'canvas.cf.label': 'Sơ đồ cache CloudFront: người dùng, edge location, regional cache và S3 origin. Mũi tên lên/xuống chọn người dùng, Enter hoặc Space gửi request; phím 1–4 gửi request của người dùng đó.',
+            'canvas.cf.selected': 'Đã chọn {user}, đi qua {edge}',
+            'canvas.cf.busy': '{user} vẫn đang chờ phản hồi',
+            'canvas.cf.request': 'Request của {user}: {steps}.',
+            'canvas.cf.hit': 'hit ở {node}',
+            'canvas.cf.miss': 'miss ở {node}',
+            'canvas.cf.origin': 'lấy từ Origin',
+            'canvas.cf.cached': 'lưu cache ở {node}',
+            'canvas.cf.replay': 'Chạy lại, lần này cache đã có sẵn.',
+            'canvas.cf.cleared': 'Đã xóa toàn bộ cache, chạy lại từ đầu.',
+            'canvas.cf.invalidate': 'Gửi invalidation tới {nodes}.',
+            'canvas.cf.nothingCached': 'Chưa có cache nào để invalidate.',
+            'canvas.cf.invalidated': 'Cache ở {node} đã bị invalidate.',
+            'canvas.config.label': 'AWS Config theo dõi một S3 bucket, Amazon SNS báo cho team và AWS Lambda khắc phục thay đổi. Từng bước được mô tả trong phần diễn giải.',
+            'canvas.config.change': 'Có người thay đổi cấu hình S3 bucket, ví dụ bật public access.',
+            'canvas.config.detect': 'AWS Config phát hiện thay đổi và đánh giá bucket theo các rule.',
+            'canvas.config.noncompliant': 'AWS Config đánh dấu S3 bucket là non-compliant.',
+            'canvas.config.notify': 'Amazon SNS báo cho team về bucket non-compliant.',
+            'canvas.config.remediate': 'AWS Lambda chạy remediation và hoàn tác thay đổi.',
+            'canvas.config.compliant': 'S3 bucket đã compliant trở lại.'
+        },
+        en: {
+            'deck.pageTitle': 'AWS Security Training',
+            'nav.prev': '← Previous',
+            'nav.next': 'Next →',
+            'nav.start': '🏠 Start',
+            'nav.finish': 'Finish 🎯',
+            'slide.loadError': '⚠️ This slide could not be loaded.',
+            'slide.retry': 'Retry',
+            'announce.slide': 'Slide {number} of {total}: {title}. Section: {section}',
+            'announce.cloudfront': 'New CloudFront content.',
+            'locale.switch': 'Switch language (Alt+L)',
+            'theme.switch': 'Switch theme (Alt+T)',
+            'theme.light': 'Light',
+            'theme.dark': 'Dark',
+            'theme.contrast': 'High contrast',
+            'presenter.open': 'Open Presenter View',
+
+            'overview.title': 'Slide overview',
+            'overview.hint': '←↑↓→ select · Enter open · Esc close',
+            'overview.close': 'Close overview',
+
+            'search.title': 'Search slides',
+            'search.input': 'Search',
+            'search.placeholder': 'Search slides, tabs, notes…',
+            'search.hint': '↑↓ select · Enter open · Esc close',
+            'search.prompt': 'Type a keyword, e.g. "least privilege" or "CloudTrail"',
+            'search.count': '{count} results',
+            'search.none': 'No results',
+            'search.unavailable': 'The search index could not be loaded',
+            'search.tab': 'Tab: {label}',
+            'search.accordion': 'Item: {label}',
+            'search.notes': 'Notes',
+            'search.notesLang': 'Notes ({lang})',
+
+            'quiz.loadError': 'The questions could not be loaded.',
+            'quiz.counter': 'Question {number} / {total}',
+            'quiz.type.single': 'Pick one answer',
+            'quiz.type.multiple': 'Pick all that apply',
+            'quiz.type.truefalse': 'True / False',
+            'quiz.type.ordering': 'Put in order',
+            'quiz.results': '{total} answers · {correct} correct',
+            'quiz.waiting': 'Waiting for answers…',
+            'quiz.correct': '✅ Correct!',
+            'quiz.incorrect': '❌ Not quite - see the highlighted answer.',
+            'quiz.submitted': '📨 Answer sent. You can change it and send again.',
+            'quiz.sending': '📨 Sending…',
+            'quiz.correctOrder': 'Correct order: {order}',
+            'quiz.positionNote': 'People who placed each step correctly',
+            'quiz.prev': '← Previous question',
+            'quiz.next': 'Next question →',
+            'quiz.reveal': 'Show answer',
+            'quiz.submit': 'Send answer',
+            'quiz.true': 'True',
+            'quiz.false': 'False',
+            'quiz.moveUp': 'Move "{item}" up',
+            'quiz.moveDown': 'Move "{item}" down',
+
+            'live.connecting': '📡 Connecting…',
+            'live.connectingTitle': 'Live session: {url}',
+            'live.presenting': '📡 Broadcasting',
+            'live.presentingTitle': 'Attendees are following this deck',
+            'live.following': '🔗 Following the presenter',
+            'live.followingTitle': 'Click to browse on your own',
+            'live.rejoin': '↩️ Back to the presenter',
+            'live.rejoinSlide': '↩️ Back to the presenter (slide {number})',
+            'live.rejoinTitle': 'Click to follow the presenter again',
+
+            'offline.error': '⚠️ Offline mode unavailable',
+            'offline.progress': '⏳ Saving for offline {done}/{total}',
+            'offline.progressTitle': 'Downloading the deck for offline use',
+            'offline.checking': '⏳ Checking offline storage…',
+            'offline.offlineComplete': '📴 Offline - using the saved copy',
+            'offline.offlineMissing': '📴 Offline - {count} files missing',
+            'offline.versionTitle': 'Cache version {version}',
+            'offline.ready': '✅ Ready offline',
+            'offline.readyTitle': 'All {total} files cached (version {version})',
+            'offline.partial': '⚠️ Saved {cached}/{total} - click to retry',
+            'offline.partialTitle': 'Some files could not be cached; click to retry',
+
+            'presenter.pageTitle': 'Presenter View - AWS Security Training',
+            'presenter.waiting': 'Waiting for the slide deck…',
+            'presenter.elapsed': 'Elapsed',
+            'presenter.remaining': 'Remaining',
+            'presenter.inSection': 'In section',
+            'presenter.current': 'Current slide',
+            'presenter.next': 'Next slide',
+            'presenter.section': 'Section',
+            'presenter.budget': 'Budget',
+            'presenter.noNotes': 'No notes for this slide yet.',
+            'presenter.shortcuts': 'Shortcuts',
+            'presenter.shortcutsHelp': 'Arrow keys / Space / PageUp / PageDown: navigate · Home / End: first / last slide',
+            'presenter.resetClock': '⏱️ Reset',
+            'presenter.disconnected': '○ Not connected',
+            'presenter.connected': '● Connected',
+            'presenter.noChannel': 'BroadcastChannel is not supported',
+            'presenter.stepCounter': '{number} / {total} · step {step}/{count}',
+            'presenter.nextStep': '{number}. {title} (step {step}/{count})',
+            'presenter.pace': 'Pace',
+            'presenter.ahead': '{time} ahead',
+            'presenter.behind': '{time} behind',
+            'presenter.onTrack': 'On track',
+            'presenter.overrun': '⚠️ {section} is {time} over budget',
+            'presenter.pauseClock': '⏸️ Pause',
+            'presenter.resumeClock': '▶️ Resume',
+            'presenter.saveRun': '💾 Save run',
+            'presenter.runSaved': '✅ Saved',
+            'presenter.runNotSaved': '⚠️ Could not save',
+            'presenter.runs': 'Compare runs',
+            'presenter.noRuns': 'No saved runs yet.',
+            'presenter.thisRun': 'This run',
+            'presenter.total': 'Total',
+            'presenter.clearRuns': 'Clear saved runs',
+            'presenter.clearRunsConfirm': 'Delete all rehearsal runs saved on this computer?',
+            'presenter.analytics': '📈 Analytics',
+            'analytics.pageTitle': 'Training analytics - AWS Security Training',
+            'analytics.title': 'Training analytics',
+            'analytics.exportJson': '⬇️ JSON',
+            'analytics.exportCsv': '⬇️ CSV',
+            'analytics.import': '⬆️ Import JSON',
+            'analytics.imported': 'Imported {count} sessions.',
+            'analytics.clear': '🗑️ Clear data',
+            'analytics.clearConfirm': 'Delete all sessions recorded on this computer?',
+            'analytics.sessions': 'Recorded sessions',
+            'analytics.totalTime': 'Total time',
+            'analytics.averageTime': 'Average per session',
+            'analytics.bySection': 'Time per section',
+            'analytics.bySlide': 'Slides with the longest dwell time',
+            'analytics.sessionList': 'Recorded sessions',
+            'analytics.empty': 'No data yet. Present the deck in this browser to record a session.',
+            'analytics.section': 'Section',
+            'analytics.slide': 'Slide',
+            'analytics.average': 'Average',
+            'analytics.total': 'Total',
+            'analytics.share': 'Share',
+            'analytics.views': 'Views',
+            'analytics.revisits': 'Revisits',
+            'analytics.interactions': 'Interactions',
+            'analytics.quiz': 'Quiz correct',
+            'analytics.started': 'Started',
+            'analytics.language': 'Language',
+            'analytics.slides': 'Slides',
+            'analytics.export': 'Export',
+            'kiosk.paused': '⏸️ Paused · resumes after {seconds} seconds without input',
+            'narration.title': 'Narration',
+            'narration.record': '⏺️ Record',
+            'narration.stop': '⏹️ Stop',
+            'narration.chooseFolder': '📁 Choose narration/ folder',
+            'narration.downloadIndex': '⬇️ index.json',
+            'narration.folder': 'Saving to folder {name}',
+            'narration.transcript': 'Transcript',
+            'narration.recording': '⏺️ Recording: {title} · {time}',
+            'narration.saved': '✅ Saved {file}',
+            'narration.downloaded': '⬇️ Downloaded {file} — copy it to narration/ together with index.json',
+            'narration.notSaved': '⚠️ Could not save {file}',
+            'narration.noMic': '⚠️ Microphone not available',
+            'narration.unsupported': 'This browser cannot record audio',
+            'narration.coverage': '{count}/{total} slides narrated ({locale})',
+            'narration.hasTake': 'this slide: {time}',
+            'narration.player': 'Narration',
+            'narration.play': 'Play narration',
+            'narration.pause': 'Pause narration',
+            'narration.seek': 'Narration position',
+            'narration.none': 'No narration recorded',
+            'narration.noTake': 'No narration for this slide',
+            'narration.noTranscript': 'No transcript for this slide yet.',
+            'remote.pair': 'Phone remote',
+            'remote.pairedCount': '{count} phone(s) in control · click to pair another',
+            'remote.title': 'Phone remote',
+            'remote.scan': 'Scan the code with a phone on the same Wi-Fi network as this laptop.',
+            'remote.requesting': 'Creating a code…',
+            'remote.expires': 'Single-use code · expires in {time}',
+            'remote.expired': 'The code has expired',
+            'remote.unavailable': 'Not connected to the live server (npm run live, open the deck with ?live=presenter)',
+            'remote.newCode': '🔄 New code',
+            'remote.close': 'Close',
+            'remote.pageTitle': 'Remote - AWS Security Training',
+            'remote.waiting': 'Waiting for the slide deck…',
+            'remote.connecting': '○ Connecting…',
+            'remote.rejected': 'This pairing code has expired or was already used. Click 📱 in the deck and scan a new one.',
+            'remote.controls': 'Slide controls',
+            'remote.sections': 'Jump to section',
+            'remote.notes': 'Notes',
+            'annotate.toolbar': 'Slide annotations',
+            'annotate.pen': 'Pen (P)',
+            'annotate.highlighter': 'Highlighter (H)',
+            'annotate.laser': 'Laser pointer (L)',
+            'annotate.eraser': 'Eraser (E)',
+            'annotate.hide': 'Hide annotations (V)',
+            'annotate.show': 'Show annotations (V)',
+            'annotate.clear': 'Clear this slide\'s annotations (X)',
+            'annotate.export': 'Download annotations (annotations.json) for the PDF export',
+            'canvas.transcript': 'Transcript',
+            'canvas.cf.label': 'CloudFront cache diagram: users, edge locations, regional caches and the S3 origin. Up and Down choose a user, Enter or Space sends its request; 1–4 send a request from that user.',
+            'canvas.cf.selected': '{user} selected, served by {edge}',
+            'canvas.cf.busy': '{user} is still waiting for a response',
+            'canvas.cf.request': '{user} request {steps}.',
+            'canvas.cf.hit': 'hit {node}',
+            'canvas.cf.miss': 'missed {node}',
+            'canvas.cf.origin': 'fetched from Origin',
+            'canvas.cf.cached': 'cached at {node}',
+            'canvas.cf.replay': 'Replaying, this time with the caches filled.',
+            'canvas.cf.cleared': 'All caches cleared, starting over.',
+            'canvas.cf.invalidate': 'Invalidation sent to {nodes}.',
+            'canvas.cf.nothingCached': 'Nothing is cached, nothing to invalidate.',
+            'canvas.cf.invalidated': '{node} cache invalidated.',
+            'canvas.config.label': 'AWS Config watches an S3 bucket, Amazon SNS notifies the team and AWS Lambda remediates the change. Each step is described in the transcript.',
+            'canvas.config.change': 'Someone changes the S3 bucket configuration, for example turning on public access.',
+            'canvas.config.detect': 'AWS Config detects the change and evaluates the bucket against its rules.',
+            'canvas.config.noncompliant': 'AWS Config marks the S3 bucket as non-compliant.',
+            'canvas.config.notify': 'Amazon SNS notifies the team about the non-compliant bucket.',
+            'canvas.config.remediate': 'AWS Lambda runs the remediation and reverts the change.',
+            'canvas.config.compliant': 'The S3 bucket is compliant again.'
+        }
+    };
+
+    let currentLocale = null;
+
+    function isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+    }
+
+    function readStoredLocale() {
+        try {
+            return root.localStorage ? root.localStorage.getItem(STORAGE_KEY) : null;
+        } catch (err) {
+            return null; // storage disabled (private mode, file://)
+        }
+    }
+
+    // ?lang= first, then the stored choice, then the default
+    function resolveLocale(search = root.location ? root.location.search : '') {
+        const fromURL = new URLSearchParams(search).get('lang');
+        if (isSupported(fromURL)) return fromURL;
+        const stored = readStoredLocale();
+        return isSupported(stored) ? stored : DEFAULT_LOCALE;
+    }
+
+    function getLocale() {
+        if (!currentLocale) currentLocale = resolveLocale();
+        return currentLocale;
+    }
+
+    // options.persist: remember the choice for the next visit (off for preview frames)
+    function setLocale(locale, { persist = true } = {}) {
+        if (!isSupported(locale)) return false;
+        currentLocale = locale;
+        if (persist) {
+            try {
+                if (root.localStorage) root.localStorage.setItem(STORAGE_KEY, locale);
+            } catch (err) {
+                // not persisted; ?lang= still works
+            }
+        }
+        if (root.document) root.document.documentElement.lang = locale;
+        return true;
+    }
+
+    function t(key, params, locale = getLocale()) {
+        const messages = MESSAGES[locale] || {};
+        const template = key in messages ? messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+        if (template === undefined) return key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match));
+    }
+
+    // A manifest section or slide with the fields of its translation for the locale, if any
+    function localize(item, locale = getLocale()) {
+        const translation = item && item.i18n && item.i18n[locale];
+        return translation ? Object.assign({}, item, translation) : item;
+    }
+
+    function applyTranslations(rootNode) {
+        rootNode.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n);
+        });
+        TRANSLATED_ATTRIBUTES.forEach(attr => {
+            rootNode.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+                el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+            });
+        });
+    }
+
+    const DeckI18n = {
+        DEFAULT_LOCALE,
+        LOCALES,
+        STORAGE_KEY,
+        MESSAGES,
+        isSupported,
+        resolveLocale,
+        getLocale,
+        setLocale,
+        t,
+        localize,
+        applyTranslations
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckI18n;
+    } else {
+        root.DeckI18n = DeckI18n;
+    }
+})(typeof window !== 'undefined' ? window : this);
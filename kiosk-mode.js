@@ -0,0 +1,239 @@
+// AWS Security Training - kiosk / self-running mode
+// index.html?kiosk plays the deck unattended on booth and lobby screens: every slide stays up for its kiosk
+// time, the slide's reveal steps and the tabs and accordion items of the slide and its iframe pages are shown
+// one after another, and the deck loops back to the first slide after the last. Navigation chrome and the
+// cursor are hidden. A touch, click, key or wheel pauses playback so visitors can explore; it resumes after
+// `idleSeconds` without input. Ctrl+A runs the same player on the normal deck, without looping or hiding
+// anything. Options in the URL: `kioskIdle=<seconds>`, `kioskLoop=0`.
+//
+// Timing (manifest.kiosk): a slide's time is its `kiosk` seconds if set, otherwise its planned `duration`
+// minutes × `secondsPerMinute`, kept within [minSeconds, maxSeconds]. Steps, tabs and accordion items split
+// that time into beats of at least `beatSeconds`, so a slide with many of them stays up longer.
+const KIOSK_DEFAULTS = { secondsPerMinute: 4, minSeconds: 12, maxSeconds: 40, beatSeconds: 5, idleSeconds: 60 };
+// Input that pauses playback (programmatic clicks of the player itself are not trusted events)
+const KIOSK_INPUT_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+class KioskMode {
+    constructor(presentation, { kiosk = false, loop = kiosk, idleSeconds } = {}) {
+        this.presentation = presentation;
+        this.kiosk = kiosk;
+        this.loop = loop;
+        this.config = Object.assign({}, KIOSK_DEFAULTS, presentation.manifest.kiosk);
+        if (idleSeconds > 0) this.config.idleSeconds = idleSeconds;
+
+        this.playing = false;
+        this.paused = false;
+        this.hidden = document.hidden;
+        this.slideNumber = null;
+        this.slideEndsAt = 0;
+        this.visited = new WeakSet();   // controls already shown on the current slide
+        this.watched = new Set();       // documents listening for visitor input (deck and iframe pages)
+        this.beatTimer = null;
+        this.idleTimer = null;
+
+        this.onSlideActivated = (e) => this.enterSlide(e.detail.slide);
+        this.onInput = (e) => {
+            if (e.isTrusted) this.pause();
+        };
+    }
+
+    // Options from ?kiosk, or null when the deck is not opened as a kiosk
+    static fromURL(location = window.location) {
+        const params = new URLSearchParams(location.search);
+        if (!params.has('kiosk') || ['0', 'false', 'off'].includes(params.get('kiosk'))) return null;
+
+        const options = { kiosk: true };
+        const idleSeconds = parseFloat(params.get('kioskIdle'));
+        if (idleSeconds > 0) options.idleSeconds = idleSeconds;
+        if (params.get('kioskLoop') === '0') options.loop = false;
+        return options;
+    }
+
+    start() {
+        if (this.playing) return;
+        this.playing = true;
+
+        window.addEventListener('slide-activated', this.onSlideActivated);
+        this.watchInput(document);
+        if (this.kiosk) {
+            document.body.classList.add('mode-kiosk');
+            this.createBadge();
+        }
+        this.updateState();
+        this.enterSlide(this.presentation.currentSlide);
+    }
+
+    stop() {
+        if (!this.playing) return;
+        this.playing = false;
+        this.paused = false;
+        clearTimeout(this.beatTimer);
+        clearTimeout(this.idleTimer);
+
+        window.removeEventListener('slide-activated', this.onSlideActivated);
+        this.watched.forEach(doc => {
+            KIOSK_INPUT_EVENTS.forEach(type => doc.removeEventListener(type, this.onInput, true));
+        });
+        this.watched.clear();
+        document.body.classList.remove('mode-kiosk', 'kiosk-playing');
+        if (this.badge) {
+            this.badge.remove();
+            this.badge = null;
+        }
+    }
+
+    // The slide's time starts again whenever a different slide becomes current, whoever navigated
+    enterSlide(slideNumber) {
+        if (!this.playing || slideNumber === this.slideNumber) return;
+        this.slideNumber = slideNumber;
+        this.visited = new WeakSet();
+        this.restartSlideClock();
+    }
+
+    restartSlideClock() {
+        this.slideEndsAt = Date.now() + this.getSlideSeconds(this.slideNumber) * 1000;
+        this.scheduleBeat();
+    }
+
+    getSlideSeconds(slideNumber) {
+        const slide = this.presentation.manifest.slides[slideNumber - 1] || {};
+        const { secondsPerMinute, minSeconds, maxSeconds } = this.config;
+        if (slide.kiosk > 0) return slide.kiosk;
+        return Math.min(maxSeconds, Math.max(minSeconds, (slide.duration || 0) * secondsPerMinute));
+    }
+
+    // The rest of the slide's time is shared by the beats still to come and the final view
+    scheduleBeat() {
+        clearTimeout(this.beatTimer);
+        if (!this.playing || this.paused || this.hidden) return;
+
+        const beats = this.getPendingControls().length + Math.max(0, this.presentation.getStepCount() - this.presentation.getStep());
+        const remainingMs = Math.max(0, this.slideEndsAt - Date.now());
+        const delay = Math.max(this.config.beatSeconds * 1000, remainingMs / (beats + 1));
+        this.beatTimer = setTimeout(() => this.beat(), delay);
+    }
+
+    // Next reveal step, else the next tab or accordion item, else the next slide
+    beat() {
+        if (this.presentation.nextStep()) {
+            this.scheduleBeat();
+            return;
+        }
+
+        const control = this.getPendingControls()[0];
+        if (control) {
+            this.visited.add(control);
+            control.click();
+            this.scheduleBeat();
+            return;
+        }
+
+        this.advance();
+    }
+
+    // Like the presenter window, the player ignores beforeLeave vetoes so the screen never gets stuck
+    advance() {
+        const { currentSlide, totalSlides } = this.presentation;
+        if (currentSlide >= totalSlides && !this.loop) {
+            this.presentation.stopAutoAdvance();
+            return;
+        }
+
+        this.resetSlideControls(currentSlide);
+        const target = currentSlide < totalSlides ? currentSlide + 1 : 1;
+        this.presentation.goToSlide(target, { step: 0, force: true }).then(() => {
+            // Still on the same slide (missing slide element): try again after another slide time
+            if (this.playing && this.presentation.currentSlide === currentSlide) this.restartSlideClock();
+        });
+    }
+
+    // Tabs and accordion items of the current slide and its loaded iframe pages not shown yet, in page order
+    getPendingControls() {
+        const slideEl = this.presentation.getSlideElement(this.presentation.currentSlide);
+        if (!slideEl) return [];
+
+        const controls = [];
+        this.presentation.getSlideStateRoots(slideEl).forEach(root => {
+            if (root !== slideEl) this.watchInput(root);
+            root.querySelectorAll(`${SLIDE_STATE_TABS}, ${SLIDE_STATE_ACCORDIONS}`).forEach(control => {
+                if (this.visited.has(control) || control.closest('[hidden]')) return;
+                // Already selected or open: nothing to show
+                if (isControlActive(control)) {
+                    this.visited.add(control);
+                    return;
+                }
+                controls.push(control);
+            });
+        });
+        return controls;
+    }
+
+    // Leave the slide on its first tab with its accordion items closed, so the next loop starts the same way
+    resetSlideControls(slideNumber) {
+        const slideEl = this.presentation.getSlideElement(slideNumber);
+        if (!slideEl) return;
+
+        this.presentation.getSlideStateRoots(slideEl).forEach(root => {
+            const firstTab = root.querySelector(SLIDE_STATE_TABS);
+            if (firstTab && !isControlActive(firstTab)) firstTab.click();
+            root.querySelectorAll(SLIDE_STATE_ACCORDIONS).forEach(button => {
+                if (isControlActive(button)) button.click();
+            });
+        });
+    }
+
+    // Iframe pages get their own listeners: input inside them never reaches the deck document
+    watchInput(doc) {
+        if (this.watched.has(doc)) return;
+        this.watched.add(doc);
+        KIOSK_INPUT_EVENTS.forEach(type => doc.addEventListener(type, this.onInput, { capture: true, passive: true }));
+    }
+
+    // A visitor took over: wait until nobody has touched the deck for idleSeconds
+    pause() {
+        if (!this.playing) return;
+        this.paused = true;
+        clearTimeout(this.beatTimer);
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.resume(), this.config.idleSeconds * 1000);
+        this.updateState();
+    }
+
+    // Continue from whatever slide the visitor left the deck on, with a fresh slide time
+    resume() {
+        if (!this.playing || !this.paused) return;
+        this.paused = false;
+        clearTimeout(this.idleTimer);
+        this.slideNumber = this.presentation.currentSlide;
+        this.updateState();
+        this.restartSlideClock();
+    }
+
+    // Nothing advances while the tab is hidden; the slide gets its full time again when it is shown
+    setHidden(hidden) {
+        if (hidden === this.hidden) return;
+        this.hidden = hidden;
+        if (hidden) clearTimeout(this.beatTimer);
+        else if (this.playing && !this.paused) this.restartSlideClock();
+    }
+
+    createBadge() {
+        this.badge = document.createElement('div');
+        this.badge.className = 'kiosk-badge';
+        this.badge.setAttribute('role', 'status');
+        document.body.appendChild(this.badge);
+    }
+
+    updateState() {
+        if (!this.kiosk) return;
+        document.body.classList.toggle('kiosk-playing', !this.paused);
+        this.badge.hidden = !this.paused;
+        this.badge.textContent = this.paused ? DeckI18n.t('kiosk.paused', { seconds: this.config.idleSeconds }) : '';
+    }
+}
+
+function isControlActive(control) {
+    return control.classList.contains('active') ||
+        control.getAttribute('aria-selected') === 'true' ||
+        control.getAttribute('aria-expanded') === 'true';
+}
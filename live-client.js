@@ -0,0 +1,194 @@
+// AWS Security Training - live session client
+// Connects the deck to scripts/live-server.js on the LAN.
+//   ?live=presenter&liveKey=<key>  publishes every slide change
+//   ?live=audience                 follows the presenter; attendees can break away and rejoin
+//   &liveServer=<host:port>        overrides the default ws://<page host>:8001/live
+const LIVE_DEFAULT_PORT = 8001;
+const LIVE_RECONNECT_MS = 2000;
+
+class LiveSession {
+    constructor(presentation, options) {
+        this.presentation = presentation;
+        this.role = options.role;
+        this.key = options.key;
+        this.url = options.url;
+        this.socket = null;
+        this.connected = false;
+        this.handlers = {};
+
+        // Audience state
+        this.following = true;
+        this.remoteSlide = null;
+        // Slides we navigated to on the presenter's behalf (not attendee navigation)
+        this.requestedSlides = new Set();
+
+        this.init();
+    }
+
+    // Read live options from the page URL (returns null when the deck is not in a live session)
+    static fromURL(location = window.location) {
+        const params = new URLSearchParams(location.search);
+        const role = params.get('live');
+        if (role !== 'presenter' && role !== 'audience') return null;
+
+        const server = params.get('liveServer') || `${location.hostname}:${LIVE_DEFAULT_PORT}`;
+        const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+        return { role, key: params.get('liveKey'), url: `${scheme}://${server}/live` };
+    }
+
+    init() {
+        this.createBadge();
+
+        this.on('welcome', (message) => {
+            if (this.role === 'presenter' && message.role !== 'presenter') {
+                console.warn('Live session: presenter key rejected, joined as audience');
+            }
+            this.role = message.role;
+            this.quiz = message.quiz || null;
+            if (this.role === 'presenter') {
+                this.publishSlide();
+            } else if (message.slide) {
+                this.handleRemoteSlide(message.slide);
+            }
+            this.updateBadge();
+        });
+
+        this.on('slide', (message) => this.handleRemoteSlide(message.slide));
+
+        this.on('error', (message) => {
+            console.warn('Live session error:', message.error);
+        });
+
+        window.addEventListener('slide-activated', (e) => {
+            if (this.role === 'presenter') {
+                this.publishSlide();
+            } else if (this.requestedSlides.has(e.detail.slide)) {
+                this.requestedSlides.delete(e.detail.slide);
+            } else if (this.following && this.remoteSlide) {
+                // Attendee navigated on their own - stop following until they rejoin
+                this.breakAway();
+            }
+        });
+
+        // Reveal steps of the presenter's slide are mirrored too
+        window.addEventListener('slide-step', () => {
+            if (this.role === 'presenter') this.publishSlide();
+        });
+        window.addEventListener('locale-changed', () => this.updateBadge());
+
+        this.connect();
+    }
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            this.connected = true;
+            this.send({ type: 'hello', role: this.role, key: this.key });
+            this.updateBadge();
+        });
+
+        this.socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            const handler = this.handlers[message.type];
+            if (handler) handler(message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.connected = false;
+            this.updateBadge();
+            setTimeout(() => this.connect(), LIVE_RECONNECT_MS);
+        });
+    }
+
+    // Register a handler for a server message type (one handler per type)
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    publishSlide() {
+        const info = this.presentation.getCurrentSlideInfo();
+        this.send({ type: 'slide', number: info.number, slug: info.slug, step: info.step });
+    }
+
+    handleRemoteSlide(slide) {
+        this.remoteSlide = slide;
+        this.updateBadge();
+        if (this.following) {
+            this.followTo(slide.number, slide.step || 0);
+        }
+    }
+
+    followTo(slideNumber, step = 0) {
+        if (slideNumber === this.presentation.currentSlide) {
+            this.presentation.showStep(step);
+            return;
+        }
+        this.requestedSlides.add(slideNumber);
+        // Attendees always follow, even when the current slide would veto leaving
+        this.presentation.goToSlide(slideNumber, { force: true, step });
+    }
+
+    breakAway() {
+        this.following = false;
+        this.updateBadge();
+    }
+
+    rejoin() {
+        this.following = true;
+        this.updateBadge();
+        if (this.remoteSlide) {
+            this.followTo(this.remoteSlide.number, this.remoteSlide.step || 0);
+        }
+    }
+
+    createBadge() {
+        this.badge = document.createElement('button');
+        this.badge.type = 'button';
+        this.badge.className = 'live-badge';
+        this.badge.addEventListener('click', () => {
+            if (this.role !== 'audience') return;
+            if (this.following) {
+                this.breakAway();
+            } else {
+                this.rejoin();
+            }
+        });
+        document.body.appendChild(this.badge);
+        this.updateBadge();
+    }
+
+    updateBadge() {
+        this.badge.classList.toggle('offline', !this.connected);
+        this.badge.classList.toggle('detached', this.role === 'audience' && !this.following);
+
+        if (!this.connected) {
+            this.badge.textContent = DeckI18n.t('live.connecting');
+            this.badge.title = DeckI18n.t('live.connectingTitle', { url: this.url });
+        } else if (this.role === 'presenter') {
+            this.badge.textContent = DeckI18n.t('live.presenting');
+            this.badge.title = DeckI18n.t('live.presentingTitle');
+        } else if (this.following) {
+            this.badge.textContent = DeckI18n.t('live.following');
+            this.badge.title = DeckI18n.t('live.followingTitle');
+        } else {
+            this.badge.textContent = this.remoteSlide
+                ? DeckI18n.t('live.rejoinSlide', { number: this.remoteSlide.number })
+                : DeckI18n.t('live.rejoin');
+            this.badge.title = DeckI18n.t('live.rejoinTitle');
+        }
+    }
+}
+
+window.LiveSession = LiveSession;
@@ -0,0 +1,135 @@
+// AWS Security Training - recorded narration core
+// Index format and timeline shared by the presenter's recorder (narration-recorder.js) and the deck's
+// playback mode (narration-player.js).
+//
+// Narration is recorded per slide and language: one audio file per take in narration/, named
+// <slug>.<locale>.<ext>, listed in narration/index.json:
+//   { version, updatedAt, takes: { locale: { slug: take } } }
+//   take: { file, mimeType, durationMs, steps: [ms], transcript, recordedAt }
+// `steps[i]` is the time into the take at which reveal step i + 1 was shown. Re-recording a slide replaces
+// only its take. The playback timeline is the takes of one language in manifest order.
+// Loaded as a plain <script> in the browser (window.DeckNarration) and via require() from Node.
+(function (root) {
+    const NARRATION_DIR = 'narration';
+    const INDEX_FILE = `${NARRATION_DIR}/index.json`;
+    const INDEX_VERSION = 1;
+    // MediaRecorder formats in order of preference, with the file extension of each
+    const AUDIO_FORMATS = [
+        { mimeType: 'audio/webm;codecs=opus', ext: 'webm' },
+        { mimeType: 'audio/webm', ext: 'webm' },
+        { mimeType: 'audio/ogg;codecs=opus', ext: 'ogg' },
+        { mimeType: 'audio/mp4', ext: 'm4a' }
+    ];
+
+    function createIndex() {
+        return { version: INDEX_VERSION, updatedAt: null, takes: {} };
+    }
+
+    // A parsed index.json; anything unusable becomes an empty index
+    function readIndex(data) {
+        const index = createIndex();
+        if (!data || typeof data.takes !== 'object' || data.takes === null) return index;
+
+        Object.keys(data.takes).forEach(locale => {
+            const takes = data.takes[locale] || {};
+            Object.keys(takes).forEach(slug => {
+                const take = takes[slug];
+                if (take && typeof take.file === 'string' && take.durationMs > 0) {
+                    setTake(index, locale, slug, take, Date.parse(data.updatedAt) || Date.now());
+                }
+            });
+        });
+        return index;
+    }
+
+    // First format the browser can record (`isSupported` is MediaRecorder.isTypeSupported), or null
+    function pickFormat(isSupported) {
+        return AUDIO_FORMATS.find(format => isSupported(format.mimeType)) || null;
+    }
+
+    function getTakeFile(slug, locale, format) {
+        return `${slug}.${locale}.${format.ext}`;
+    }
+
+    function getTake(index, locale, slug) {
+        return (index.takes[locale] && index.takes[locale][slug]) || null;
+    }
+
+    function setTake(index, locale, slug, take, now = Date.now()) {
+        if (!index.takes[locale]) index.takes[locale] = {};
+        index.takes[locale][slug] = {
+            file: take.file,
+            mimeType: take.mimeType || null,
+            durationMs: Math.round(take.durationMs),
+            steps: (take.steps || []).map(ms => Math.round(ms)),
+            transcript: take.transcript || '',
+            recordedAt: take.recordedAt || new Date(now).toISOString()
+        };
+        index.updatedAt = new Date(now).toISOString();
+        return index.takes[locale][slug];
+    }
+
+    // Takes of one language in slide order:
+    // { durationMs, entries: [{ number, slug, url, startMs, durationMs, steps, transcript }] }
+    function buildTimeline(index, manifest, locale) {
+        const entries = [];
+        let offset = 0;
+        manifest.slides.forEach((slide, i) => {
+            const take = getTake(index, locale, slide.slug);
+            if (!take) return;
+            entries.push({
+                number: i + 1,
+                slug: slide.slug,
+                url: `${NARRATION_DIR}/${take.file}`,
+                startMs: offset,
+                durationMs: take.durationMs,
+                steps: take.steps,
+                transcript: take.transcript
+            });
+            offset += take.durationMs;
+        });
+        return { durationMs: offset, entries };
+    }
+
+    // { entry, offsetMs } at a time on the timeline (clamped to it), or null for an empty timeline
+    function locate(timeline, ms) {
+        const { entries } = timeline;
+        if (!entries.length) return null;
+
+        const time = Math.max(0, Math.min(ms, timeline.durationMs));
+        const entry = entries.find(item => time < item.startMs + item.durationMs) || entries[entries.length - 1];
+        return { entry, offsetMs: Math.min(time - entry.startMs, entry.durationMs) };
+    }
+
+    // Reveal steps shown at a time into a take
+    function getStepAt(entry, offsetMs) {
+        return entry.steps.filter(ms => ms <= offsetMs).length;
+    }
+
+    // Time into a take at which a reveal step is shown (0 for the bare slide)
+    function getStepTime(entry, step) {
+        return step > 0 && entry.steps[step - 1] !== undefined ? entry.steps[step - 1] : 0;
+    }
+
+    const DeckNarration = {
+        NARRATION_DIR,
+        INDEX_FILE,
+        AUDIO_FORMATS,
+        createIndex,
+        readIndex,
+        pickFormat,
+        getTakeFile,
+        getTake,
+        setTake,
+        buildTimeline,
+        locate,
+        getStepAt,
+        getStepTime
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckNarration;
+    } else {
+        root.DeckNarration = DeckNarration;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,257 @@
+// AWS Security Training - narration playback
+// index.html?narration plays the recorded narration (narration-core.js, recorded in the presenter view)
+// for self-paced learners. The deck follows the audio: each slide's take plays in turn and its reveal steps
+// appear at the times they were shown while recording. The bar at the bottom has play/pause, a seek bar
+// over the whole talk and a transcript panel (the recorded transcript, or the speaker notes).
+// Navigating yourself moves the narration along: another slide starts that slide's take, and a reveal
+// step jumps to the moment it was shown. Slides without a take in the deck language are skipped.
+class NarrationPlayer {
+    constructor(presentation, index) {
+        this.presentation = presentation;
+        this.index = index;
+        this.timeline = DeckNarration.buildTimeline(index, presentation.manifest, presentation.locale);
+        this.entry = null;          // take of the current slide
+        this.showingStep = false;   // the player itself is changing the reveal step
+        this.dragging = false;
+
+        this.audio = new Audio();
+        this.audio.preload = 'auto';
+
+        this.createBar();
+        this.init();
+    }
+
+    static fromURL(location = window.location) {
+        return new URLSearchParams(location.search).has('narration');
+    }
+
+    // narration/index.json (bundled in a build), or an empty index when nothing was recorded
+    static async loadIndex() {
+        try {
+            return DeckNarration.readIndex(await DeckBundle.readJSON(DeckNarration.INDEX_FILE));
+        } catch (err) {
+            return DeckNarration.createIndex();
+        }
+    }
+
+    init() {
+        this.audio.addEventListener('timeupdate', () => this.sync());
+        this.audio.addEventListener('ended', () => this.playNext());
+        this.audio.addEventListener('play', () => this.updatePlayButton());
+        this.audio.addEventListener('pause', () => this.updatePlayButton());
+
+        window.addEventListener('slide-activated', (e) => {
+            // The player's own navigation has already cued the slide
+            if (!this.entry || this.entry.number !== e.detail.slide) this.cue(e.detail.slide, 0, this.isPlaying());
+        });
+        window.addEventListener('slide-step', (e) => this.handleStep(e.detail));
+        window.addEventListener('locale-changed', () => {
+            this.translateBar();
+            this.timeline = DeckNarration.buildTimeline(this.index, this.presentation.manifest, this.presentation.locale);
+            this.entry = null;
+            this.cue(this.presentation.currentSlide, 0, false);
+        });
+
+        this.cue(this.presentation.currentSlide, 0, false);
+    }
+
+    createBar() {
+        this.bar = document.createElement('div');
+        this.bar.className = 'narration-bar';
+        this.bar.setAttribute('role', 'region');
+        this.bar.innerHTML = `
+            <div class="narration-transcript" hidden>
+                <h3 class="narration-transcript-title"></h3>
+                <p class="narration-transcript-text"></p>
+            </div>
+            <div class="narration-controls">
+                <button type="button" class="narration-play"></button>
+                <span class="narration-time"></span>
+                <input type="range" class="narration-seek" min="0" step="100" data-i18n-aria-label="narration.seek">
+                <button type="button" class="narration-transcript-toggle" data-i18n-title="narration.transcript" aria-expanded="false">📝</button>
+            </div>`;
+
+        this.playBtn = this.bar.querySelector('.narration-play');
+        this.timeLabel = this.bar.querySelector('.narration-time');
+        this.seekBar = this.bar.querySelector('.narration-seek');
+        this.transcript = this.bar.querySelector('.narration-transcript');
+        this.transcriptToggle = this.bar.querySelector('.narration-transcript-toggle');
+
+        this.playBtn.addEventListener('click', () => this.togglePlay());
+        this.seekBar.addEventListener('input', () => {
+            this.dragging = true;
+            this.renderTime(Number(this.seekBar.value));
+        });
+        this.seekBar.addEventListener('change', () => {
+            this.dragging = false;
+            this.seek(Number(this.seekBar.value));
+        });
+        this.transcriptToggle.addEventListener('click', () => {
+            this.transcript.hidden = !this.transcript.hidden;
+            this.transcriptToggle.setAttribute('aria-expanded', String(!this.transcript.hidden));
+        });
+
+        document.body.appendChild(this.bar);
+        document.body.classList.add('narration-mode');
+        this.translateBar();
+    }
+
+    translateBar() {
+        DeckI18n.applyTranslations(this.bar);
+        this.bar.setAttribute('aria-label', DeckI18n.t('narration.player'));
+        this.updatePlayButton();
+    }
+
+    isPlaying() {
+        return !this.audio.paused && !this.audio.ended;
+    }
+
+    // Load the take of a slide at a time into it; a slide without a take stops the narration
+    cue(slideNumber, offsetMs, play) {
+        const entry = this.timeline.entries.find(item => item.number === slideNumber) || null;
+        if (!entry) {
+            this.entry = null;
+            this.audio.pause();
+            this.renderTime(null);
+            this.renderTranscript(slideNumber);
+            return;
+        }
+
+        if (entry !== this.entry) {
+            this.entry = entry;
+            this.audio.src = entry.url;
+            this.renderTranscript(slideNumber);
+        }
+        this.setAudioTime(offsetMs);
+        if (play) {
+            this.audio.play().catch(err => console.warn('Narration playback failed', err));
+        }
+        this.renderTime(entry.startMs + offsetMs);
+    }
+
+    // currentTime is ignored until the audio's metadata has loaded
+    setAudioTime(offsetMs) {
+        if (this.audio.readyState >= 1) {
+            this.audio.currentTime = offsetMs / 1000;
+        } else {
+            this.audio.addEventListener('loadedmetadata', () => { this.audio.currentTime = offsetMs / 1000; }, { once: true });
+        }
+    }
+
+    togglePlay() {
+        if (this.isPlaying()) {
+            this.audio.pause();
+            return;
+        }
+        if (this.entry) {
+            this.audio.play().catch(err => console.warn('Narration playback failed', err));
+            return;
+        }
+        // On a slide without a take: start with the next slide that has one
+        const next = this.timeline.entries.find(item => item.number > this.presentation.currentSlide) || this.timeline.entries[0];
+        if (next) this.seek(next.startMs, true);
+    }
+
+    // Time on the whole talk: cue the take, then bring the deck to its slide and step
+    seek(ms, play = this.isPlaying()) {
+        const location = DeckNarration.locate(this.timeline, ms);
+        if (!location) return;
+
+        const { entry, offsetMs } = location;
+        this.cue(entry.number, offsetMs, play);
+        const step = DeckNarration.getStepAt(entry, offsetMs);
+        if (entry.number !== this.presentation.currentSlide) {
+            this.presentation.goToSlide(entry.number, { step, force: true });
+        } else {
+            this.showStep(step);
+        }
+    }
+
+    playNext() {
+        const next = this.entry && this.timeline.entries[this.timeline.entries.indexOf(this.entry) + 1];
+        if (next) {
+            this.seek(next.startMs, true);
+        } else {
+            this.updatePlayButton();
+        }
+    }
+
+    // Reveal the steps that were shown by this point of the take
+    sync() {
+        if (!this.entry || this.dragging) return;
+        const offsetMs = this.audio.currentTime * 1000;
+        if (this.presentation.currentSlide === this.entry.number) {
+            this.showStep(DeckNarration.getStepAt(this.entry, offsetMs));
+        }
+        this.renderTime(this.entry.startMs + offsetMs);
+    }
+
+    showStep(step) {
+        if (step === this.presentation.getStep()) return;
+        this.showingStep = true;
+        this.presentation.showStep(step);
+        this.showingStep = false;
+    }
+
+    // A step changed by the learner moves the audio to the moment that step was shown
+    handleStep({ slide, step }) {
+        if (this.showingStep || !this.entry || this.entry.number !== slide) return;
+        if (DeckNarration.getStepAt(this.entry, this.audio.currentTime * 1000) === step) return;
+        this.setAudioTime(DeckNarration.getStepTime(this.entry, step));
+    }
+
+    updatePlayButton() {
+        const playing = this.isPlaying();
+        this.playBtn.textContent = playing ? '⏸️' : '▶️';
+        this.playBtn.setAttribute('aria-label', DeckI18n.t(playing ? 'narration.pause' : 'narration.play'));
+        this.playBtn.disabled = !this.timeline.entries.length;
+    }
+
+    renderTime(ms) {
+        const total = this.timeline.durationMs;
+        this.seekBar.max = String(total);
+        this.seekBar.disabled = !total;
+        if (!this.dragging && ms !== null) this.seekBar.value = String(ms);
+
+        if (!total) {
+            this.timeLabel.textContent = DeckI18n.t('narration.none');
+        } else if (ms === null) {
+            this.timeLabel.textContent = DeckI18n.t('narration.noTake');
+        } else {
+            this.timeLabel.textContent = `${formatNarrationTime(ms)} / ${formatNarrationTime(total)}`;
+        }
+    }
+
+    async renderTranscript(slideNumber) {
+        this.transcriptSlide = slideNumber;
+        const entry = this.presentation.getSlideEntry(slideNumber);
+        this.transcript.querySelector('.narration-transcript-title').textContent = entry ? `${slideNumber}. ${entry.title}` : '';
+
+        const text = this.transcript.querySelector('.narration-transcript-text');
+        const take = this.entry && this.entry.number === slideNumber ? this.entry : null;
+        if (take && take.transcript) {
+            text.textContent = take.transcript;
+            return;
+        }
+
+        // No recorded transcript: the speaker notes are the closest script
+        const notes = await this.presentation.getSpeakerNotes(slideNumber);
+        if (this.transcriptSlide !== slideNumber) return;
+        const html = notes[this.presentation.locale];
+        if (html) {
+            text.innerHTML = html;
+        } else {
+            text.textContent = DeckI18n.t('narration.noTranscript');
+        }
+    }
+}
+
+// Format milliseconds as H:MM:SS / MM:SS
+function formatNarrationTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours ? `${hours}:${mmss}` : mmss;
+}
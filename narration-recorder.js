@@ -0,0 +1,262 @@
+// AWS Security Training - narration recorder (presenter view)
+// Records the trainer's narration slide by slide with MediaRecorder. ⏺ starts on the current slide with
+// its reveal steps hidden; moving to another slide closes the take and starts the next one, so a whole
+// talk can be recorded in one go, and ⏹ stops. Recording a single slide again replaces only its take.
+// Reveal steps shown while recording are stored as cues, and the transcript box is saved with the take
+// (it starts with the speaker notes).
+// Files go to the folder picked with 📁 (the repository's narration/ folder, File System Access API);
+// browsers without it download each take plus index.json to copy there by hand. See narration-core.js.
+const NARRATION_INDEX_NAME = 'index.json';
+// Shorter takes are dropped, so clicking through slides while recording keeps their earlier takes
+const NARRATION_MIN_TAKE_MS = 2000;
+
+class NarrationRecorder {
+    constructor(view) {
+        this.view = view;
+        this.index = DeckNarration.createIndex();
+        this.folder = null;      // FileSystemDirectoryHandle of narration/
+        this.stream = null;      // microphone, kept open between the takes of one recording
+        this.format = null;
+        this.take = null;        // take being recorded
+        this.slug = null;        // slide shown in the transcript box
+
+        this.recordBtn = document.getElementById('recordBtn');
+        this.folderBtn = document.getElementById('narrationFolderBtn');
+        this.downloadIndexBtn = document.getElementById('downloadIndexBtn');
+        this.status = document.getElementById('narrationStatus');
+        this.coverage = document.getElementById('narrationCoverage');
+        this.transcriptInput = document.getElementById('transcriptInput');
+
+        this.init();
+    }
+
+    init() {
+        this.recordBtn.addEventListener('click', () => (this.take ? this.stop() : this.start()));
+        this.folderBtn.addEventListener('click', () => this.chooseFolder());
+        this.downloadIndexBtn.addEventListener('click', () => this.downloadIndex());
+        this.transcriptInput.addEventListener('change', () => this.saveTranscript());
+        // Keys typed into the transcript are not slide navigation
+        this.transcriptInput.addEventListener('keydown', (e) => e.stopPropagation());
+
+        this.folderBtn.hidden = typeof window.showDirectoryPicker !== 'function';
+        if (typeof MediaRecorder === 'undefined' || !navigator.mediaDevices) {
+            this.recordBtn.disabled = true;
+            this.setStatus('narration.unsupported');
+        }
+        this.updateRecordButton();
+        this.loadIndex();
+    }
+
+    // index.json served next to the deck; replaced by the chosen folder's copy once one is picked
+    async loadIndex() {
+        try {
+            const resp = await fetch(DeckNarration.INDEX_FILE, { cache: 'no-cache' });
+            if (resp.ok) this.index = DeckNarration.readIndex(await resp.json());
+        } catch (err) {
+            // no narration recorded yet
+        }
+        this.renderCoverage();
+    }
+
+    async chooseFolder() {
+        try {
+            this.folder = await window.showDirectoryPicker({ id: 'narration', mode: 'readwrite' });
+        } catch (err) {
+            return; // picker cancelled
+        }
+
+        try {
+            const file = await (await this.folder.getFileHandle(NARRATION_INDEX_NAME)).getFile();
+            this.index = DeckNarration.readIndex(JSON.parse(await file.text()));
+        } catch (err) {
+            // new folder: keep the served index so its takes are not lost on the next write
+        }
+        this.downloadIndexBtn.hidden = true;
+        this.setStatus('narration.folder', { name: this.folder.name });
+        this.renderCoverage();
+    }
+
+    // Called by the presenter view for every deck state message
+    handleState(message) {
+        const { info } = message;
+        this.locale = message.locale || DeckI18n.getLocale();
+        this.notes = message.notes || {};
+
+        if (this.take && this.take.slug !== info.slug) {
+            this.finishTake();
+            this.startTake(info);
+        } else if (this.take) {
+            this.cueStep(info.step);
+        }
+
+        if (info.slug !== this.slug) {
+            this.slug = info.slug;
+            this.showTranscript();
+        }
+        this.renderCoverage();
+    }
+
+    async start() {
+        const info = this.view.state && this.view.state.info;
+        if (!info) return;
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (err) {
+            console.warn('Narration: microphone unavailable', err);
+            this.setStatus('narration.noMic');
+            return;
+        }
+        this.format = DeckNarration.pickFormat(type => MediaRecorder.isTypeSupported(type)) || { mimeType: '', ext: 'webm' };
+
+        // Takes start on the bare slide so the step cues line up in playback
+        this.view.send({ type: 'goto', slide: info.number, step: 0 });
+        this.startTake(Object.assign({}, info, { step: 0 }));
+        this.statusTimer = setInterval(() => this.renderRecording(), 1000);
+    }
+
+    stop() {
+        this.finishTake();
+        clearInterval(this.statusTimer);
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.updateRecordButton();
+    }
+
+    startTake(info) {
+        const recorder = new MediaRecorder(this.stream, this.format.mimeType ? { mimeType: this.format.mimeType } : {});
+        const take = { slug: info.slug, title: info.title, locale: this.locale, recorder, chunks: [], steps: [], startedAt: Date.now() };
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size) take.chunks.push(e.data);
+        });
+        recorder.start();
+        this.take = take;
+        this.cueStep(info.step);
+        this.updateRecordButton();
+        this.renderRecording();
+    }
+
+    // Steps revealed while recording become cues; stepping back drops the cues past the new step
+    cueStep(step) {
+        const { take } = this;
+        if (step < take.steps.length) take.steps.length = step;
+        while (take.steps.length < step) take.steps.push(Date.now() - take.startedAt);
+    }
+
+    finishTake() {
+        const take = this.take;
+        if (!take) return;
+        this.take = null;
+        take.durationMs = Date.now() - take.startedAt;
+        take.transcript = take.slug === this.slug ? this.transcriptInput.value.trim() : '';
+
+        take.recorder.addEventListener('stop', () => this.saveTake(take));
+        take.recorder.stop();
+    }
+
+    async saveTake(take) {
+        if (take.durationMs < NARRATION_MIN_TAKE_MS) return;
+
+        const file = DeckNarration.getTakeFile(take.slug, take.locale, this.format);
+        const blob = new Blob(take.chunks, { type: take.recorder.mimeType || this.format.mimeType });
+        try {
+            await this.writeFile(file, blob);
+        } catch (err) {
+            console.warn(`Narration: could not write ${file}`, err);
+            this.setStatus('narration.notSaved', { file });
+            return;
+        }
+
+        DeckNarration.setTake(this.index, take.locale, take.slug, {
+            file,
+            mimeType: blob.type,
+            durationMs: take.durationMs,
+            steps: take.steps,
+            transcript: take.transcript
+        });
+        await this.writeIndex();
+        this.setStatus(this.folder ? 'narration.saved' : 'narration.downloaded', { file, title: take.title });
+        this.renderCoverage();
+    }
+
+    // The transcript of a recorded slide can be corrected without recording it again
+    async saveTranscript() {
+        const existing = this.slug && DeckNarration.getTake(this.index, this.locale, this.slug);
+        if (!existing || (this.take && this.take.slug === this.slug)) return;
+
+        DeckNarration.setTake(this.index, this.locale, this.slug, Object.assign({}, existing, {
+            transcript: this.transcriptInput.value.trim()
+        }));
+        await this.writeIndex();
+    }
+
+    async writeIndex() {
+        if (this.folder) {
+            await this.writeFile(NARRATION_INDEX_NAME, JSON.stringify(this.index, null, 2));
+            return;
+        }
+        // Downloading index.json after every take would flood the downloads folder
+        this.downloadIndexBtn.hidden = false;
+    }
+
+    downloadIndex() {
+        downloadBlob(NARRATION_INDEX_NAME, new Blob([JSON.stringify(this.index, null, 2)], { type: 'application/json' }));
+        this.downloadIndexBtn.hidden = true;
+    }
+
+    async writeFile(name, data) {
+        if (!this.folder) {
+            downloadBlob(name, data instanceof Blob ? data : new Blob([data]));
+            return;
+        }
+        const writable = await (await this.folder.getFileHandle(name, { create: true })).createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    // The slide's recorded transcript, or its speaker notes as a starting point
+    showTranscript() {
+        const take = DeckNarration.getTake(this.index, this.locale, this.slug);
+        this.transcriptInput.value = take && take.transcript ? take.transcript : htmlToText(this.notes[this.locale]);
+    }
+
+    updateRecordButton() {
+        this.recordBtn.textContent = DeckI18n.t(this.take ? 'narration.stop' : 'narration.record');
+        this.recordBtn.classList.toggle('recording', Boolean(this.take));
+    }
+
+    renderRecording() {
+        if (!this.take) return;
+        this.setStatus('narration.recording', { title: this.take.title, time: formatClock(Date.now() - this.take.startedAt) });
+    }
+
+    renderCoverage() {
+        const locale = this.locale || DeckI18n.getLocale();
+        const recorded = this.view.manifest.slides.filter(slide => DeckNarration.getTake(this.index, locale, slide.slug)).length;
+        const current = this.slug && DeckNarration.getTake(this.index, locale, this.slug);
+        this.coverage.textContent = DeckI18n.t('narration.coverage', { count: recorded, total: this.view.totalSlides, locale: locale.toUpperCase() }) +
+            (current ? ` · ${DeckI18n.t('narration.hasTake', { time: formatClock(current.durationMs) })}` : '');
+    }
+
+    setStatus(key, params) {
+        this.status.textContent = DeckI18n.t(key, params);
+    }
+}
+
+function htmlToText(html) {
+    if (!html) return '';
+    const el = document.createElement('div');
+    el.innerHTML = html;
+    return el.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,121 @@
+// AWS Security Training - offline support
+// Registers service-worker.js and shows how much of the deck is cached for offline use.
+// Clicking the badge re-checks the cache and retries files that failed to download.
+const OFFLINE_WORKER_URL = 'service-worker.js';
+
+class OfflineSupport {
+    constructor() {
+        this.status = null;      // last { cached, total, version, precaching } from the worker
+        this.progress = null;    // { done, failed, total } while precaching
+        this.online = navigator.onLine;
+        this.registration = null;
+
+        this.init();
+    }
+
+    // Service workers need http(s) (or localhost); file:// decks stay online-only
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    init() {
+        this.createBadge();
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            const message = e.data || {};
+            if (message.type === 'precache-progress') {
+                this.progress = message;
+                if (message.done + message.failed >= message.total) this.requestStatus();
+            } else if (message.type === 'cache-status') {
+                this.status = message;
+                if (!message.precaching) this.progress = null;
+            }
+            this.updateBadge();
+        });
+
+        window.addEventListener('online', () => this.setOnline(true));
+        window.addEventListener('offline', () => this.setOnline(false));
+        window.addEventListener('locale-changed', () => this.updateBadge());
+
+        navigator.serviceWorker.register(OFFLINE_WORKER_URL)
+            .then((registration) => {
+                this.registration = registration;
+                return navigator.serviceWorker.ready;
+            })
+            .then(() => this.requestStatus())
+            .catch((err) => {
+                console.warn('Service worker registration failed:', err);
+                this.error = err;
+                this.updateBadge();
+            });
+    }
+
+    setOnline(online) {
+        this.online = online;
+        this.updateBadge();
+    }
+
+    postToWorker(message) {
+        const worker = navigator.serviceWorker.controller || (this.registration && this.registration.active);
+        if (worker) worker.postMessage(message);
+    }
+
+    requestStatus() {
+        this.postToWorker({ type: 'cache-status' });
+    }
+
+    // Download whatever is still missing from the cache
+    retry() {
+        this.postToWorker({ type: 'precache' });
+    }
+
+    isComplete() {
+        return Boolean(this.status && this.status.cached >= this.status.total);
+    }
+
+    createBadge() {
+        this.badge = document.createElement('button');
+        this.badge.type = 'button';
+        this.badge.className = 'cache-badge';
+        this.badge.addEventListener('click', () => {
+            if (this.isComplete()) {
+                this.requestStatus();
+            } else {
+                this.retry();
+            }
+        });
+        document.body.appendChild(this.badge);
+        this.updateBadge();
+    }
+
+    updateBadge() {
+        const complete = this.isComplete();
+        this.badge.classList.toggle('ready', complete);
+        this.badge.classList.toggle('incomplete', !complete && !this.progress);
+        this.badge.classList.toggle('offline', !this.online);
+
+        if (this.error) {
+            this.badge.textContent = DeckI18n.t('offline.error');
+            this.badge.title = String(this.error);
+        } else if (this.progress) {
+            this.badge.textContent = DeckI18n.t('offline.progress', this.progress);
+            this.badge.title = DeckI18n.t('offline.progressTitle');
+        } else if (!this.status) {
+            this.badge.textContent = DeckI18n.t('offline.checking');
+            this.badge.title = '';
+        } else if (!this.online) {
+            this.badge.textContent = complete
+                ? DeckI18n.t('offline.offlineComplete')
+                : DeckI18n.t('offline.offlineMissing', { count: this.status.total - this.status.cached });
+            this.badge.title = DeckI18n.t('offline.versionTitle', this.status);
+        } else if (complete) {
+            this.badge.textContent = DeckI18n.t('offline.ready');
+            this.badge.title = DeckI18n.t('offline.readyTitle', this.status);
+        } else {
+            this.badge.textContent = DeckI18n.t('offline.partial', this.status);
+            this.badge.title = DeckI18n.t('offline.partialTitle');
+        }
+    }
+}
+
+window.OfflineSupport = OfflineSupport;
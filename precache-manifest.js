@@ -0,0 +1,132 @@
+// Generated by scripts/build-precache.js - do not edit by hand.
+self.PRECACHE_MANIFEST = {
+    "version": "b646ce3d0eda",
+    "files": [
+        "analytics-core.js",
+        "analytics-dashboard.js",
+        "analytics-recorder.js",
+        "analytics.html",
+        "annotation-core.js",
+        "annotation-layer.js",
+        "app.js",
+        "canvas-aws-config.html",
+        "deck-bundle.js",
+        "deck-links.js",
+        "deck-manifest.js",
+        "i18n.js",
+        "index.html",
+        "kiosk-mode.js",
+        "live-client.js",
+        "logo-name.png",
+        "logo2.png",
+        "narration-core.js",
+        "narration-player.js",
+        "narration-recorder.js",
+        "notes/cloudtrail.html",
+        "notes/iam-overview.html",
+        "offline-client.js",
+        "presenter.html",
+        "presenter.js",
+        "quiz-client.js",
+        "quiz-core.js",
+        "quizzes/data.json",
+        "quizzes/iam.json",
+        "quizzes/monitoring.json",
+        "quizzes/network.json",
+        "rehearsal-core.js",
+        "remote-pairing.js",
+        "search-core.js",
+        "search-index.json",
+        "search-palette.js",
+        "slide-1.html",
+        "slide-21-cloudfront-s3-best-practices.html",
+        "slide-21-cloudfront-security.html",
+        "slide-24-aws-cloudtrail.html",
+        "slide-25-aws-cloudwatch.html",
+        "slide-28-aws-ai-protect.html",
+        "slide-30-aws-guardduty.html",
+        "slide-31-best-practice.html",
+        "slide-32-scenario.html",
+        "slide-33-thankyou.html",
+        "slide-5-why.html",
+        "slide-6-iam-overview.html",
+        "slide-7-iam-users-groups-roles-policies.html",
+        "slide-8-principle-of-least-privilege.html",
+        "slide-9-root-account-best-practices.html",
+        "slide-aws-config.html",
+        "slide-aws-macie.html",
+        "slide-aws-shared-responsibility-model.html",
+        "slide-overview.js",
+        "slide-real-world-incidents.html",
+        "slides/en/slide-11.html",
+        "slides/en/slide-12.html",
+        "slides/slide-.html",
+        "slides/slide-1.html",
+        "slides/slide-10.html",
+        "slides/slide-11.html",
+        "slides/slide-12.html",
+        "slides/slide-13.html",
+        "slides/slide-14.html",
+        "slides/slide-15.html",
+        "slides/slide-16.html",
+        "slides/slide-17.html",
+        "slides/slide-18.html",
+        "slides/slide-19.html",
+        "slides/slide-2.html",
+        "slides/slide-20-canvas.js",
+        "slides/slide-20.html",
+        "slides/slide-21.html",
+        "slides/slide-22.html",
+        "slides/slide-23.html",
+        "slides/slide-24.html",
+        "slides/slide-25.html",
+        "slides/slide-26.html",
+        "slides/slide-27.html",
+        "slides/slide-28.html",
+        "slides/slide-29.html",
+        "slides/slide-3.html",
+        "slides/slide-30.html",
+        "slides/slide-31.html",
+        "slides/slide-32.html",
+        "slides/slide-33.html",
+        "slides/slide-4.html",
+        "slides/slide-5.html",
+        "slides/slide-6.html",
+        "slides/slide-7.html",
+        "slides/slide-8.html",
+        "slides/slide-9.html",
+        "slides/slide-last.html",
+        "speaker-notes.js",
+        "style.css",
+        "theme.css",
+        "theme.js",
+        "vendor/chart.js/chart.umd.min.js",
+        "vendor/fonts/inter-latin-400-normal.woff2",
+        "vendor/fonts/inter-latin-500-normal.woff2",
+        "vendor/fonts/inter-latin-600-normal.woff2",
+        "vendor/fonts/inter-latin-700-normal.woff2",
+        "vendor/fonts/inter-latin-800-normal.woff2",
+        "vendor/fonts/inter-latin-900-normal.woff2",
+        "vendor/fonts/inter-latin-ext-400-normal.woff2",
+        "vendor/fonts/inter-latin-ext-500-normal.woff2",
+        "vendor/fonts/inter-latin-ext-600-normal.woff2",
+        "vendor/fonts/inter-latin-ext-700-normal.woff2",
+        "vendor/fonts/inter-latin-ext-800-normal.woff2",
+        "vendor/fonts/inter-latin-ext-900-normal.woff2",
+        "vendor/fonts/inter-vietnamese-400-normal.woff2",
+        "vendor/fonts/inter-vietnamese-500-normal.woff2",
+        "vendor/fonts/inter-vietnamese-600-normal.woff2",
+        "vendor/fonts/inter-vietnamese-700-normal.woff2",
+        "vendor/fonts/inter-vietnamese-800-normal.woff2",
+        "vendor/fonts/inter-vietnamese-900-normal.woff2",
+        "vendor/fonts/inter.css",
+        "vendor/tailwindcss/tailwindcss.js",
+        "vendor/three/three.min.js"
+    ],
+    "remote": [
+        "https://d2908q01vomqb2.cloudfront.net/77de68daecd823babbb58edb1c8e14d7106e83bb/2020/05/18/AWS-Config-Rules-1.jpg",
+        "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTiaZvQvXQQzdVh-vuFOF16MxWHFA7N63hWsw&s",
+        "https://i.ytimg.com/vi/RR4MtDl09Vk/maxresdefault.jpg",
+        "https://logos-world.net/wp-content/uploads/2021/08/Amazon-Web-Services-AWS-Logo.png"
+    ]
+};
@@ -0,0 +1,335 @@
+// AWS Security Training - Presenter view
+// Runs in presenter.html (opened from the 🎮 button in the deck) and mirrors the audience
+// window through BroadcastChannel: the deck publishes `state` messages built from
+// getCurrentSlideInfo()/getTrainingProgress(), the presenter sends `goto`/`next`/`prev` back.
+// The presenter view follows the deck language (i18n.js) carried by each state message.
+// The clocks are a rehearsal timer (rehearsal-core.js): time per slide and section, pacing against the
+// section budgets, overrun alerts, and saved runs to compare with earlier rehearsals.
+// The narration panel records per-slide audio for the deck's playback mode (narration-recorder.js).
+const PRESENTER_CHANNEL = 'aws-security-presenter';
+// Saved runs shown next to the current one in the comparison table
+const RUNS_SHOWN = 3;
+
+class PresenterView {
+    constructor(manifest = window.DECK_MANIFEST) {
+        this.manifest = manifest;
+        this.totalSlides = manifest.slides.length;
+        this.state = null;
+
+        // Starts with the first state message from the deck
+        this.tracker = new DeckRehearsal.RehearsalTracker(manifest);
+
+        this.currentFrame = document.getElementById('currentPreview');
+        this.nextFrame = document.getElementById('nextPreview');
+        this.slideTitle = document.getElementById('slideTitle');
+        this.slideCounter = document.getElementById('slideCounter');
+        this.nextTitle = document.getElementById('nextTitle');
+        this.notesPanel = document.getElementById('speakerNotes');
+        this.sectionName = document.getElementById('sectionName');
+        this.sectionBudget = document.getElementById('sectionBudget');
+        this.sectionClock = document.getElementById('sectionClock');
+        this.elapsedClock = document.getElementById('elapsedClock');
+        this.remainingClock = document.getElementById('remainingClock');
+        this.paceClock = document.getElementById('paceClock');
+        this.pacingAlert = document.getElementById('pacingAlert');
+        this.pauseClockBtn = document.getElementById('pauseClockBtn');
+        this.saveRunBtn = document.getElementById('saveRunBtn');
+        this.runsPanel = document.getElementById('rehearsalRuns');
+        this.runsTable = document.getElementById('runsTable');
+        this.progressFill = document.getElementById('presenterProgress');
+        this.connectionStatus = document.getElementById('connectionStatus');
+
+        this.init();
+    }
+
+    init() {
+        DeckI18n.applyTranslations(document);
+        this.slideTitle.textContent = DeckI18n.t('presenter.waiting');
+        this.notesPanel.textContent = DeckI18n.t('presenter.noNotes');
+        this.connectionStatus.textContent = DeckI18n.t('presenter.disconnected');
+        this.updatePauseButton();
+
+        if (typeof BroadcastChannel === 'undefined') {
+            this.connectionStatus.textContent = DeckI18n.t('presenter.noChannel');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(PRESENTER_CHANNEL);
+        this.channel.addEventListener('message', (e) => this.handleMessage(e.data || {}));
+
+        document.getElementById('prevBtn').addEventListener('click', () => this.send({ type: 'prev' }));
+        document.getElementById('nextBtn').addEventListener('click', () => this.send({ type: 'next' }));
+        document.getElementById('resetClockBtn').addEventListener('click', () => this.resetClock());
+        this.pauseClockBtn.addEventListener('click', () => this.togglePause());
+        this.saveRunBtn.addEventListener('click', () => this.saveRun());
+        document.getElementById('clearRunsBtn').addEventListener('click', () => this.clearRuns());
+        this.runsPanel.addEventListener('toggle', () => this.renderRuns());
+        this.narration = new NarrationRecorder(this);
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Ask the deck for its current state
+        this.send({ type: 'hello' });
+        this.clockTimer = setInterval(() => this.renderClock(), 1000);
+    }
+
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    handleMessage(message) {
+        if (message.type !== 'state') return;
+
+        if (message.locale && message.locale !== DeckI18n.getLocale()) {
+            DeckI18n.setLocale(message.locale, { persist: false });
+            DeckI18n.applyTranslations(document);
+            this.updatePauseButton();
+        }
+
+        this.connectionStatus.textContent = DeckI18n.t('presenter.connected');
+        this.connectionStatus.classList.add('connected');
+        this.tracker.enter(message.info.number);
+        this.state = message;
+        this.render();
+        this.narration.handleState(message);
+    }
+
+    handleKeydown(event) {
+        switch (event.key) {
+            case 'ArrowRight':
+            case ' ':
+            case 'PageDown':
+                event.preventDefault();
+                this.send({ type: 'next' });
+                break;
+            case 'ArrowLeft':
+            case 'PageUp':
+                event.preventDefault();
+                this.send({ type: 'prev' });
+                break;
+            case 'Home':
+                event.preventDefault();
+                this.send({ type: 'goto', slide: 1 });
+                break;
+            case 'End':
+                event.preventDefault();
+                this.send({ type: 'goto', slide: this.totalSlides });
+                break;
+        }
+    }
+
+    // Starts a new run on the current slide; unsaved timings of the previous run are dropped
+    resetClock() {
+        this.tracker.start(this.state ? this.state.info.number : null);
+        this.updatePauseButton();
+        this.renderClock();
+        this.renderRuns();
+    }
+
+    // Pause for breaks and interruptions: paused time counts towards no slide
+    togglePause() {
+        if (this.tracker.isPaused()) {
+            this.tracker.resume();
+        } else {
+            this.tracker.pause();
+        }
+        this.updatePauseButton();
+        this.renderClock();
+    }
+
+    updatePauseButton() {
+        this.pauseClockBtn.textContent = DeckI18n.t(this.tracker.isPaused() ? 'presenter.resumeClock' : 'presenter.pauseClock');
+    }
+
+    saveRun() {
+        if (!this.tracker.isStarted()) return;
+        const saved = DeckRehearsal.saveRun(this.tracker.toRun({ locale: DeckI18n.getLocale() }));
+        this.saveRunBtn.textContent = DeckI18n.t(saved ? 'presenter.runSaved' : 'presenter.runNotSaved');
+        clearTimeout(this.saveRunTimer);
+        this.saveRunTimer = setTimeout(() => { this.saveRunBtn.textContent = DeckI18n.t('presenter.saveRun'); }, 2000);
+        this.renderRuns();
+    }
+
+    clearRuns() {
+        if (!window.confirm(DeckI18n.t('presenter.clearRunsConfirm'))) return;
+        DeckRehearsal.clearRuns();
+        this.renderRuns();
+    }
+
+    getSectionName(key) {
+        const section = this.manifest.sections.find(item => item.key === key);
+        return section ? DeckI18n.localize(section).name : key;
+    }
+
+    render() {
+        const { info, progress } = this.state;
+        const next = this.manifest.slides[info.number] && DeckI18n.localize(this.manifest.slides[info.number]);
+        // While the slide still has reveal steps, "next" is the same slide one step further
+        const nextStep = info.step < info.stepCount ? info.step + 1 : null;
+
+        this.slideTitle.textContent = info.title;
+        this.slideCounter.textContent = info.stepCount
+            ? DeckI18n.t('presenter.stepCounter', { number: info.number, total: info.total, step: info.step, count: info.stepCount })
+            : `${info.number} / ${info.total}`;
+        if (nextStep) {
+            this.nextTitle.textContent = DeckI18n.t('presenter.nextStep', { number: info.number, title: info.title, step: nextStep, count: info.stepCount });
+        } else {
+            this.nextTitle.textContent = next ? `${info.number + 1}. ${next.title}` : DeckI18n.t('nav.finish');
+        }
+        this.progressFill.style.width = `${progress.slideProgress}%`;
+
+        this.sectionName.textContent = info.section ? info.section.name : 'N/A';
+        this.sectionBudget.textContent = info.section ? info.section.duration : '';
+
+        this.renderNotes(this.state.notes);
+        this.showPreview(this.currentFrame, info.number, { step: info.step });
+        if (nextStep) {
+            this.showPreview(this.nextFrame, info.number, { step: nextStep });
+        } else {
+            this.showPreview(this.nextFrame, next ? info.number + 1 : null);
+        }
+        this.renderClock();
+    }
+
+    // Notes arrive as { vi, en, ... }; languages are shown side by side, Vietnamese first
+    renderNotes(notes) {
+        const langs = Object.keys(notes || {}).sort((a, b) => (a === 'vi' ? -1 : b === 'vi' ? 1 : a.localeCompare(b)));
+        if (!langs.length) {
+            this.notesPanel.textContent = DeckI18n.t('presenter.noNotes');
+            return;
+        }
+
+        this.notesPanel.innerHTML = '';
+        langs.forEach(lang => {
+            const column = document.createElement('div');
+            column.className = 'notes-column';
+            column.lang = lang;
+            column.innerHTML = `<h2>${lang.toUpperCase()}</h2>${notes[lang]}`;
+            this.notesPanel.appendChild(column);
+        });
+    }
+
+    // Preview frames are the deck itself in preview mode; changing the hash triggers initFromURL().
+    // A language change reloads them with the new ?lang=.
+    showPreview(frame, slideNumber, state = {}) {
+        frame.style.visibility = slideNumber ? 'visible' : 'hidden';
+        if (!slideNumber) return;
+
+        const hash = DeckLinks.buildSlideHash(this.manifest, slideNumber, state);
+        const locale = DeckI18n.getLocale();
+        if (!frame.getAttribute('src') || frame.dataset.locale !== locale) {
+            frame.dataset.locale = locale;
+            frame.src = `index.html?mode=preview&lang=${locale}${hash}`;
+        } else if (frame.contentWindow && frame.contentWindow.location.hash !== hash) {
+            frame.contentWindow.location.hash = hash;
+        }
+    }
+
+    renderClock() {
+        if (!this.tracker.isStarted()) return;
+
+        const { schedule } = this.tracker;
+        const elapsedMs = this.tracker.getElapsedMs();
+        const remainingMs = schedule.totalMs - elapsedMs;
+
+        this.elapsedClock.textContent = formatClock(elapsedMs);
+        this.elapsedClock.classList.toggle('paused', this.tracker.isPaused());
+        this.remainingClock.textContent = (remainingMs < 0 ? '-' : '') + formatClock(Math.abs(remainingMs));
+        this.remainingClock.classList.toggle('overrun', remainingMs < 0);
+
+        const slide = schedule.slides[this.tracker.slideNumber - 1];
+        if (slide) {
+            const sectionMs = this.tracker.getSectionMs(slide.section);
+            const budgetMs = schedule.sections[slide.section].budgetMs;
+            this.sectionClock.textContent = formatClock(sectionMs);
+            this.sectionClock.classList.toggle('overrun', budgetMs > 0 && sectionMs > budgetMs);
+            this.renderPacing();
+            this.renderOverrun(slide.section);
+        }
+        if (this.runsPanel.open) this.renderRuns();
+    }
+
+    // Ahead or behind the planned window of the current slide; within a second counts as on track
+    renderPacing() {
+        const { deltaMs } = this.tracker.getPacing();
+        const onTrack = Math.abs(deltaMs) < 1000;
+        const key = onTrack ? 'presenter.onTrack' : deltaMs < 0 ? 'presenter.ahead' : 'presenter.behind';
+        this.paceClock.textContent = DeckI18n.t(key, { time: formatClock(Math.abs(deltaMs)) });
+        this.paceClock.classList.toggle('ahead', !onTrack && deltaMs < 0);
+        this.paceClock.classList.toggle('overrun', !onTrack && deltaMs > 0);
+    }
+
+    // Alert while the current section is over budget; it flashes once when the section first overruns
+    renderOverrun(sectionKey) {
+        const overrun = this.tracker.getOverruns().find(item => item.key === sectionKey);
+        this.pacingAlert.hidden = !overrun;
+        if (!overrun) return;
+
+        this.pacingAlert.textContent = DeckI18n.t('presenter.overrun', {
+            section: this.getSectionName(sectionKey),
+            time: formatClock(overrun.overMs)
+        });
+        if (this.tracker.takeNewOverruns().length) {
+            this.pacingAlert.classList.remove('flash');
+            void this.pacingAlert.offsetWidth; // restart the animation
+            this.pacingAlert.classList.add('flash');
+        }
+    }
+
+    // Section times of this run next to the last saved runs; times over budget are highlighted
+    renderRuns() {
+        if (!this.runsPanel.open) return;
+
+        const current = this.tracker.isStarted() ? this.tracker.toRun() : null;
+        const saved = DeckRehearsal.loadRuns().filter(run => !current || run.id !== current.id).slice(0, RUNS_SHOWN);
+        const runs = current ? [current].concat(saved) : saved;
+        this.runsTable.innerHTML = '';
+        if (!runs.length) {
+            this.runsTable.textContent = DeckI18n.t('presenter.noRuns');
+            return;
+        }
+
+        const table = document.createElement('table');
+        const addRow = (cells, tag = 'td') => {
+            const row = table.insertRow();
+            cells.forEach(({ text, className }) => {
+                const cell = document.createElement(tag);
+                cell.textContent = text;
+                if (className) cell.className = className;
+                row.appendChild(cell);
+            });
+        };
+
+        const formatDate = run => new Date(run.startedAt).toLocaleString(DeckI18n.getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+        addRow([
+            { text: DeckI18n.t('presenter.section') },
+            { text: DeckI18n.t('presenter.budget') },
+            ...runs.map(run => ({ text: run === current ? DeckI18n.t('presenter.thisRun') : formatDate(run) }))
+        ], 'th');
+        DeckRehearsal.compareRuns(this.tracker.schedule, runs).forEach(({ key, budgetMs, times }) => {
+            addRow([
+                { text: key ? this.getSectionName(key) : DeckI18n.t('presenter.total') },
+                { text: formatClock(budgetMs) },
+                ...times.map(ms => ({ text: ms ? formatClock(ms) : '–', className: ms > budgetMs ? 'overrun' : '' }))
+            ]);
+        });
+        this.runsTable.appendChild(table);
+    }
+}
+
+// Format milliseconds as H:MM:SS / MM:SS
+function formatClock(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours ? `${hours}:${mmss}` : mmss;
+}
+
+let presenterView;
+
+document.addEventListener('DOMContentLoaded', () => {
+    presenterView = new PresenterView();
+});
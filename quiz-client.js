@@ -0,0 +1,417 @@
+// AWS Security Training - knowledge check slides
+// Renders manifest entries with a `quiz` data file (quizzes/<section>.json, see quiz-core.js).
+//   - live audience: answer on your own device, answers go to scripts/live-server.js
+//   - live presenter: aggregated bar chart of answers, reveal the correct answer, step through questions
+//   - no live session: the trainer or a self-paced learner answers locally and gets instant feedback
+const QUIZ_CLIENT_ID_KEY = 'aws-security-quiz-client-id';
+
+class KnowledgeCheck {
+    constructor(slideEl, entry, presentation, liveSession = null) {
+        this.slideEl = slideEl;
+        this.entry = entry;
+        this.presentation = presentation;
+        this.liveSession = liveSession;
+        this.root = slideEl.querySelector('.quiz-root');
+        this.role = liveSession ? liveSession.role : 'local';
+
+        this.quiz = null;
+        this.questionIndex = 0;
+        this.answers = {};      // questionId -> submitted answer
+        this.orderings = {};    // questionId -> current ordering for ordering questions
+        this.results = {};      // questionId -> { total, counts, correct }
+        this.revealed = {};     // questionId -> true once the correct answer is shown
+        this.submitted = {};    // questionId -> true once the server acknowledged
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.quiz = QuizCore.normalizeQuiz(await DeckBundle.readJSON(this.entry.quiz));
+        } catch (err) {
+            console.warn(`Knowledge check ${this.entry.quiz} could not be loaded`, err);
+            this.root.textContent = DeckI18n.t('quiz.loadError');
+            return;
+        }
+        // The slide may have been removed while the questions were loading
+        if (!this.slideEl.isConnected) return;
+        this.translateOptions();
+
+        KnowledgeCheck.instances[this.quiz.id] = this;
+
+        // Late joiners land on the question the presenter is showing
+        const liveQuiz = this.liveSession && this.liveSession.quiz;
+        if (this.role === 'audience' && liveQuiz && liveQuiz.quizId === this.quiz.id) {
+            this.showQuestionById(liveQuiz.questionId);
+        }
+
+        // Keep arrow keys and Space inside the quiz controls instead of changing slides
+        this.root.addEventListener('keydown', (e) => {
+            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', ' '].includes(e.key) && e.target !== this.root) {
+                e.stopPropagation();
+            }
+        });
+
+        this.onSlideActivated = (e) => {
+            if (e.detail.element === this.slideEl) this.announceQuestion();
+        };
+        window.addEventListener('slide-activated', this.onSlideActivated);
+
+        // Re-render in the new language without losing answers or results
+        this.onLocaleChanged = () => {
+            if (!this.slideEl.isConnected) return;
+            const heading = this.slideEl.querySelector('h1');
+            if (heading) heading.textContent = this.presentation.getSlideEntry(this.presentation.resolveSlideNumber(this.slideEl)).title;
+            this.translateOptions();
+            this.render();
+        };
+        window.addEventListener('locale-changed', this.onLocaleChanged);
+
+        // Remounting discards the slide element; drop the window listeners with it
+        this.presentation.onSlide(this.slideEl, { destroy: () => this.destroy() });
+
+        this.render();
+        if (this.slideEl.classList.contains('active')) this.announceQuestion();
+    }
+
+    destroy() {
+        window.removeEventListener('slide-activated', this.onSlideActivated);
+        window.removeEventListener('locale-changed', this.onLocaleChanged);
+        if (KnowledgeCheck.instances[this.quiz.id] === this) delete KnowledgeCheck.instances[this.quiz.id];
+    }
+
+    // quiz-core names the true/false options in Vietnamese; show them in the deck language
+    translateOptions() {
+        this.quiz.questions.filter(question => question.type === 'truefalse').forEach(question => {
+            question.options = [DeckI18n.t('quiz.true'), DeckI18n.t('quiz.false')];
+        });
+    }
+
+    get question() {
+        return this.quiz.questions[this.questionIndex];
+    }
+
+    // Presenter tells the server (and so every follower) which question is on screen
+    announceQuestion() {
+        if (this.role === 'presenter') {
+            this.liveSession.send({ type: 'quiz-question', quizId: this.quiz.id, questionId: this.question.id });
+        }
+    }
+
+    showQuestion(index) {
+        if (index < 0 || index >= this.quiz.questions.length) return;
+        this.questionIndex = index;
+        this.render();
+        this.announceQuestion();
+    }
+
+    showQuestionById(questionId) {
+        const index = this.quiz.questions.findIndex(q => q.id === questionId);
+        if (index !== -1) {
+            this.questionIndex = index;
+            if (this.root.childElementCount) this.render();
+        }
+    }
+
+    getOrdering(question) {
+        if (!this.orderings[question.id]) {
+            this.orderings[question.id] = shuffledIndexes(question.options.length, question.id);
+        }
+        return this.orderings[question.id];
+    }
+
+    // Read the current answer from the form controls (null when nothing is selected)
+    readAnswer() {
+        const question = this.question;
+        if (question.type === 'ordering') {
+            return this.getOrdering(question).slice();
+        }
+
+        const checked = Array.from(this.root.querySelectorAll('.quiz-option input:checked')).map(input => parseInt(input.value));
+        if (question.type === 'multiple') {
+            return checked.length ? checked : null;
+        }
+        return checked.length ? checked[0] : null;
+    }
+
+    submit() {
+        const question = this.question;
+        const answer = this.readAnswer();
+        if (answer === null) return;
+
+        this.answers[question.id] = answer;
+
+        if (this.role === 'audience') {
+            this.liveSession.send({
+                type: 'answer',
+                quizId: this.quiz.id,
+                questionId: question.id,
+                clientId: getQuizClientId(),
+                answer
+            });
+        } else {
+            // Local mode: score immediately
+            this.results[question.id] = QuizCore.aggregateAnswers(question, [answer]);
+            this.revealed[question.id] = true;
+        }
+
+        window.dispatchEvent(new CustomEvent('quiz-answered', {
+            detail: { quizId: this.quiz.id, questionId: question.id, answer, correct: QuizCore.isCorrectAnswer(question, answer) }
+        }));
+        this.render();
+    }
+
+    reveal() {
+        if (this.role === 'presenter') {
+            this.liveSession.send({ type: 'quiz-reveal', quizId: this.quiz.id, questionId: this.question.id });
+        } else {
+            this.revealed[this.question.id] = true;
+            this.render();
+        }
+    }
+
+    moveItem(position, delta) {
+        const ordering = this.getOrdering(this.question);
+        const target = position + delta;
+        if (target < 0 || target >= ordering.length) return;
+        [ordering[position], ordering[target]] = [ordering[target], ordering[position]];
+        this.render();
+        const buttons = this.root.querySelectorAll(`.quiz-order-item:nth-child(${target + 1}) button`);
+        const focusButton = delta < 0 ? buttons[0] : buttons[1];
+        if (focusButton) focusButton.focus();
+    }
+
+    render() {
+        const question = this.question;
+        const total = this.quiz.questions.length;
+        const answered = question.id in this.answers;
+        const revealed = Boolean(this.revealed[question.id]);
+        const showResults = this.role === 'presenter' || revealed;
+
+        this.root.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'quiz-header';
+        header.innerHTML = `<span class="quiz-counter">${DeckI18n.t('quiz.counter', { number: this.questionIndex + 1, total })}</span><span class="quiz-type">${DeckI18n.t(`quiz.type.${question.type}`)}</span>`;
+        this.root.appendChild(header);
+
+        const prompt = document.createElement('h2');
+        prompt.className = 'quiz-prompt';
+        prompt.textContent = question.prompt;
+        this.root.appendChild(prompt);
+
+        if (this.role === 'presenter') {
+            this.root.appendChild(this.renderResults(question, revealed));
+        } else {
+            this.root.appendChild(question.type === 'ordering' ? this.renderOrdering(question, revealed) : this.renderOptions(question, revealed));
+            if (showResults && this.results[question.id] && this.role !== 'local') {
+                this.root.appendChild(this.renderResults(question, revealed));
+            }
+        }
+
+        const status = document.createElement('p');
+        status.className = 'quiz-status';
+        status.setAttribute('aria-live', 'polite');
+        if (this.role === 'presenter') {
+            const results = this.results[question.id];
+            status.textContent = results ? DeckI18n.t('quiz.results', results) : DeckI18n.t('quiz.waiting');
+        } else if (revealed && answered) {
+            status.textContent = QuizCore.isCorrectAnswer(question, this.answers[question.id]) ? DeckI18n.t('quiz.correct') : DeckI18n.t('quiz.incorrect');
+        } else if (answered) {
+            status.textContent = DeckI18n.t(this.submitted[question.id] ? 'quiz.submitted' : 'quiz.sending');
+        }
+        this.root.appendChild(status);
+
+        this.root.appendChild(this.renderActions(revealed));
+    }
+
+    renderOptions(question, revealed) {
+        const list = document.createElement('div');
+        list.className = 'quiz-options';
+        const inputType = question.type === 'multiple' ? 'checkbox' : 'radio';
+        const previous = this.answers[question.id];
+
+        question.options.forEach((option, index) => {
+            const label = document.createElement('label');
+            label.className = 'quiz-option';
+            if (revealed) {
+                const isCorrect = Array.isArray(question.answer) ? question.answer.includes(index) : question.answer === index;
+                label.classList.toggle('correct', isCorrect);
+            }
+
+            const input = document.createElement('input');
+            input.type = inputType;
+            input.name = `quiz-${this.quiz.id}-${question.id}`;
+            input.value = index;
+            input.checked = Array.isArray(previous) ? previous.includes(index) : previous === index;
+
+            const text = document.createElement('span');
+            text.textContent = option;
+
+            label.append(input, text);
+            list.appendChild(label);
+        });
+        return list;
+    }
+
+    renderOrdering(question, revealed) {
+        const list = document.createElement('ol');
+        list.className = 'quiz-order';
+
+        this.getOrdering(question).forEach((item, position) => {
+            const row = document.createElement('li');
+            row.className = 'quiz-order-item';
+            if (revealed) row.classList.toggle('correct', item === position);
+
+            const text = document.createElement('span');
+            text.textContent = question.options[item];
+
+            const up = document.createElement('button');
+            up.type = 'button';
+            up.textContent = '↑';
+            up.setAttribute('aria-label', DeckI18n.t('quiz.moveUp', { item: question.options[item] }));
+            up.disabled = position === 0;
+            up.addEventListener('click', () => this.moveItem(position, -1));
+
+            const down = document.createElement('button');
+            down.type = 'button';
+            down.textContent = '↓';
+            down.setAttribute('aria-label', DeckI18n.t('quiz.moveDown', { item: question.options[item] }));
+            down.disabled = position === question.options.length - 1;
+            down.addEventListener('click', () => this.moveItem(position, 1));
+
+            row.append(text, up, down);
+            list.appendChild(row);
+        });
+
+        if (revealed) {
+            const solution = document.createElement('p');
+            solution.className = 'quiz-solution';
+            solution.textContent = DeckI18n.t('quiz.correctOrder', { order: question.options.join(' → ') });
+            list.appendChild(solution);
+        }
+        return list;
+    }
+
+    // Horizontal bar chart of aggregated answers (ordering: items placed in the correct position)
+    renderResults(question, revealed) {
+        const results = this.results[question.id] || { total: 0, counts: question.options.map(() => 0), correct: 0 };
+        const chart = document.createElement('div');
+        chart.className = 'quiz-results';
+
+        question.options.forEach((option, index) => {
+            const count = results.counts[index] || 0;
+            const percent = results.total ? Math.round((count / results.total) * 100) : 0;
+            const isCorrect = question.type === 'ordering' || (Array.isArray(question.answer) ? question.answer.includes(index) : question.answer === index);
+
+            const row = document.createElement('div');
+            row.className = 'quiz-bar';
+            row.classList.toggle('correct', revealed && isCorrect);
+            row.innerHTML = `
+                <span class="quiz-bar-label"></span>
+                <span class="quiz-bar-track"><span class="quiz-bar-fill" style="width: ${percent}%"></span></span>
+                <span class="quiz-bar-value">${count} (${percent}%)</span>
+            `;
+            row.querySelector('.quiz-bar-label').textContent = question.type === 'ordering' ? `${index + 1}. ${option}` : option;
+            chart.appendChild(row);
+        });
+
+        if (question.type === 'ordering') {
+            const note = document.createElement('p');
+            note.className = 'quiz-results-note';
+            note.textContent = DeckI18n.t('quiz.positionNote');
+            chart.appendChild(note);
+        }
+        return chart;
+    }
+
+    renderActions(revealed) {
+        const actions = document.createElement('div');
+        actions.className = 'quiz-actions';
+
+        const addButton = (label, handler, disabled = false) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn--secondary';
+            button.textContent = label;
+            button.disabled = disabled;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+
+        addButton(DeckI18n.t('quiz.prev'), () => this.showQuestion(this.questionIndex - 1), this.questionIndex === 0);
+        if (this.role === 'presenter') {
+            addButton(DeckI18n.t('quiz.reveal'), () => this.reveal(), revealed);
+        } else {
+            addButton(DeckI18n.t('quiz.submit'), () => this.submit(), revealed);
+            if (this.role === 'local') {
+                addButton(DeckI18n.t('quiz.reveal'), () => this.reveal(), revealed);
+            }
+        }
+        addButton(DeckI18n.t('quiz.next'), () => this.showQuestion(this.questionIndex + 1), this.questionIndex === this.quiz.questions.length - 1);
+        return actions;
+    }
+}
+
+// Mounted knowledge checks by quiz id (used to route live session messages)
+KnowledgeCheck.instances = {};
+
+
+// Stable per-browser id so re-submitting replaces the previous answer on the server
+function getQuizClientId() {
+    let clientId = localStorage.getItem(QUIZ_CLIENT_ID_KEY);
+    if (!clientId) {
+        clientId = `client-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem(QUIZ_CLIENT_ID_KEY, clientId);
+    }
+    return clientId;
+}
+
+// Deterministic shuffle (seeded by the question id) so every attendee starts from the same order,
+// never the correct one
+function shuffledIndexes(count, seedText) {
+    let seed = Array.from(seedText).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+    const indexes = Array.from({ length: count }, (v, i) => i);
+    for (let i = count - 1; i > 0; i--) {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        const j = seed % (i + 1);
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+    }
+    if (count > 1 && indexes.every((value, index) => value === index)) {
+        indexes.push(indexes.shift());
+    }
+    return indexes;
+}
+
+// Route live session messages to the mounted knowledge check slides
+function connectKnowledgeChecks(liveSession) {
+    liveSession.on('quiz-question', (message) => {
+        liveSession.quiz = { quizId: message.quizId, questionId: message.questionId };
+        const check = KnowledgeCheck.instances[message.quizId];
+        if (check && liveSession.following) check.showQuestionById(message.questionId);
+    });
+
+    liveSession.on('poll-results', (message) => {
+        const check = KnowledgeCheck.instances[message.quizId];
+        if (!check) return;
+        check.results[message.questionId] = message.results;
+        if (check.question.id === message.questionId) check.render();
+    });
+
+    liveSession.on('answer-received', (message) => {
+        const check = KnowledgeCheck.instances[message.quizId];
+        if (!check) return;
+        check.submitted[message.questionId] = true;
+        if (check.question.id === message.questionId) check.render();
+    });
+
+    liveSession.on('quiz-reveal', (message) => {
+        const check = KnowledgeCheck.instances[message.quizId];
+        if (!check) return;
+        check.results[message.questionId] = message.results;
+        check.revealed[message.questionId] = true;
+        if (check.question.id === message.questionId) check.render();
+    });
+}
+
+window.KnowledgeCheck = KnowledgeCheck;
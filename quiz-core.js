@@ -0,0 +1,96 @@
+// AWS Security Training - knowledge check core
+// Question normalisation, scoring and aggregation shared by the quiz slides (quiz-client.js)
+// and the live session server (scripts/live-polls.js).
+//
+// Question files live in quizzes/<section key>.json:
+//   { "id": "iam", "section": "iam", "title": "…", "questions": [ … ] }
+// Question types and answer formats:
+//   single     options: [..], answer: index               -> attendee answers an index
+//   multiple   options: [..], answer: [indexes]           -> attendee answers an array of indexes
+//   truefalse  answer: true|false                         -> attendee answers 0 (Đúng) or 1 (Sai)
+//   ordering   items: [..] in the correct order           -> attendee answers item indexes in their order
+// Loaded as a plain <script> in the browser (window.QuizCore) and via require() from the Node scripts.
+(function (root) {
+    const TRUE_FALSE_OPTIONS = ['Đúng', 'Sai'];
+
+    // Fill in derived fields so every question has `options` and a comparable `answer`
+    function normalizeQuestion(question) {
+        switch (question.type) {
+            case 'truefalse':
+                return Object.assign({}, question, {
+                    options: question.options || TRUE_FALSE_OPTIONS,
+                    answer: question.answer ? 0 : 1
+                });
+            case 'multiple':
+                return Object.assign({}, question, { answer: question.answer.slice().sort((a, b) => a - b) });
+            case 'ordering':
+                return Object.assign({}, question, {
+                    options: question.items,
+                    answer: question.items.map((item, index) => index)
+                });
+            default:
+                return Object.assign({}, question, { type: 'single' });
+        }
+    }
+
+    function normalizeQuiz(quiz) {
+        return Object.assign({}, quiz, { questions: quiz.questions.map(normalizeQuestion) });
+    }
+
+    // Check the shape of an attendee answer before it is stored
+    function isValidAnswer(question, answer) {
+        const count = question.options.length;
+        const isIndex = value => Number.isInteger(value) && value >= 0 && value < count;
+
+        if (question.type === 'single' || question.type === 'truefalse') {
+            return isIndex(answer);
+        }
+        if (!Array.isArray(answer) || !answer.every(isIndex) || new Set(answer).size !== answer.length) {
+            return false;
+        }
+        return question.type === 'ordering' ? answer.length === count : true;
+    }
+
+    function isCorrectAnswer(question, answer) {
+        if (question.type === 'single' || question.type === 'truefalse') {
+            return answer === question.answer;
+        }
+        const given = question.type === 'multiple' ? answer.slice().sort((a, b) => a - b) : answer;
+        return given.length === question.answer.length && given.every((value, index) => value === question.answer[index]);
+    }
+
+    // Aggregate answers into one bar per option (per item for ordering: placed in the right position)
+    function aggregateAnswers(question, answers) {
+        const counts = question.options.map(() => 0);
+        let correct = 0;
+
+        answers.forEach(answer => {
+            if (question.type === 'single' || question.type === 'truefalse') {
+                counts[answer] += 1;
+            } else if (question.type === 'multiple') {
+                answer.forEach(index => { counts[index] += 1; });
+            } else {
+                answer.forEach((item, position) => {
+                    if (item === position) counts[item] += 1;
+                });
+            }
+            if (isCorrectAnswer(question, answer)) correct += 1;
+        });
+
+        return { total: answers.length, counts, correct };
+    }
+
+    const QuizCore = {
+        normalizeQuestion,
+        normalizeQuiz,
+        isValidAnswer,
+        isCorrectAnswer,
+        aggregateAnswers
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QuizCore;
+    } else {
+        root.QuizCore = QuizCore;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,268 @@
+// AWS Security Training - rehearsal timer core
+// Time budgets, pacing and saved runs for the presenter view (presenter.js); app.js uses the schedule
+// for its remaining-time estimate.
+//
+// Budgets come from the manifest: each section's `duration` string ('25 phút', '20 min', '1 giờ 30 phút',
+// '1h30') is its budget, split across its slides in proportion to their `duration` minutes. A section
+// whose duration cannot be parsed gets the sum of its slide durations.
+// Pacing compares the elapsed time with the planned window of the current slide: reaching a slide before
+// its planned start is ahead, still being on it after its planned end is behind.
+// Runs are plain JSON ({ id, startedAt, elapsedMs, plannedMs, sections: { key: ms }, slides: { slug: ms } })
+// kept in localStorage, newest first.
+// Loaded as a plain <script> in the browser (window.DeckRehearsal) and via require() from Node.
+(function (root) {
+    const STORAGE_KEY = 'aws-security-rehearsals';
+    const MAX_RUNS = 20;
+    const MINUTE = 60000;
+    const HOUR_UNITS = /^(h|hr|hrs|hour|hours|gio)$/;
+
+    // Minutes in a duration string or number, or null when there is no number in it
+    function parseDuration(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        const text = String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd').toLowerCase();
+        const parts = Array.from(text.matchAll(/(\d+(?:[.,]\d+)?)\s*([a-z]*)/g));
+        if (!parts.length) return null;
+
+        // Every number is minutes unless followed by an hour unit, so '1h30' is 90
+        return parts.reduce((minutes, [, amount, unit]) => {
+            const number = parseFloat(amount.replace(',', '.'));
+            return minutes + (HOUR_UNITS.test(unit) ? number * 60 : number);
+        }, 0);
+    }
+
+    // Planned timeline: { totalMs, sections: { key: { budgetMs, startMs, endMs } }, slides: [{ number, slug, section, startMs, endMs }] }
+    function buildSchedule(manifest) {
+        const sections = {};
+        const slides = [];
+        let offset = 0;
+
+        manifest.sections.forEach(section => {
+            const entries = manifest.slides
+                .map((slide, index) => ({ slide, number: index + 1 }))
+                .filter(({ slide }) => slide.section === section.key);
+            const plannedMinutes = entries.reduce((sum, { slide }) => sum + (slide.duration || 0), 0);
+            const parsed = parseDuration(section.duration);
+            const budgetMs = (parsed !== null ? parsed : plannedMinutes) * MINUTE;
+
+            let slideOffset = offset;
+            entries.forEach(({ slide, number }) => {
+                // Slides without durations share the budget equally
+                const share = plannedMinutes ? (slide.duration || 0) / plannedMinutes : 1 / entries.length;
+                const endMs = slideOffset + budgetMs * share;
+                slides[number - 1] = { number, slug: slide.slug, section: section.key, startMs: slideOffset, endMs };
+                slideOffset = endMs;
+            });
+
+            sections[section.key] = { budgetMs, startMs: offset, endMs: offset + budgetMs };
+            offset += budgetMs;
+        });
+
+        return { totalMs: offset, sections, slides };
+    }
+
+    // Planned time still ahead after the given slide, in milliseconds
+    function getPlannedRemainingMs(schedule, slideNumber) {
+        const slide = schedule.slides[slideNumber - 1];
+        return slide ? Math.max(0, schedule.totalMs - slide.endMs) : 0;
+    }
+
+    // { plannedStartMs, plannedEndMs, deltaMs }: deltaMs < 0 is ahead of plan, > 0 behind, 0 on track
+    function getPacing(schedule, slideNumber, elapsedMs) {
+        const slide = schedule.slides[slideNumber - 1];
+        if (!slide) return null;
+
+        let deltaMs = 0;
+        if (elapsedMs < slide.startMs) deltaMs = elapsedMs - slide.startMs;
+        else if (elapsedMs > slide.endMs) deltaMs = elapsedMs - slide.endMs;
+        return { plannedStartMs: slide.startMs, plannedEndMs: slide.endMs, deltaMs };
+    }
+
+    // Measures time per slide and section on a clock that stops while paused
+    class RehearsalTracker {
+        constructor(manifest, { now = () => Date.now() } = {}) {
+            this.schedule = buildSchedule(manifest);
+            this.now = now;
+            this.reset();
+        }
+
+        reset() {
+            this.startedAt = null;
+            this.pausedAt = null;
+            this.pausedMs = 0;
+            this.slideNumber = null;
+            this.enteredAt = 0;
+            this.slideMs = {};
+            this.sectionMs = {};
+            this.warned = new Set();
+        }
+
+        isStarted() {
+            return this.startedAt !== null;
+        }
+
+        isPaused() {
+            return this.pausedAt !== null;
+        }
+
+        // Time on the clock: milliseconds since start, minus pauses
+        getElapsedMs() {
+            if (!this.isStarted()) return 0;
+            const end = this.isPaused() ? this.pausedAt : this.now();
+            return end - this.startedAt - this.pausedMs;
+        }
+
+        start(slideNumber) {
+            this.reset();
+            this.startedAt = this.now();
+            if (slideNumber) this.enter(slideNumber);
+        }
+
+        // Books the time of the previous slide and starts timing the new one
+        enter(slideNumber) {
+            if (!this.isStarted()) {
+                this.start(slideNumber);
+                return;
+            }
+            if (slideNumber === this.slideNumber) return;
+
+            const elapsed = this.getElapsedMs();
+            this.bookCurrentSlide(elapsed);
+            this.slideNumber = slideNumber;
+            this.enteredAt = elapsed;
+        }
+
+        bookCurrentSlide(elapsed) {
+            const slide = this.schedule.slides[this.slideNumber - 1];
+            if (!slide) return;
+            const spent = elapsed - this.enteredAt;
+            this.slideMs[slide.slug] = (this.slideMs[slide.slug] || 0) + spent;
+            this.sectionMs[slide.section] = (this.sectionMs[slide.section] || 0) + spent;
+            this.enteredAt = elapsed;
+        }
+
+        pause() {
+            if (this.isStarted() && !this.isPaused()) this.pausedAt = this.now();
+        }
+
+        resume() {
+            if (!this.isPaused()) return;
+            this.pausedMs += this.now() - this.pausedAt;
+            this.pausedAt = null;
+        }
+
+        // Booked time plus the time on the current slide so far
+        getSlideMs(slug) {
+            const current = this.schedule.slides[this.slideNumber - 1];
+            const live = current && current.slug === slug ? this.getElapsedMs() - this.enteredAt : 0;
+            return (this.slideMs[slug] || 0) + live;
+        }
+
+        getSectionMs(key) {
+            const current = this.schedule.slides[this.slideNumber - 1];
+            const live = current && current.section === key ? this.getElapsedMs() - this.enteredAt : 0;
+            return (this.sectionMs[key] || 0) + live;
+        }
+
+        getPacing() {
+            return this.slideNumber ? getPacing(this.schedule, this.slideNumber, this.getElapsedMs()) : null;
+        }
+
+        // Sections over budget: [{ key, budgetMs, spentMs, overMs }]
+        getOverruns() {
+            return Object.keys(this.schedule.sections)
+                .map(key => {
+                    const budgetMs = this.schedule.sections[key].budgetMs;
+                    const spentMs = this.getSectionMs(key);
+                    return { key, budgetMs, spentMs, overMs: spentMs - budgetMs };
+                })
+                .filter(item => item.budgetMs > 0 && item.overMs > 0);
+        }
+
+        // Overruns not reported before, so each section warns once per run
+        takeNewOverruns() {
+            const fresh = this.getOverruns().filter(item => !this.warned.has(item.key));
+            fresh.forEach(item => this.warned.add(item.key));
+            return fresh;
+        }
+
+        toRun(extra = {}) {
+            const elapsedMs = this.getElapsedMs();
+            const sections = {};
+            Object.keys(this.schedule.sections).forEach(key => {
+                const ms = this.getSectionMs(key);
+                if (ms > 0) sections[key] = Math.round(ms);
+            });
+            const slides = {};
+            this.schedule.slides.forEach(({ slug }) => {
+                const ms = this.getSlideMs(slug);
+                if (ms > 0) slides[slug] = Math.round(ms);
+            });
+            return Object.assign({
+                id: `run-${this.startedAt}`,
+                startedAt: new Date(this.startedAt).toISOString(),
+                elapsedMs: Math.round(elapsedMs),
+                plannedMs: this.schedule.totalMs,
+                sections,
+                slides
+            }, extra);
+        }
+    }
+
+    function loadRuns(storage = root.localStorage) {
+        try {
+            const runs = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(runs) ? runs : [];
+        } catch (err) {
+            return []; // storage disabled or corrupt
+        }
+    }
+
+    // Newest first; a run saved again (same id) replaces its earlier copy
+    function saveRun(run, storage = root.localStorage) {
+        const runs = [run].concat(loadRuns(storage).filter(item => item.id !== run.id)).slice(0, MAX_RUNS);
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(runs));
+            return runs;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function clearRuns(storage = root.localStorage) {
+        try {
+            storage.removeItem(STORAGE_KEY);
+        } catch (err) {
+            // nothing stored
+        }
+    }
+
+    // Rows for a comparison table: [{ key, budgetMs, times: [ms per run] }] plus a total row (key null)
+    function compareRuns(schedule, runs) {
+        const rows = Object.keys(schedule.sections).map(key => ({
+            key,
+            budgetMs: schedule.sections[key].budgetMs,
+            times: runs.map(run => (run.sections && run.sections[key]) || 0)
+        }));
+        rows.push({ key: null, budgetMs: schedule.totalMs, times: runs.map(run => run.elapsedMs || 0) });
+        return rows;
+    }
+
+    const DeckRehearsal = {
+        STORAGE_KEY,
+        parseDuration,
+        buildSchedule,
+        getPlannedRemainingMs,
+        getPacing,
+        RehearsalTracker,
+        loadRuns,
+        saveRun,
+        clearRuns,
+        compareRuns
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckRehearsal;
+    } else {
+        root.DeckRehearsal = DeckRehearsal;
+    }
+})(typeof window !== 'undefined' ? window : this);
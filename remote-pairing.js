@@ -0,0 +1,247 @@
+// AWS Security Training - phone remote pairing (deck side)
+// In a live session as presenter (?live=presenter, live-client.js), 📱 asks the live server for a pairing
+// code and shows it as a QR code. The phone that scans it opens the remote page served by the live server
+// (remote.html, scripts/live-remote.js): next/previous, section jump, the rehearsal clock, the speaker notes,
+// and the remote controls of the current slide. Those are buttons marked data-remote-control="<name>" in a
+// fragment or iframe page (the CloudFront canvas Play/Pause and Invalidate buttons); the phone shows their
+// current labels and the deck clicks them.
+// A code works once and expires after two minutes. A paired phone stays paired until the server restarts.
+const REMOTE_CONTROLS = '[data-remote-control]';
+
+class RemotePairing {
+    constructor(presentation, liveSession) {
+        this.presentation = presentation;
+        this.live = liveSession;
+        this.isOpen = false;
+        this.expiresAt = 0;
+        this.remotes = 0;           // phones connected to the live server
+        this.countdownTimer = null;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createButton();
+        this.createDialog();
+
+        this.live.on('remote-pairing', (message) => this.showCode(message));
+        this.live.on('remote-paired', (message) => this.setRemotes(message.remotes));
+        this.live.on('remote-sync', () => this.publishState());
+        this.live.on('remote-command', (message) => this.handleCommand(message));
+
+        const publish = () => this.publishState();
+        window.addEventListener('slide-activated', publish);
+        window.addEventListener('slide-step', publish);
+        // A canvas control pressed on the laptop changes the labels the phone shows
+        window.addEventListener('slide-interaction', publish);
+        window.addEventListener('locale-changed', () => {
+            this.translate();
+            publish();
+        });
+    }
+
+    createButton() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'remote-pair-button';
+        this.button.dataset.i18nTitle = 'remote.pair';
+        this.button.addEventListener('click', () => this.show());
+        document.body.appendChild(this.button);
+    }
+
+    createDialog() {
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'remote-pairing';
+        this.dialog.hidden = true;
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-modal', 'true');
+        this.dialog.innerHTML = `
+            <div class="remote-pairing-box">
+                <h2 data-i18n="remote.title"></h2>
+                <p data-i18n="remote.scan"></p>
+                <div class="remote-qr"></div>
+                <a class="remote-url" target="_blank" rel="noopener"></a>
+                <p class="remote-expiry" aria-live="polite"></p>
+                <div class="remote-actions">
+                    <button type="button" class="remote-new" data-i18n="remote.newCode"></button>
+                    <button type="button" class="remote-close" data-i18n="remote.close"></button>
+                </div>
+            </div>`;
+        document.body.appendChild(this.dialog);
+
+        this.qr = this.dialog.querySelector('.remote-qr');
+        this.url = this.dialog.querySelector('.remote-url');
+        this.expiry = this.dialog.querySelector('.remote-expiry');
+
+        this.dialog.querySelector('.remote-new').addEventListener('click', () => this.requestCode());
+        this.dialog.querySelector('.remote-close').addEventListener('click', () => this.hide());
+        // Clicking the backdrop closes the dialog
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.hide();
+        });
+        this.dialog.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.hide();
+        });
+
+        this.translate();
+    }
+
+    translate() {
+        DeckI18n.applyTranslations(this.dialog);
+        this.dialog.setAttribute('aria-label', DeckI18n.t('remote.title'));
+        this.button.title = DeckI18n.t('remote.pair');
+        this.renderButton();
+        if (this.isOpen) this.renderExpiry();
+    }
+
+    show() {
+        this.isOpen = true;
+        this.returnFocus = document.activeElement;
+        this.dialog.hidden = false;
+        this.dialog.querySelector('.remote-close').focus();
+        this.requestCode();
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.dialog.hidden = true;
+        clearInterval(this.countdownTimer);
+        if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+    }
+
+    // Every opening asks for a new code, so an old QR code on a photo or recording cannot be reused
+    requestCode() {
+        this.expiresAt = 0;
+        this.qr.innerHTML = '';
+        this.url.removeAttribute('href');
+        this.url.textContent = '';
+        clearInterval(this.countdownTimer);
+
+        if (!this.live.connected || this.live.role !== 'presenter') {
+            this.expiry.textContent = DeckI18n.t('remote.unavailable');
+            return;
+        }
+        this.expiry.textContent = DeckI18n.t('remote.requesting');
+        this.live.send({ type: 'remote-pair' });
+    }
+
+    showCode({ url, qr, expiresAt, remotes }) {
+        if (!this.isOpen) return;
+        this.expiresAt = expiresAt;
+        // The SVG comes from our own live server (qrcode package)
+        this.qr.innerHTML = qr || '';
+        this.qr.classList.remove('expired');
+        this.url.href = url;
+        this.url.textContent = url;
+        this.setRemotes(remotes);
+
+        this.renderExpiry();
+        this.countdownTimer = setInterval(() => this.renderExpiry(), 1000);
+    }
+
+    renderExpiry() {
+        if (!this.expiresAt) return;
+        const remainingMs = this.expiresAt - Date.now();
+        if (remainingMs > 0) {
+            const seconds = Math.ceil(remainingMs / 1000);
+            this.expiry.textContent = DeckI18n.t('remote.expires', { time: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` });
+            return;
+        }
+        clearInterval(this.countdownTimer);
+        this.qr.classList.add('expired');
+        this.expiry.textContent = DeckI18n.t('remote.expired');
+    }
+
+    // A phone that just paired used the code on screen: close the dialog
+    setRemotes(count) {
+        const paired = count > this.remotes;
+        this.remotes = count || 0;
+        this.renderButton();
+        if (paired && this.isOpen && this.expiresAt) this.hide();
+    }
+
+    renderButton() {
+        this.button.textContent = this.remotes ? `📱 ${this.remotes}` : '📱';
+        this.button.classList.toggle('paired', this.remotes > 0);
+        this.button.setAttribute('aria-label', this.remotes
+            ? DeckI18n.t('remote.pairedCount', { count: this.remotes })
+            : DeckI18n.t('remote.pair'));
+    }
+
+    // Slide, sections, notes and controls for the phone; the live server adds the clock
+    async publishState() {
+        const slideNumber = this.presentation.currentSlide;
+        const notes = await this.presentation.getSpeakerNotes(slideNumber);
+        // A later slide change publishes its own state
+        if (slideNumber !== this.presentation.currentSlide) return;
+
+        const info = this.presentation.getCurrentSlideInfo();
+        const { locale } = this.presentation;
+        this.live.send({
+            type: 'remote-state',
+            state: {
+                locale,
+                slide: {
+                    number: info.number,
+                    total: info.total,
+                    title: info.title,
+                    step: info.step,
+                    stepCount: info.stepCount,
+                    section: info.section ? info.section.id : null
+                },
+                sections: Object.entries(this.presentation.sections).map(([id, section]) => ({
+                    id: Number(id),
+                    name: section.name,
+                    duration: section.duration
+                })),
+                notes: notes[locale] || Object.values(notes).find(Boolean) || '',
+                controls: this.getControls().map(control => ({
+                    name: control.dataset.remoteControl,
+                    label: control.textContent.trim(),
+                    pressed: control.getAttribute('aria-pressed') === 'true'
+                }))
+            }
+        });
+    }
+
+    // Remote controls of the current slide and its loaded iframe pages, when shown and enabled
+    getControls() {
+        const slideEl = this.presentation.getSlideElement(this.presentation.currentSlide);
+        if (!slideEl) return [];
+
+        const controls = [];
+        this.presentation.getSlideStateRoots(slideEl).forEach(root => {
+            root.querySelectorAll(REMOTE_CONTROLS).forEach(control => {
+                if (control.disabled || control.closest('[hidden], [aria-hidden="true"]')) return;
+                controls.push(control);
+            });
+        });
+        return controls;
+    }
+
+    // Navigation works like the keyboard and a clicker: reveal steps first, and beforeLeave may veto
+    handleCommand({ command, section, control }) {
+        switch (command) {
+            case 'next':
+                this.presentation.goToNextSlide();
+                break;
+            case 'prev':
+                this.presentation.goToPrevSlide();
+                break;
+            case 'section':
+                this.presentation.goToSection(section);
+                break;
+            case 'control': {
+                const button = this.getControls().find(item => item.dataset.remoteControl === control);
+                if (button) {
+                    button.click();
+                    this.publishState();
+                }
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,264 @@
+// AWS Security Training - phone remote
+// Runs in remote.html, served by the live server (scripts/live-remote.js) and opened by scanning the pairing
+// QR code of the presenter's deck (remote-pairing.js). The one-time token in the URL is traded for a remote
+// key, kept in sessionStorage so a phone that locks or reloads reconnects without pairing again.
+// The deck sends `remote-state` (slide, sections, notes, slide controls) and the server adds the rehearsal
+// clock; the phone sends `remote-command` back (next, prev, section, control, clock-pause, clock-reset).
+// The page follows the deck language.
+const REMOTE_KEY_STORAGE = 'aws-security-remote-key';
+const REMOTE_RECONNECT_MS = 2000;
+
+class RemoteView {
+    constructor() {
+        this.socket = null;
+        this.connected = false;
+        this.rejected = false;
+        this.state = null;
+        this.timer = null;
+        this.timerAt = 0;           // when the clock snapshot arrived
+        this.token = new URLSearchParams(window.location.search).get('token');
+        this.key = readStoredKey();
+
+        this.slideTitle = document.getElementById('slideTitle');
+        this.slideCounter = document.getElementById('slideCounter');
+        this.connectionStatus = document.getElementById('connectionStatus');
+        this.message = document.getElementById('remoteMessage');
+        this.prevBtn = document.getElementById('prevBtn');
+        this.nextBtn = document.getElementById('nextBtn');
+        this.controlsPanel = document.getElementById('controlsPanel');
+        this.controls = document.getElementById('slideControls');
+        this.elapsedClock = document.getElementById('elapsedClock');
+        this.remainingClock = document.getElementById('remainingClock');
+        this.sectionClock = document.getElementById('sectionClock');
+        this.paceClock = document.getElementById('paceClock');
+        this.pauseClockBtn = document.getElementById('pauseClockBtn');
+        this.resetClockBtn = document.getElementById('resetClockBtn');
+        this.sectionSelect = document.getElementById('sectionSelect');
+        this.notesPanel = document.getElementById('speakerNotes');
+
+        this.init();
+    }
+
+    init() {
+        DeckI18n.applyTranslations(document);
+        this.renderConnection();
+        this.updatePauseButton();
+
+        this.prevBtn.addEventListener('click', () => this.command('prev'));
+        this.nextBtn.addEventListener('click', () => this.command('next'));
+        this.pauseClockBtn.addEventListener('click', () => this.command('clock-pause'));
+        this.resetClockBtn.addEventListener('click', () => this.command('clock-reset'));
+        this.sectionSelect.addEventListener('change', () => {
+            this.command('section', { section: Number(this.sectionSelect.value) });
+        });
+        this.controls.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-control]');
+            if (button) this.command('control', { control: button.dataset.control });
+        });
+
+        if (!this.token && !this.key) {
+            this.reject();
+            return;
+        }
+        this.connect();
+        this.clockTimer = setInterval(() => this.renderClock(), 1000);
+    }
+
+    connect() {
+        const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        this.socket = new WebSocket(`${scheme}://${window.location.host}/live`);
+
+        this.socket.addEventListener('open', () => {
+            this.send({ type: 'remote-hello', token: this.token, key: this.key });
+        });
+
+        this.socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            this.handleMessage(message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.connected = false;
+            this.renderConnection();
+            if (!this.rejected) setTimeout(() => this.connect(), REMOTE_RECONNECT_MS);
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    command(command, extra = {}) {
+        this.send(Object.assign({ type: 'remote-command', command }, extra));
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'remote-welcome':
+                this.connected = true;
+                this.key = message.key;
+                this.token = null;
+                storeKey(message.key);
+                // The token is used up: a reload must not offer it again
+                history.replaceState(null, '', window.location.pathname);
+                this.renderConnection();
+                break;
+            case 'remote-state':
+                this.state = message.state;
+                this.timer = message.timer;
+                this.timerAt = Date.now();
+                this.render();
+                break;
+            case 'error':
+                if (message.error === 'invalid-remote-token') this.reject();
+                break;
+        }
+    }
+
+    // Expired or used code, or a key from before a server restart: the deck has to show a new code
+    reject() {
+        this.rejected = true;
+        this.key = null;
+        storeKey(null);
+        this.message.textContent = DeckI18n.t('remote.rejected');
+        this.message.hidden = false;
+        if (this.socket) this.socket.close();
+        this.renderConnection();
+    }
+
+    render() {
+        const { locale, slide, sections, notes, controls } = this.state;
+        if (locale && locale !== DeckI18n.getLocale()) {
+            DeckI18n.setLocale(locale, { persist: false });
+            DeckI18n.applyTranslations(document);
+            this.renderConnection();
+        }
+
+        this.slideTitle.textContent = `${slide.number}. ${slide.title}`;
+        this.slideCounter.textContent = slide.stepCount
+            ? DeckI18n.t('presenter.stepCounter', { number: slide.number, total: slide.total, step: slide.step, count: slide.stepCount })
+            : `${slide.number} / ${slide.total}`;
+        this.prevBtn.disabled = slide.number === 1 && !slide.step;
+        this.nextBtn.disabled = slide.number === slide.total && slide.step >= slide.stepCount;
+        this.pauseClockBtn.disabled = false;
+        this.resetClockBtn.disabled = false;
+
+        this.renderSections(sections, slide.section);
+        this.renderControls(controls);
+        if (notes) {
+            this.notesPanel.innerHTML = notes;
+        } else {
+            this.notesPanel.textContent = DeckI18n.t('presenter.noNotes');
+        }
+        this.updatePauseButton();
+        this.renderClock();
+    }
+
+    renderSections(sections, current) {
+        this.sectionSelect.disabled = false;
+        this.sectionSelect.innerHTML = '';
+        sections.forEach(section => {
+            const option = document.createElement('option');
+            option.value = String(section.id);
+            option.textContent = `${section.id}. ${section.name}${section.duration ? ` (${section.duration})` : ''}`;
+            this.sectionSelect.appendChild(option);
+        });
+        if (current) this.sectionSelect.value = String(current);
+    }
+
+    renderControls(controls) {
+        this.controlsPanel.hidden = !controls.length;
+        this.controls.innerHTML = '';
+        controls.forEach(control => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.control = control.name;
+            button.textContent = control.label;
+            button.setAttribute('aria-pressed', String(control.pressed));
+            this.controls.appendChild(button);
+        });
+    }
+
+    renderConnection() {
+        this.connectionStatus.textContent = DeckI18n.t(this.connected ? 'presenter.connected' : 'remote.connecting');
+        this.connectionStatus.classList.toggle('connected', this.connected);
+        // The buttons come back with the first state after reconnecting
+        if (!this.connected) {
+            this.prevBtn.disabled = true;
+            this.nextBtn.disabled = true;
+        }
+    }
+
+    updatePauseButton() {
+        const paused = Boolean(this.timer && this.timer.paused);
+        this.pauseClockBtn.textContent = DeckI18n.t(paused ? 'presenter.resumeClock' : 'presenter.pauseClock');
+    }
+
+    // The server's clock snapshot, moved on by the time since it arrived
+    renderClock() {
+        const { timer } = this;
+        if (!timer || !timer.started) return;
+
+        const runningMs = timer.paused ? 0 : Date.now() - this.timerAt;
+        const elapsedMs = timer.elapsedMs + runningMs;
+        const sectionMs = timer.sectionMs + runningMs;
+        const remainingMs = timer.totalMs - elapsedMs;
+
+        this.elapsedClock.textContent = formatClock(elapsedMs);
+        this.elapsedClock.classList.toggle('paused', timer.paused);
+        this.remainingClock.textContent = (remainingMs < 0 ? '-' : '') + formatClock(Math.abs(remainingMs));
+        this.remainingClock.classList.toggle('overrun', remainingMs < 0);
+        this.sectionClock.textContent = formatClock(sectionMs);
+        this.sectionClock.classList.toggle('overrun', timer.sectionBudgetMs > 0 && sectionMs > timer.sectionBudgetMs);
+
+        // Same rule as rehearsal-core.js getPacing(): early on a slide is ahead, late is behind
+        let deltaMs = 0;
+        if (elapsedMs < timer.plannedStartMs) deltaMs = elapsedMs - timer.plannedStartMs;
+        else if (elapsedMs > timer.plannedEndMs) deltaMs = elapsedMs - timer.plannedEndMs;
+        const onTrack = Math.abs(deltaMs) < 1000;
+        const key = onTrack ? 'presenter.onTrack' : deltaMs < 0 ? 'presenter.ahead' : 'presenter.behind';
+        this.paceClock.textContent = DeckI18n.t(key, { time: formatClock(Math.abs(deltaMs)) });
+        this.paceClock.classList.toggle('ahead', !onTrack && deltaMs < 0);
+        this.paceClock.classList.toggle('overrun', !onTrack && deltaMs > 0);
+    }
+}
+
+function readStoredKey() {
+    try {
+        return sessionStorage.getItem(REMOTE_KEY_STORAGE);
+    } catch (err) {
+        return null;
+    }
+}
+
+function storeKey(key) {
+    try {
+        if (key) sessionStorage.setItem(REMOTE_KEY_STORAGE, key);
+        else sessionStorage.removeItem(REMOTE_KEY_STORAGE);
+    } catch (err) {
+        // storage disabled: the phone pairs again after a reload
+    }
+}
+
+// Format milliseconds as H:MM:SS / MM:SS
+function formatClock(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours ? `${hours}:${mmss}` : mmss;
+}
+
+let remoteView;
+
+document.addEventListener('DOMContentLoaded', () => {
+    remoteView = new RemoteView();
+});
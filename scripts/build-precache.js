@@ -0,0 +1,106 @@
+// javascript
+/**
+ * Write precache-manifest.js: the list of files service-worker.js caches on install so
+ * the whole training works offline after one visit, plus a content hash as cache version.
+ *
+ * Precached: root pages, scripts, styles, images and search-index.json, every slides/ fragment, notes/,
+ * quizzes/, vendor/, thumbnails/ and narration/ (recorded audio). Remote <img> sources found in the pages are cached too (best effort).
+ * Re-run after editing slides (and after `npm run vendor`).
+ *
+ * Usage:
+ *   node scripts/build-precache.js [rootDir]
+ *   npm run precache
+ *
+ * Defaults:
+ *   rootDir: the repository root
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const PRECACHE_DIRS = ['slides', 'notes', 'quizzes', 'vendor', 'thumbnails', 'narration'];
+const ROOT_FILE_PATTERN = /\.(html|js|css|png|jpe?g|svg|webp|ico)$/i;
+// Root data files the deck reads at runtime (other root .json files are tooling config)
+const ROOT_DATA_FILES = ['search-index.json'];
+// Generated or served separately by the browser; the phone remote page is served by the live server
+const EXCLUDED_FILES = ['service-worker.js', 'precache-manifest.js', 'remote.html', 'remote.js'];
+const MANIFEST_FILE = 'precache-manifest.js';
+
+async function listFiles(rootDir, dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(rootDir, dir), { withFileTypes: true });
+  } catch (err) {
+    return files; // optional directory
+  }
+  for (const entry of entries) {
+    const relative = path.posix.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(rootDir, relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// Absolute image URLs used by the pages (logos, screenshots hosted elsewhere)
+function findRemoteImages(html) {
+  const urls = [];
+  const pattern = /<img[^>]+src="(https?:\/\/[^"]+)"/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    urls.push(match[1].replace(/&amp;/g, '&'));
+  }
+  return urls;
+}
+
+async function buildPrecache(rootDir) {
+  const rootEntries = await fs.readdir(rootDir, { withFileTypes: true });
+  const files = rootEntries
+    .filter(entry => entry.isFile() && (ROOT_FILE_PATTERN.test(entry.name) || ROOT_DATA_FILES.includes(entry.name)) &&
+      !EXCLUDED_FILES.includes(entry.name))
+    .map(entry => entry.name);
+  for (const dir of PRECACHE_DIRS) {
+    files.push(...await listFiles(rootDir, dir));
+  }
+  files.sort();
+
+  const hash = crypto.createHash('sha256');
+  const remote = new Set();
+  for (const file of files) {
+    const content = await fs.readFile(path.join(rootDir, file));
+    hash.update(file).update(content);
+    if (file.endsWith('.html')) findRemoteImages(content.toString('utf8')).forEach(url => remote.add(url));
+  }
+
+  const manifest = {
+    version: hash.digest('hex').slice(0, 12),
+    files,
+    remote: Array.from(remote).sort()
+  };
+  const source = '// Generated by scripts/build-precache.js - do not edit by hand.\n' +
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};\n`;
+
+  const outPath = path.join(rootDir, MANIFEST_FILE);
+  await fs.writeFile(outPath, source);
+  return { outPath, manifest };
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      const rootDir = process.argv[2] || path.join(__dirname, '..');
+      const { outPath, manifest } = await buildPrecache(rootDir);
+      console.log(`Wrote ${manifest.files.length} files (+${manifest.remote.length} remote) version ${manifest.version} to`, outPath);
+    } catch (err) {
+      console.error('Error building precache manifest:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { buildPrecache };
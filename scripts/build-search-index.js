@@ -0,0 +1,179 @@
+// javascript
+/**
+ * Build search-index.json: the text of every slide for the deck's search palette (Ctrl+K, search-palette.js).
+ *
+ * One entry per searchable part of a slide, in deck order:
+ *   slide      the manifest title (label) and the visible text of the fragment and its iframe pages,
+ *              without accordion bodies and tab panels
+ *   accordion  one per .accordion-button with the text of the item it opens  (state: { accordion: k })
+ *   tab        one per tab with the text of its panel                        (state: { tab: k })
+ *   notes      speaker notes per language, from fragment asides and notes/<id>.html
+ * Tabs and accordion items are numbered like the deck's deep links (deck-links.js), so a search result
+ * can reopen them. Tab panels are found through aria-controls, data-tab or href="#id".
+ * Translations in the manifest (`i18n: { en: { title, fragment, iframe } }`, see i18n.js) add entries with
+ * `locale`, which the palette only matches while the deck is shown in that language.
+ * The output has no timestamp, so it only changes when slide text changes; rerun it after editing slides.
+ *
+ * Usage:
+ *   node scripts/build-search-index.js [outFile]
+ *   npm run search-index
+ *
+ * Defaults:
+ *   outFile: ./search-index.json
+ *
+ * Requires: node-html-parser
+ *   npm install node-html-parser
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parse } = require('node-html-parser');
+const manifest = require('../deck-manifest.js');
+const SpeakerNotes = require('../speaker-notes.js');
+const DeckI18n = require('../i18n.js');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX_VERSION = 1;
+// Same selectors as the deck's slide state (app.js)
+const TAB_SELECTOR = '.tab, .tab-button, [role="tab"]';
+const ACCORDION_SELECTOR = '.accordion-button';
+const IGNORED_SELECTOR = 'script, style, noscript, template, svg, canvas';
+
+async function readOptional(file) {
+  try {
+    return await fs.readFile(path.join(ROOT, file), 'utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+function getText(node) {
+  return node ? node.text.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Local pages shown by a slide: the manifest iframe plus any <iframe src> in its fragment
+function getFramePages(entry, fragmentRoot) {
+  const pages = entry.iframe ? [entry.iframe] : [];
+  if (fragmentRoot) {
+    fragmentRoot.querySelectorAll('iframe[src]').forEach(frame => {
+      const src = frame.getAttribute('src').split(/[?#]/)[0].replace(/^\//, '');
+      if (src && !/^[a-z]+:/i.test(src) && !pages.includes(src)) pages.push(src);
+    });
+  }
+  return pages;
+}
+
+function findTabPanel(root, tab) {
+  const target = tab.getAttribute('aria-controls') || tab.getAttribute('data-tab') ||
+    (tab.getAttribute('href') || '').replace(/^#/, '');
+  return target ? root.querySelector(`[id="${target}"]`) : null;
+}
+
+// Accordion items and tabs of one page, numbered in document order; their bodies are removed from the page text
+function extractSlideState(root, slug) {
+  const entries = [];
+  const panels = [];
+
+  root.querySelectorAll(ACCORDION_SELECTOR).forEach((button, i) => {
+    const content = button.nextElementSibling;
+    entries.push({ slug, kind: 'accordion', label: getText(button), state: { accordion: i + 1 }, text: getText(content) });
+    if (content) panels.push(content);
+  });
+
+  root.querySelectorAll(TAB_SELECTOR).forEach((tab, i) => {
+    const panel = findTabPanel(root, tab);
+    entries.push({ slug, kind: 'tab', label: getText(tab), state: { tab: i + 1 }, text: getText(panel) });
+    if (panel) panels.push(panel);
+  });
+
+  panels.forEach(panel => panel.remove());
+  return entries;
+}
+
+// Entries for the visible content of a slide, plus the speaker notes found in its fragment
+async function indexSlideContent(entry) {
+  const slug = entry.slug;
+  const entries = [];
+  const pageTexts = [];
+  let notes = {};
+
+  let fragmentRoot = null;
+  const fragmentHtml = entry.fragment ? await readOptional(entry.fragment) : null;
+  if (fragmentHtml) {
+    const extracted = SpeakerNotes.extractSpeakerNotes(fragmentHtml);
+    notes = extracted.notes;
+    fragmentRoot = parse(extracted.html);
+  }
+
+  const pages = getFramePages(entry, fragmentRoot);
+  const roots = fragmentRoot ? [fragmentRoot] : [];
+  for (const page of pages) {
+    const html = await readOptional(page);
+    if (html === null) {
+      console.warn(`  ${slug}: ${page} not found`);
+      continue;
+    }
+    const pageRoot = parse(html);
+    roots.push(pageRoot.querySelector('body') || pageRoot);
+  }
+
+  roots.forEach(root => {
+    root.querySelectorAll(IGNORED_SELECTOR).forEach(el => el.remove());
+    entries.push(...extractSlideState(root, slug));
+    pageTexts.push(getText(root));
+  });
+  entries.unshift({ slug, kind: 'slide', label: entry.title, text: pageTexts.filter(Boolean).join(' ') });
+  return { entries, notes };
+}
+
+async function indexSlide(entry) {
+  const slug = entry.slug;
+  const content = await indexSlideContent(entry);
+  const entries = content.entries;
+  let notes = content.notes;
+
+  // Translated titles, and the content of translated fragments or pages (their notes are already per language)
+  for (const locale of Object.keys(entry.i18n || {}).sort()) {
+    const localized = DeckI18n.localize(entry, locale);
+    const translated = localized.fragment !== entry.fragment || localized.iframe !== entry.iframe
+      ? (await indexSlideContent(localized)).entries
+      : [{ slug, kind: 'slide', label: localized.title, text: '' }];
+    entries.push(...translated.map(item => Object.assign(item, { locale })));
+  }
+
+  const sidecar = await readOptional(SpeakerNotes.getNotesSidecarPath(entry));
+  if (sidecar) notes = SpeakerNotes.mergeSpeakerNotes(notes, SpeakerNotes.extractSpeakerNotes(sidecar).notes);
+  Object.keys(notes).sort().forEach(lang => {
+    entries.push({ slug, kind: 'notes', label: entry.title, lang, text: getText(parse(notes[lang])) });
+  });
+
+  return entries.filter(item => item.text || item.label);
+}
+
+async function buildSearchIndex(outFile) {
+  const entries = [];
+  for (const entry of manifest.slides) {
+    entries.push(...await indexSlide(entry));
+  }
+
+  // One entry per line keeps diffs of the committed index readable
+  const source = `{"version":${INDEX_VERSION},"entries":[\n${entries.map(item => JSON.stringify(item)).join(',\n')}\n]}\n`;
+  await fs.writeFile(outFile, source);
+  return { outFile, count: entries.length, slides: manifest.slides.length };
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      const outFile = process.argv[2] || path.join(ROOT, 'search-index.json');
+      const result = await buildSearchIndex(outFile);
+      console.log(`Indexed ${result.slides} slides (${result.count} entries) to`, result.outFile);
+    } catch (err) {
+      console.error('Error building search index:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { buildSearchIndex };
@@ -0,0 +1,245 @@
+// javascript
+/**
+ * Compile the deck into a static, CDN-free bundle in dist/.
+ *
+ *   - slide fragments, speaker notes and quizzes are inlined into index.html (window.DECK_BUNDLE,
+ *     read through deck-bundle.js), so the deck makes no fetch() calls
+ *   - the deck scripts are concatenated into deck.js
+ *   - Tailwind is compiled ahead of time from the classes the iframe pages actually use
+ *     (vendor/tailwind.css) instead of running the Play CDN build in every page
+ *   - iframe pages, vendored libraries, images and a service worker precache list are copied alongside
+ *
+ * With --single a self-contained dist/deck.html is written as well: styles, scripts and fonts are
+ * inlined and iframe pages are served from the bundle as blob: URLs, so it opens from file://.
+ * The presenter window and LAN live session need the multi-file build.
+ *
+ * Usage:
+ *   node scripts/build-static.js [outDir] [--single]
+ *   npm run build
+ *   npm run build -- --single
+ *
+ * Defaults:
+ *   outDir: ./dist
+ *
+ * Requires: tailwindcss (v3), postcss
+ *   npm install tailwindcss@3 postcss
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const postcss = require('postcss');
+const tailwindcss = require('tailwindcss');
+const manifest = require('../deck-manifest.js');
+const { parseArgs } = require('./deck-page');
+const { buildPrecache } = require('./build-precache');
+
+const ROOT = path.join(__dirname, '..');
+const TAILWIND_SCRIPT = '<script src="vendor/tailwindcss/tailwindcss.js"></script>';
+const TAILWIND_CSS = 'vendor/tailwind.css';
+// Deck pages that are not shown inside an iframe (remote.html is served by the live server, not the bundle)
+const SHELL_PAGES = ['index.html', 'presenter.html', 'analytics.html', 'remote.html'];
+// Copied as-is next to the bundle (presenter.html and analytics.html load deck-manifest.js, i18n.js and
+// their own scripts, canvas-aws-config.html loads i18n.js; every page loads theme.css and theme.js in <head>)
+const COPIED_FILES = ['style.css', 'theme.css', 'theme.js', 'presenter.html', 'presenter.js', 'analytics.html',
+  'analytics-dashboard.js', 'analytics-core.js', 'deck-manifest.js', 'deck-links.js', 'i18n.js', 'rehearsal-core.js',
+  'narration-core.js', 'narration-recorder.js', 'service-worker.js', 'vercel.json'];
+// narration/ holds the recorded audio played by ?narration (its index.json is also bundled)
+const COPIED_DIRS = ['vendor/three', 'vendor/chart.js', 'vendor/fonts', 'thumbnails', 'narration'];
+const IMAGE_PATTERN = /\.(png|jpe?g|svg|webp|ico)$/i;
+
+const readText = (file) => fs.readFile(path.join(ROOT, file), 'utf8');
+
+async function copyToDist(outDir, file) {
+  const target = path.join(outDir, file);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.copyFile(path.join(ROOT, file), target);
+}
+
+async function listDir(dir) {
+  try {
+    return (await fs.readdir(path.join(ROOT, dir))).map(name => path.posix.join(dir, name));
+  } catch (err) {
+    return [];
+  }
+}
+
+// Text embedded in an inline <script> must not close the tag early
+function escapeInlineScript(source) {
+  return source.replace(/<\/script/gi, '<\\/script').replace(/<!--/g, '<\\!--');
+}
+
+function toJSONForScript(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+async function compileTailwind(pageSources) {
+  const result = await postcss([
+    tailwindcss({ content: pageSources.map(raw => ({ raw, extension: 'html' })) })
+  ]).process('@tailwind base;\n@tailwind components;\n@tailwind utilities;\n', { from: undefined });
+  return result.css;
+}
+
+// Fragments, sidecar notes, quiz files, the overview thumbnail index and the search index the deck would
+// otherwise fetch at runtime
+async function collectDeckFiles() {
+  const files = {};
+  // Translated fragments and quizzes (entry.i18n) are inlined next to the Vietnamese ones
+  const variants = manifest.slides.flatMap(entry => [entry, ...Object.values(entry.i18n || {})]);
+  const candidates = manifest.slides.map(entry => `notes/${entry.id}.html`)
+    .concat(variants.flatMap(entry => [entry.fragment, entry.quiz]));
+  for (const file of [...candidates, 'thumbnails/index.json', 'narration/index.json', 'search-index.json']) {
+    if (!file) continue;
+    try {
+      files[file] = await readText(file);
+    } catch (err) {
+      // optional file (most slides have no sidecar notes, thumbnails and narration are made on demand)
+    }
+  }
+  return files;
+}
+
+// The block of <script src> tags in the body of index.html (theme.js in <head> stays where it is)
+function getIndexScriptBlock(indexHtml) {
+  const body = indexHtml.slice(indexHtml.indexOf('<body'));
+  return body.match(/([ \t]*<script src="[^"]+"><\/script>\n)+/)[0];
+}
+
+// The <script src> list of index.html, in order
+function getIndexScripts(indexHtml) {
+  return Array.from(getIndexScriptBlock(indexHtml).matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+}
+
+function replaceIndexScripts(indexHtml, replacement) {
+  // Function replacement: bundled sources contain `$&`-like sequences
+  return indexHtml.replace(getIndexScriptBlock(indexHtml), () => replacement);
+}
+
+async function buildDist(outDir, pages, tailwindCss, deckFiles) {
+  await fs.mkdir(path.join(outDir, 'vendor'), { recursive: true });
+  await fs.writeFile(path.join(outDir, TAILWIND_CSS), tailwindCss);
+
+  for (const page of pages) {
+    const html = page.html.replace(TAILWIND_SCRIPT, `<link rel="stylesheet" href="${TAILWIND_CSS}">`);
+    await fs.writeFile(path.join(outDir, page.file), html);
+  }
+
+  for (const file of COPIED_FILES) await copyToDist(outDir, file);
+  for (const dir of COPIED_DIRS) {
+    for (const file of await listDir(dir)) await copyToDist(outDir, file);
+  }
+  // Images and module scripts used by fragments (slides/slide-20-canvas.js)
+  const rootImages = (await listDir('.')).filter(file => IMAGE_PATTERN.test(file));
+  const slideScripts = (await listDir('slides')).filter(file => file.endsWith('.js'));
+  for (const file of [...rootImages, ...slideScripts]) await copyToDist(outDir, file);
+
+  const indexHtml = await readText('index.html');
+  const bundle = { singleFile: false, files: deckFiles };
+  const scripts = [`window.DECK_BUNDLE = ${toJSONForScript(bundle)};`];
+  for (const file of getIndexScripts(indexHtml)) {
+    scripts.push(`// ${file}\n${await readText(file)}`);
+  }
+  await fs.writeFile(path.join(outDir, 'deck.js'), scripts.join('\n\n'));
+  await fs.writeFile(path.join(outDir, 'index.html'), replaceIndexScripts(indexHtml, '    <script src="deck.js"></script>\n'));
+
+  return buildPrecache(outDir);
+}
+
+// inter.css with every font file inlined as a data: URL
+async function inlineFonts() {
+  const css = await readText('vendor/fonts/inter.css');
+  const fontFiles = Array.from(css.matchAll(/url\(\.\/([^)]+\.woff2)\)/g), match => match[1]);
+  let inlined = css;
+  for (const file of fontFiles) {
+    const data = await fs.readFile(path.join(ROOT, 'vendor/fonts', file));
+    inlined = inlined.replace(`url(./${file})`, `url(data:font/woff2;base64,${data.toString('base64')})`);
+  }
+  return inlined;
+}
+
+async function buildSingleFile(outDir, pages, tailwindCss, deckFiles) {
+  const fontsCss = await inlineFonts();
+  const assets = {
+    [TAILWIND_CSS]: { type: 'text/css', text: tailwindCss },
+    'vendor/fonts/inter.css': { type: 'text/css', text: fontsCss },
+    'style.css': { type: 'text/css', text: await readText('style.css') },
+    'theme.css': { type: 'text/css', text: await readText('theme.css') },
+    'theme.js': { type: 'text/javascript', text: await readText('theme.js') },
+    'i18n.js': { type: 'text/javascript', text: await readText('i18n.js') },
+    'vendor/three/three.min.js': { type: 'text/javascript', text: await readText('vendor/three/three.min.js') },
+    'vendor/chart.js/chart.umd.min.js': { type: 'text/javascript', text: await readText('vendor/chart.js/chart.umd.min.js') }
+  };
+  for (const file of (await listDir('slides')).filter(f => f.endsWith('.js'))) {
+    assets[file] = { type: 'text/javascript', text: await readText(file) };
+  }
+
+  // Point every page reference at its asset key so deck-bundle.js can swap in blob: URLs
+  for (const page of pages) {
+    const deps = new Set();
+    const html = page.html
+      .replace(TAILWIND_SCRIPT, `<link rel="stylesheet" href="${TAILWIND_CSS}">`)
+      .replace(/(src|href)="(?:\.\/|\/)?([^"]+)"/g, (match, attr, ref) => {
+        if (!assets[ref]) return match;
+        deps.add(ref);
+        return `${attr}="${ref}"`;
+      });
+    assets[page.file] = { type: 'text/html', text: html, deps: Array.from(deps) };
+  }
+
+  const indexHtml = await readText('index.html');
+  const bundle = { singleFile: true, files: deckFiles, assets };
+  const scripts = [`window.DECK_BUNDLE = ${toJSONForScript(bundle)};`];
+  for (const file of getIndexScripts(indexHtml)) {
+    scripts.push(escapeInlineScript(await readText(file)));
+  }
+
+  const styles = `    <style>\n${fontsCss}\n${await readText('style.css')}\n${await readText('theme.css')}\n    </style>`;
+  const themeScript = `    <script>\n${escapeInlineScript(await readText('theme.js'))}\n    </script>`;
+  const html = replaceIndexScripts(indexHtml, scripts.map(source => `    <script>\n${source}\n    </script>\n`).join(''))
+    .replace(/[ \t]*<link rel="stylesheet" href="vendor\/fonts\/inter.css">\n[ \t]*<link rel="stylesheet" href="style.css">\n[ \t]*<link rel="stylesheet" href="theme.css">/, () => styles)
+    .replace(/[ \t]*<script src="theme.js"><\/script>/, () => themeScript);
+
+  const outPath = path.join(outDir, 'deck.html');
+  await fs.writeFile(outPath, html);
+  return outPath;
+}
+
+async function buildStatic(outDir, options = {}) {
+  await fs.rm(outDir, { recursive: true, force: true });
+  await fs.mkdir(outDir, { recursive: true });
+
+  const pageFiles = (await listDir('.')).filter(file => file.endsWith('.html') && !SHELL_PAGES.includes(file));
+  const pages = [];
+  for (const file of pageFiles) {
+    pages.push({ file, html: await readText(file) });
+  }
+
+  const tailwindCss = await compileTailwind(pages.map(page => page.html));
+  const deckFiles = await collectDeckFiles();
+
+  const { manifest: precache } = await buildDist(outDir, pages, tailwindCss, deckFiles);
+  const result = { outDir, pages: pages.length, bundledFiles: Object.keys(deckFiles).length, precached: precache.files.length };
+
+  if (options.single) {
+    result.singleFile = await buildSingleFile(outDir, pages, tailwindCss, deckFiles);
+  }
+  return result;
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      const { positional, options } = parseArgs(process.argv.slice(2));
+      const outDir = path.resolve(positional[0] || path.join(ROOT, 'dist'));
+
+      const result = await buildStatic(outDir, options);
+      console.log(`Built ${result.pages} iframe pages and ${result.bundledFiles} inlined deck files into`, result.outDir);
+      if (result.singleFile) console.log('Single-file deck:', result.singleFile);
+    } catch (err) {
+      console.error('Error building static deck:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { buildStatic, compileTailwind };
@@ -0,0 +1,105 @@
+// javascript
+/**
+ * Capture a small JPEG of every slide for the deck's overview grid (press O, slide-overview.js).
+ *
+ * Writes thumbnails/<slug>.jpg plus thumbnails/index.json ({ createdAt, width, slides: { <slug>: file } }).
+ * Slides are captured fully built (all reveal steps shown). Slides without a thumbnail fall back to
+ * a live copy of their fragment in the overview, so this is optional; rerun it after changing slides.
+ *
+ * Usage:
+ *   node scripts/build-thumbnails.js [baseUrl] [outDir] [options]
+ *   npm run thumbnails            (expects `npm start` running on port 8000)
+ *
+ * Options:
+ *   --slides=1-5,8     only capture these slides (thumbnails of the other slides are kept)
+ *   --width=480        thumbnail width in pixels
+ *   --quality=75       JPEG quality
+ *   --settle=1500      extra wait per slide in ms for animations/charts
+ *
+ * Defaults:
+ *   baseUrl: http://localhost:8000
+ *   outDir:  ./thumbnails
+ *
+ * Requires: playwright, pngjs, jpeg-js
+ *   npm install playwright pngjs jpeg-js && npx playwright install chromium
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { chromium } = require('playwright');
+const { parseArgs, parseSlideRange, openDeck, goToSlide, showStep, waitForSlideRender } = require('./deck-page');
+const { encodeJpeg } = require('./pdf-builder');
+
+// Captured at 16:9 and scaled down to the thumbnail width
+const VIEWPORT = { width: 1600, height: 900 };
+
+async function readIndex(indexPath) {
+  try {
+    return JSON.parse(await fs.readFile(indexPath, 'utf8'));
+  } catch (err) {
+    return { slides: {} };
+  }
+}
+
+async function buildThumbnails(baseUrl, outDir, options = {}) {
+  const width = parseInt(options.width || 480, 10);
+  const quality = parseInt(options.quality || 75, 10);
+  const settleMs = parseInt(options.settle || 1500, 10);
+  const indexPath = path.join(outDir, 'index.json');
+
+  await fs.mkdir(outDir, { recursive: true });
+  const index = await readIndex(indexPath);
+
+  const browser = await chromium.launch();
+  try {
+    const page = await browser.newPage({ viewport: VIEWPORT });
+    page.on('pageerror', err => console.warn('  page error:', err.message));
+
+    const deck = await openDeck(page, baseUrl);
+    const slideNumbers = parseSlideRange(options.slides, deck.totalSlides);
+    if (slideNumbers.length === 0) throw new Error('No slides selected');
+
+    for (const n of slideNumbers) {
+      const slide = deck.slides[n - 1];
+      console.log(`🖼️ ${n}/${deck.totalSlides} ${slide.title}`);
+
+      await goToSlide(page, n);
+      await waitForSlideRender(page, settleMs);
+      await showStep(page, 'last');
+
+      const file = `${slide.slug}.jpg`;
+      await fs.writeFile(path.join(outDir, file), encodeJpeg(await page.screenshot({ type: 'png' }), quality, width));
+      index.slides[slide.slug] = file;
+    }
+
+    // Drop entries of slides that no longer exist in the manifest
+    const slugs = new Set(deck.slides.map(slide => slide.slug));
+    Object.keys(index.slides).forEach(slug => {
+      if (!slugs.has(slug)) delete index.slides[slug];
+    });
+  } finally {
+    await browser.close();
+  }
+
+  await fs.writeFile(indexPath, JSON.stringify({ createdAt: new Date().toISOString(), width, slides: index.slides }, null, 2));
+  return { indexPath, count: Object.keys(index.slides).length };
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      const { positional, options } = parseArgs(process.argv.slice(2));
+      const baseUrl = positional[0] || 'http://localhost:8000';
+      const outDir = positional[1] || path.join(process.cwd(), 'thumbnails');
+
+      const result = await buildThumbnails(baseUrl, outDir, options);
+      console.log(`Wrote ${result.count} thumbnails to`, result.indexPath);
+    } catch (err) {
+      console.error('Error building thumbnails:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { buildThumbnails };
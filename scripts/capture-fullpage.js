@@ -0,0 +1,173 @@
+// javascript
+/**
+ * Capture the standalone iframe slide pages (slide-28-aws-ai-protect.html,
+ * slide-32-scenario.html, …) at full scroll height instead of one viewport.
+ *
+ * Optionally expands every accordion (.accordion-button / .accordion-content) and
+ * captures every tab (.tab, .tab-button, [role="tab"]) separately, and slices tall
+ * captures into print-sized pages. A captures.json index is written next to the PNGs
+ * (consumed by scripts/merge-screenshots-to-pdf.js).
+ *
+ * Usage:
+ *   node scripts/capture-fullpage.js [baseUrl] [outDir] [options]
+ *
+ * Options:
+ *   --slides=24-33        only capture these deck slides (default: every slide with an iframe page)
+ *   --expand              expand all accordions before capturing
+ *   --tabs                capture each tab of tabbed pages as its own image
+ *   --paginate=a4|16:9    slice tall captures into portrait A4 or 16:9 pages
+ *   --width=1440          viewport width in pixels
+ *   --settle=1000         extra wait in ms after load and after each tab switch
+ *
+ * Defaults:
+ *   baseUrl: http://localhost:8000
+ *   outDir:  ./scripts/fullpage
+ *
+ * Requires: playwright
+ *   npm install playwright && npx playwright install chromium
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { chromium } = require('playwright');
+const manifest = require('../deck-manifest.js');
+const { parseArgs, parseSlideRange, DECK_TIMEOUT_MS } = require('./deck-page');
+
+// Page height / width for --paginate
+const PAGE_RATIOS = {
+  a4: 297 / 210,
+  '16:9': 9 / 16
+};
+
+const TAB_SELECTOR = '.tab, .tab-button, [role="tab"]';
+
+// Open every accordion at once; the pages' own handlers close siblings, so set the state directly
+async function expandAccordions(page) {
+  return page.evaluate(() => {
+    const buttons = document.querySelectorAll('.accordion-button');
+    buttons.forEach(button => {
+      const content = button.nextElementSibling;
+      button.classList.add('active');
+      if (content) {
+        content.style.maxHeight = 'none';
+        content.style.paddingTop = '1.5rem';
+        content.style.paddingBottom = '1.5rem';
+      }
+    });
+    return buttons.length;
+  });
+}
+
+// Full-page capture, optionally sliced into pages of `ratio` (height / width)
+async function capture(page, basePath, ratio) {
+  if (!ratio) {
+    await page.screenshot({ path: `${basePath}.png`, fullPage: true });
+    return [`${basePath}.png`];
+  }
+
+  const { width, height } = await page.evaluate(() => ({
+    width: document.documentElement.clientWidth,
+    height: document.documentElement.scrollHeight
+  }));
+  const sliceHeight = Math.round(width * ratio);
+  const files = [];
+
+  for (let y = 0, index = 1; y < height; y += sliceHeight, index++) {
+    const file = `${basePath}-p${index}.png`;
+    await page.screenshot({
+      path: file,
+      fullPage: true,
+      clip: { x: 0, y, width, height: Math.min(sliceHeight, height - y) }
+    });
+    files.push(file);
+  }
+  return files;
+}
+
+async function captureFullPages(baseUrl, outDir, options = {}) {
+  const width = parseInt(options.width || 1440, 10);
+  const settleMs = parseInt(options.settle || 1000, 10);
+  const ratio = options.paginate ? PAGE_RATIOS[options.paginate] : null;
+  if (options.paginate && !ratio) {
+    throw new Error(`Unknown --paginate value "${options.paginate}" (use ${Object.keys(PAGE_RATIOS).join(' or ')})`);
+  }
+
+  const slideNumbers = parseSlideRange(options.slides, manifest.slides.length)
+    .filter(n => manifest.slides[n - 1].iframe);
+  if (slideNumbers.length === 0) throw new Error('No iframe slides selected');
+
+  await fs.mkdir(outDir, { recursive: true });
+
+  const browser = await chromium.launch();
+  const index = [];
+  try {
+    const page = await browser.newPage({ viewport: { width, height: Math.round(width * 9 / 16) } });
+    page.on('pageerror', err => console.warn('  page error:', err.message));
+
+    for (const n of slideNumbers) {
+      const entry = manifest.slides[n - 1];
+      const url = new URL(entry.iframe, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).toString();
+      const basePath = path.join(outDir, `slide-${n}-${entry.slug}`);
+      console.log(`📜 ${n} ${entry.iframe}`);
+
+      await page.goto(url, { waitUntil: 'load', timeout: DECK_TIMEOUT_MS });
+      await page.waitForLoadState('networkidle', { timeout: DECK_TIMEOUT_MS }).catch(() => {
+        console.warn('  network did not go idle, capturing anyway');
+      });
+      await page.addStyleTag({ content: '*, *::before, *::after { transition: none !important; animation: none !important; }' });
+      await page.waitForTimeout(settleMs);
+
+      if (options.expand) {
+        const expanded = await expandAccordions(page);
+        if (expanded) console.log(`   expanded ${expanded} accordion items`);
+      }
+
+      const tabCount = options.tabs ? await page.locator(TAB_SELECTOR).count() : 0;
+      const record = { slide: n, id: entry.id, slug: entry.slug, title: entry.title, section: entry.section, captures: [] };
+
+      if (tabCount === 0) {
+        record.captures.push({ variant: null, files: await capture(page, basePath, ratio) });
+      } else {
+        for (let t = 0; t < tabCount; t++) {
+          const tab = page.locator(TAB_SELECTOR).nth(t);
+          const label = (await tab.innerText()).trim();
+          await tab.evaluate(el => el.click());
+          await page.waitForTimeout(settleMs);
+          if (options.expand) await expandAccordions(page);
+
+          console.log(`   tab ${t + 1}/${tabCount}: ${label}`);
+          record.captures.push({ variant: label, files: await capture(page, `${basePath}-tab-${t + 1}`, ratio) });
+        }
+      }
+
+      // Store paths relative to the index file
+      record.captures.forEach(c => { c.files = c.files.map(f => path.relative(outDir, f)); });
+      index.push(record);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const indexPath = path.join(outDir, 'captures.json');
+  await fs.writeFile(indexPath, JSON.stringify({ baseUrl, createdAt: new Date().toISOString(), options, slides: index }, null, 2));
+  return indexPath;
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      const { positional, options } = parseArgs(process.argv.slice(2));
+      const baseUrl = positional[0] || 'http://localhost:8000';
+      const outDir = positional[1] || path.join(process.cwd(), 'scripts', 'fullpage');
+
+      const indexPath = await captureFullPages(baseUrl, outDir, options);
+      console.log('Wrote captures index to', indexPath);
+    } catch (err) {
+      console.error('Error capturing full pages:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { captureFullPages, expandAccordions };
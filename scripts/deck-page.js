@@ -0,0 +1,141 @@
+// javascript
+/**
+ * Shared Playwright helpers for driving the deck from Node scripts
+ * (export-to-pdf.js, capture-fullpage.js).
+ *
+ * The deck is opened in preview mode (index.html?mode=preview: no navigation chrome)
+ * and navigated through the page's `presentation` instance of window.AWSSecurityPresentation.
+ */
+
+const DECK_TIMEOUT_MS = 30000;
+// Fade of a reveal step inside iframe pages (the deck's own step transitions are disabled)
+const STEP_SETTLE_MS = 400;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+// "1-5,8,10-12" -> [1,2,3,4,5,8,10,11,12] (limited to 1..total)
+function parseSlideRange(spec, total) {
+  if (!spec) return Array.from({ length: total }, (v, i) => i + 1);
+  const slides = new Set();
+  for (const part of String(spec).split(',')) {
+    const [start, end] = part.split('-').map(n => parseInt(n, 10));
+    for (let n = start; n <= (end || start); n++) {
+      if (n >= 1 && n <= total) slides.add(n);
+    }
+  }
+  return Array.from(slides).sort((a, b) => a - b);
+}
+
+/**
+ * Load the deck and wait until the first slide is mounted.
+ * Returns the deck summary ({ totalSlides, slides: [{ number, id, slug, title, section }] }).
+ */
+async function openDeck(page, baseUrl) {
+  const url = new URL('index.html', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  url.searchParams.set('mode', 'preview');
+
+  await page.goto(url.toString(), { waitUntil: 'load', timeout: DECK_TIMEOUT_MS });
+  await page.waitForFunction(
+    () => typeof window.AWSSecurityPresentation === 'function' && typeof presentation !== 'undefined' && Boolean(presentation),
+    null,
+    { timeout: DECK_TIMEOUT_MS }
+  );
+
+  // Captures must never catch a slide mid-transition
+  await page.addStyleTag({ content: '.slide, .slide [data-step] { transition: none !important; }' });
+
+  return page.evaluate(async () => {
+    await presentation.ready;
+    return {
+      totalSlides: presentation.totalSlides,
+      slides: presentation.slideEntries.map((entry, index) => ({
+        number: index + 1,
+        id: entry.id,
+        slug: entry.slug,
+        title: entry.title,
+        section: presentation.getSectionForSlide(index + 1)
+      }))
+    };
+  });
+}
+
+// Navigate with goToSlide() and resolve once the deck dispatched slide-activated for that slide.
+// Slide scripts can veto leaving with beforeLeave; exports and captures force their way past it.
+async function goToSlide(page, slideNumber) {
+  await page.evaluate(({ n, timeoutMs }) => new Promise((resolve, reject) => {
+    if (presentation.currentSlide === n) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      window.removeEventListener('slide-activated', onActivated);
+      reject(new Error(`Slide ${n} did not activate within ${timeoutMs} ms`));
+    }, timeoutMs);
+    const onActivated = (e) => {
+      if (e.detail.slide !== n) return;
+      clearTimeout(timer);
+      window.removeEventListener('slide-activated', onActivated);
+      resolve();
+    };
+    window.addEventListener('slide-activated', onActivated);
+    presentation.goToSlide(n, { force: true });
+  }), { n: slideNumber, timeoutMs: DECK_TIMEOUT_MS });
+}
+
+/**
+ * Show reveal step `step` (a number, or 'last' for the final state) on the active slide.
+ * Resolves with { step, count } as applied by the deck once the steps have faded in.
+ */
+async function showStep(page, step) {
+  const applied = await page.evaluate((s) => {
+    presentation.showStep(s);
+    return { step: presentation.getStep(), count: presentation.getStepCount() };
+  }, step);
+  if (applied.count > 0) await page.waitForTimeout(STEP_SETTLE_MS);
+  return applied;
+}
+
+async function waitForImages(frame) {
+  await frame.evaluate(() => Promise.all(Array.from(document.images)
+    .filter(img => !img.complete)
+    .map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }))));
+}
+
+/**
+ * Wait until the active slide has rendered: network quiet, iframes loaded (Tailwind CDN,
+ * Chart.js, three.js), fonts and images ready, then a settle delay for animations.
+ */
+async function waitForSlideRender(page, settleMs) {
+  await page.waitForLoadState('networkidle', { timeout: DECK_TIMEOUT_MS }).catch(() => {
+    console.warn('  network did not go idle, capturing anyway');
+  });
+
+  for (const handle of await page.$$('.slide.active iframe')) {
+    const frame = await handle.contentFrame();
+    if (!frame) continue;
+    await frame.waitForLoadState('load', { timeout: DECK_TIMEOUT_MS }).catch(() => {});
+    await frame.evaluate(() => document.fonts && document.fonts.ready).catch(() => {});
+    await waitForImages(frame).catch(() => {});
+  }
+
+  await page.evaluate(() => document.fonts && document.fonts.ready);
+  await waitForImages(page.mainFrame());
+  await page.waitForTimeout(settleMs);
+}
+
+module.exports = { parseArgs, parseSlideRange, openDeck, goToSlide, showStep, waitForSlideRender, DECK_TIMEOUT_MS };
@@ -0,0 +1,127 @@
+// javascript
+/**
+ * Export the whole deck to a PDF with one page per slide, with document metadata,
+ * an outline (section → slide) and page labels matching the slide numbers.
+ *
+ * Every slide is opened through the running deck (presentation.goToSlide), so fragments,
+ * iframe pages, Tailwind, Chart.js and three.js render exactly as in the browser.
+ *
+ * Usage:
+ *   node scripts/export-to-pdf.js [baseUrl] [outPdf] [options]
+ *   npm run export:pdf            (expects `npm start` running on port 8000)
+ *
+ * Options:
+ *   --width=1600 --height=900   viewport size in pixels (16:9 by default)
+ *   --settle=1500               extra wait per slide in ms for animations/charts
+ *   --slides=1-5,8              only export these slides
+ *   --images=dir                also keep the PNG captures (slide-<n>.png) in dir
+ *   --steps=final|all           slides with reveal steps (data-step): fully built (default)
+ *                               or one page per step, from nothing revealed to all (slide-<n>-step-<k>.png)
+ *   --page=16:9|a4              normalise pages (letterboxed); default is the viewport size
+ *   --annotations=file          draw these annotations on the slides (annotations.json, saved with ⬇️ in
+ *                               the deck's annotation toolbar); without it pages have no annotations
+ *   --jpeg-quality=80 --jpeg-threshold=300 --max-width=1920 --no-jpeg   see images-to-pdf.js
+ *
+ * Defaults:
+ *   baseUrl: http://localhost:8000
+ *   outPdf:  ./slides.pdf
+ *
+ * Requires: playwright, pdf-lib, pngjs, jpeg-js
+ *   npm install playwright pdf-lib pngjs jpeg-js && npx playwright install chromium
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { chromium } = require('playwright');
+const { parseArgs, parseSlideRange, openDeck, goToSlide, showStep, waitForSlideRender } = require('./deck-page');
+const { buildPdf } = require('./pdf-builder');
+const { toPdfOptions } = require('./images-to-pdf');
+const DeckAnnotations = require('../annotation-core.js');
+
+async function exportToPdf(baseUrl, outPath, options = {}) {
+  const width = parseInt(options.width || 1600, 10);
+  const height = parseInt(options.height || 900, 10);
+  const settleMs = parseInt(options.settle || 1500, 10);
+  const stepMode = options.steps || 'final';
+  if (!['final', 'all'].includes(stepMode)) {
+    throw new Error(`Unknown --steps value "${stepMode}" (use final or all)`);
+  }
+  const annotations = options.annotations
+    ? DeckAnnotations.readStore(JSON.parse(await fs.readFile(options.annotations, 'utf8')))
+    : null;
+
+  const browser = await chromium.launch();
+  try {
+    const page = await browser.newPage({ viewport: { width, height } });
+    page.on('pageerror', err => console.warn('  page error:', err.message));
+
+    if (annotations) {
+      // The deck's annotation layer loads them from localStorage, as in the presenter's browser
+      await page.addInitScript(([key, value]) => localStorage.setItem(key, value),
+        [DeckAnnotations.STORAGE_KEY, JSON.stringify(annotations)]);
+      console.log(`✏️ Annotations on ${Object.keys(annotations.slides).length} slides`);
+    }
+
+    const deck = await openDeck(page, baseUrl);
+    const slideNumbers = parseSlideRange(options.slides, deck.totalSlides);
+    if (slideNumbers.length === 0) throw new Error('No slides selected for export');
+
+    if (options.images) await fs.mkdir(options.images, { recursive: true });
+
+    const pages = [];
+    for (const n of slideNumbers) {
+      const slide = deck.slides[n - 1];
+      console.log(`📸 ${n}/${deck.totalSlides} ${slide.title}`);
+
+      await goToSlide(page, n);
+      await waitForSlideRender(page, settleMs);
+
+      // Step counts of iframe pages are only known once they have loaded
+      const { count } = await showStep(page, 'last');
+      const steps = stepMode === 'all' && count > 0 ? Array.from({ length: count + 1 }, (v, i) => i) : [count];
+
+      for (const step of steps) {
+        const perStep = steps.length > 1;
+        if (perStep) await showStep(page, step);
+        const png = await page.screenshot({ type: 'png' });
+
+        if (options.images) {
+          await fs.writeFile(path.join(options.images, perStep ? `slide-${n}-step-${step}.png` : `slide-${n}.png`), png);
+        }
+
+        pages.push({
+          bytes: png,
+          slide: n,
+          title: slide.title,
+          section: slide.section.name,
+          variant: perStep ? `Bước ${step}/${count}` : null,
+          label: perStep && step > 0 ? `${n}.${step}` : String(n)
+        });
+      }
+    }
+
+    await fs.writeFile(outPath, await buildPdf(pages, toPdfOptions(options)));
+    return { outPath, pages: pages.length };
+  } finally {
+    await browser.close();
+  }
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      const { positional, options } = parseArgs(process.argv.slice(2));
+      const baseUrl = positional[0] || 'http://localhost:8000';
+      const outPath = positional[1] || path.join(process.cwd(), 'slides.pdf');
+
+      const result = await exportToPdf(baseUrl, outPath, options);
+      console.log(`Wrote ${result.pages} pages to`, result.outPath);
+    } catch (err) {
+      console.error('Error exporting slides to PDF:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { exportToPdf };
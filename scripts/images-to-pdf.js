@@ -3,19 +3,31 @@
  * Create a PDF from images in a folder.
  *
  * Usage:
- *   node scripts/images-to-pdf.js [imagesDir] [outPdf]
+ *   node scripts/images-to-pdf.js [imagesDir] [outPdf] [options]
+ *
+ * Options:
+ *   --manifest[=file]     add an outline (section → slide), page labels and slide titles; images named
+ *                         slide-<n>.png map to slide n. Defaults to deck-manifest.js, a JSON file with the
+ *                         same { title, sections: [{ key, name }], slides: [{ title, section }] } shape also works
+ *   --page=16:9|a4        normalise every page to 16:9 or A4 (images are letterboxed, not stretched)
+ *   --title=... --author=...   document metadata (title defaults to the manifest title)
+ *   --jpeg-quality=80     quality used when re-encoding large PNGs as JPEG
+ *   --jpeg-threshold=300  only re-encode PNGs larger than this many KB
+ *   --max-width=1920      downscale re-encoded images wider than this many pixels
+ *   --no-jpeg             keep PNGs as they are
  *
  * Defaults:
  *   imagesDir: ./images (falls back to ./scripts/images)
  *   outPdf:    ./images.pdf
  *
- * Requires: pdf-lib
- *   npm install pdf-lib
+ * Requires: pdf-lib, pngjs, jpeg-js
+ *   npm install pdf-lib pngjs jpeg-js
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { PDFDocument } = require('pdf-lib');
+const { parseArgs } = require('./deck-page');
+const { buildPdf, loadSlideDescriptions } = require('./pdf-builder');
 
 function isImageFile(name) {
   return /\.(png|jpe?g)$/i.test(name);
@@ -26,7 +38,20 @@ function sortFilenames(a, b) {
   return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
 }
 
-async function imagesToPdf(imagesDir, outPath) {
+// Map CLI options to pdf-builder options
+function toPdfOptions(options) {
+  return {
+    title: typeof options.title === 'string' ? options.title : undefined,
+    author: typeof options.author === 'string' ? options.author : undefined,
+    pageSize: typeof options.page === 'string' ? options.page : null,
+    jpeg: !options['no-jpeg'],
+    jpegQuality: options['jpeg-quality'] ? parseInt(options['jpeg-quality'], 10) : undefined,
+    jpegThreshold: options['jpeg-threshold'] ? parseInt(options['jpeg-threshold'], 10) * 1024 : undefined,
+    maxWidth: options['max-width'] ? parseInt(options['max-width'], 10) : undefined
+  };
+}
+
+async function imagesToPdf(imagesDir, outPath, options = {}) {
   // Prefer provided dir, otherwise try ./images then ./scripts/images
   const candidates = [imagesDir, path.join(process.cwd(), 'images'), path.join(process.cwd(), 'scripts', 'images')].filter(Boolean);
   let foundDir = null;
@@ -47,45 +72,47 @@ async function imagesToPdf(imagesDir, outPath) {
   const imgs = entries.filter(isImageFile).sort(sortFilenames);
   if (imgs.length === 0) throw new Error('No image files (*.png, *.jpg, *.jpeg) found in ' + foundDir);
 
-  const pdfDoc = await PDFDocument.create();
+  const describeSlide = options.manifest
+    ? loadSlideDescriptions(typeof options.manifest === 'string' ? options.manifest : null)
+    : null;
 
+  const pages = [];
   for (const file of imgs) {
-    const filePath = path.join(foundDir, file);
-    const bytes = await fs.readFile(filePath);
-    let embedded;
-    if (/\.png$/i.test(file)) {
-      embedded = await pdfDoc.embedPng(bytes);
-    } else {
-      embedded = await pdfDoc.embedJpg(bytes);
-    }
-
-    // pdf-lib image objects expose width and height
-    const width = embedded.width;
-    const height = embedded.height;
+    const page = {
+      bytes: await fs.readFile(path.join(foundDir, file)),
+      isPng: /\.png$/i.test(file)
+    };
 
-    // Create a page sized to the image and draw it at full size
-    const page = pdfDoc.addPage([width, height]);
-    page.drawImage(embedded, { x: 0, y: 0, width, height });
+    const match = file.match(/slide-(\d+)/i);
+    if (describeSlide && match) {
+      Object.assign(page, describeSlide(parseInt(match[1], 10)));
+      page.label = String(page.slide);
+    }
+    pages.push(page);
   }
 
-  const pdfBytes = await pdfDoc.save();
-  await fs.writeFile(outPath, pdfBytes);
+  await fs.writeFile(outPath, await buildPdf(pages, toPdfOptions(options)));
   return outPath;
 }
 
 // CLI entry
-(async () => {
-  try {
-    const argDir = process.argv[2];
-    const argOut = process.argv[3];
-    const defaultOut = path.join(process.cwd(), 'images.pdf');
-    const outPath = argOut || defaultOut;
+if (require.main === module) {
+  (async () => {
+    try {
+      const { positional, options } = parseArgs(process.argv.slice(2));
+      const argDir = positional[0];
+      const argOut = positional[1];
+      const defaultOut = path.join(process.cwd(), 'images.pdf');
+      const outPath = argOut || defaultOut;
 
-    const written = await imagesToPdf(argDir, outPath);
-    // Use console.log for easy capture in scripts
-    console.log('Wrote PDF to', written);
-  } catch (err) {
-    console.error('Error creating PDF from images:', err);
-    process.exitCode = 1;
-  }
-})();
+      const written = await imagesToPdf(argDir, outPath, options);
+      // Use console.log for easy capture in scripts
+      console.log('Wrote PDF to', written);
+    } catch (err) {
+      console.error('Error creating PDF from images:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { imagesToPdf, toPdfOptions };
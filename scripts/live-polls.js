@@ -0,0 +1,142 @@
+// javascript
+/**
+ * Knowledge check polls for the live session server.
+ *
+ * Loads the question files from quizzes/*.json, collects attendee answers sent over
+ * the live WebSocket, pushes aggregated results to the presenter and writes every
+ * session to sessions/<session id>.json.
+ *
+ * Wired up by scripts/live-server.js; see quiz-core.js for the question format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QuizCore = require('../quiz-core.js');
+
+const SAVE_DELAY_MS = 500;
+
+// Keyed by ids that attendees send back, so the maps have no prototype ("toString", "__proto__")
+function loadQuizzes(quizDir) {
+  const quizzes = Object.create(null);
+  if (!fs.existsSync(quizDir)) return quizzes;
+
+  for (const file of fs.readdirSync(quizDir).filter(name => name.endsWith('.json'))) {
+    try {
+      const quiz = QuizCore.normalizeQuiz(JSON.parse(fs.readFileSync(path.join(quizDir, file), 'utf8')));
+      quizzes[quiz.id] = quiz;
+    } catch (err) {
+      console.error(`Skipping quiz file ${file}:`, err.message);
+    }
+  }
+  return quizzes;
+}
+
+/**
+ * Register poll handlers on a live server created by createLiveServer().
+ * Returns the session record so callers (and tests) can inspect it.
+ */
+function registerPolls(live, { quizDir, sessionDir, sessionId }) {
+  const quizzes = loadQuizzes(quizDir);
+  const session = {
+    sessionId,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    // quizId -> questionId -> { answers: { clientId: { answer, correct, at } }, results, revealed }
+    quizzes: Object.create(null)
+  };
+  const sessionFile = path.join(sessionDir, `${sessionId}.json`);
+  let saveTimer = null;
+
+  function findQuestion(quizId, questionId) {
+    const quiz = quizzes[quizId];
+    return quiz ? quiz.questions.find(q => q.id === questionId) || null : null;
+  }
+
+  function getRecord(quizId, questionId) {
+    session.quizzes[quizId] = session.quizzes[quizId] || Object.create(null);
+    session.quizzes[quizId][questionId] = session.quizzes[quizId][questionId] || { answers: Object.create(null), results: null, revealed: false };
+    return session.quizzes[quizId][questionId];
+  }
+
+  function computeResults(quizId, questionId) {
+    const question = findQuestion(quizId, questionId);
+    const record = getRecord(quizId, questionId);
+    const answers = Object.values(record.answers).map(entry => entry.answer);
+    record.results = QuizCore.aggregateAnswers(question, answers);
+    return record.results;
+  }
+
+  function sendResults(quizId, questionId, target) {
+    const message = { type: 'poll-results', quizId, questionId, results: computeResults(quizId, questionId) };
+    if (target) {
+      live.send(target, message);
+    } else {
+      live.broadcast(message, 'presenter');
+    }
+  }
+
+  function scheduleSave() {
+    session.updatedAt = new Date().toISOString();
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      fs.writeFile(sessionFile, JSON.stringify(session, null, 2), (err) => {
+        if (err) console.error('Could not save session results:', err.message);
+      });
+    }, SAVE_DELAY_MS);
+  }
+
+  live.on('answer', (socket, message) => {
+    const question = findQuestion(message.quizId, message.questionId);
+    if (!question || !message.clientId || !QuizCore.isValidAnswer(question, message.answer)) {
+      live.send(socket, { type: 'error', error: 'invalid-answer' });
+      return;
+    }
+
+    // One answer per attendee and question; answering again replaces the previous answer
+    // until the presenter reveals the correct one
+    const record = getRecord(message.quizId, message.questionId);
+    if (record.revealed) {
+      live.send(socket, { type: 'error', error: 'question-closed' });
+      return;
+    }
+    record.answers[message.clientId] = {
+      answer: message.answer,
+      correct: QuizCore.isCorrectAnswer(question, message.answer),
+      at: new Date().toISOString()
+    };
+
+    live.send(socket, { type: 'answer-received', quizId: message.quizId, questionId: message.questionId });
+    sendResults(message.quizId, message.questionId);
+    scheduleSave();
+  });
+
+  // Presenter moved to another question: attendees follow, presenter gets the current results
+  live.on('quiz-question', (socket, message) => {
+    if (socket.role !== 'presenter' || !findQuestion(message.quizId, message.questionId)) return;
+    live.state.quiz = { quizId: message.quizId, questionId: message.questionId, revealed: false };
+    live.broadcast({ type: 'quiz-question', quizId: message.quizId, questionId: message.questionId }, 'audience');
+    sendResults(message.quizId, message.questionId, socket);
+  });
+
+  live.on('quiz-reveal', (socket, message) => {
+    const question = findQuestion(message.quizId, message.questionId);
+    if (socket.role !== 'presenter' || !question) return;
+    getRecord(message.quizId, message.questionId).revealed = true;
+    if (live.state.quiz && live.state.quiz.questionId === message.questionId) {
+      live.state.quiz.revealed = true;
+    }
+    live.broadcast({
+      type: 'quiz-reveal',
+      quizId: message.quizId,
+      questionId: message.questionId,
+      answer: question.answer,
+      results: computeResults(message.quizId, message.questionId)
+    });
+  });
+
+  console.log(`📝 Loaded ${Object.keys(quizzes).length} knowledge checks, saving results to ${sessionFile}`);
+  return session;
+}
+
+module.exports = { registerPolls, loadQuizzes };
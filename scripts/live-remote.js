@@ -0,0 +1,206 @@
+// javascript
+/**
+ * Phone remote control for the live session server.
+ *
+ * The presenter's deck asks for a pairing code (📱 in the deck): a one-time token,
+ * valid for a few minutes, shown as a QR code of http://<lan-ip>:<port>/remote?token=...
+ * The phone opens that page from this server, trades the token for a remote key
+ * (kept by the phone for reconnects) and from then on:
+ *   - receives the deck's state: slide, sections, speaker notes and the slide's
+ *     remote controls (buttons marked data-remote-control, e.g. the CloudFront canvas)
+ *   - sends commands (next, prev, section, control) that are passed on to the presenter
+ *   - runs the rehearsal clock (rehearsal-core.js), kept here so every phone and
+ *     every reconnect shows the same time
+ *
+ * Wired up by scripts/live-server.js; the deck side is remote-pairing.js, the phone
+ * page remote.html / remote.js.
+ *
+ * Requires: qrcode
+ *   npm install qrcode
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const DeckRehearsal = require('../rehearsal-core.js');
+
+const PAIR_TOKEN_TTL_MS = 2 * 60 * 1000;
+const ROOT = path.join(__dirname, '..');
+// Files of the phone page, served by the live server itself
+const REMOTE_FILES = {
+  '/remote': { file: 'remote.html', type: 'text/html; charset=utf-8' },
+  '/remote.js': { file: 'remote.js', type: 'text/javascript; charset=utf-8' },
+  '/i18n.js': { file: 'i18n.js', type: 'text/javascript; charset=utf-8' },
+  '/theme.css': { file: 'theme.css', type: 'text/css; charset=utf-8' }
+};
+// Commands handled by the deck; the clock commands are handled here
+const DECK_COMMANDS = ['next', 'prev', 'section', 'control'];
+
+function createToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Address a phone on the LAN can reach: the host the presenter's deck used to connect,
+ * unless that is the laptop itself (localhost), then the server's LAN address.
+ */
+function getRemoteHost(host, lanHost) {
+  const hostname = (host || '').replace(/:\d+$/, '');
+  if (hostname && !['localhost', '127.0.0.1', '[::1]'].includes(hostname)) return host;
+  return lanHost;
+}
+
+/**
+ * Register the phone remote on a live server created by createLiveServer().
+ * Returns the remote state so callers (and tests) can inspect it.
+ */
+function registerRemote(live, { manifest, lanHost }) {
+  const remote = {
+    tokens: new Map(),     // pairing token -> expiry time
+    keys: new Set(),       // remote keys of paired phones
+    state: null,           // last state published by the deck
+    tracker: new DeckRehearsal.RehearsalTracker(manifest)
+  };
+
+  function countRemotes() {
+    return live.countClients().remote || 0;
+  }
+
+  // Clock snapshot; phones keep counting from it until the next one
+  function getTimer() {
+    const { tracker } = remote;
+    const slide = tracker.schedule.slides[tracker.slideNumber - 1];
+    const pacing = tracker.getPacing();
+    return {
+      started: tracker.isStarted(),
+      paused: tracker.isPaused(),
+      elapsedMs: tracker.getElapsedMs(),
+      totalMs: tracker.schedule.totalMs,
+      sectionMs: slide ? tracker.getSectionMs(slide.section) : 0,
+      sectionBudgetMs: slide ? tracker.schedule.sections[slide.section].budgetMs : 0,
+      plannedStartMs: pacing ? pacing.plannedStartMs : 0,
+      plannedEndMs: pacing ? pacing.plannedEndMs : 0
+    };
+  }
+
+  function sendState(target) {
+    if (!remote.state) return;
+    const message = { type: 'remote-state', state: remote.state, timer: getTimer() };
+    if (target) {
+      live.send(target, message);
+    } else {
+      live.broadcast(message, 'remote');
+    }
+  }
+
+  function announceRemotes() {
+    live.broadcast({ type: 'remote-paired', remotes: countRemotes() }, 'presenter');
+  }
+
+  function dropExpiredTokens() {
+    const now = Date.now();
+    remote.tokens.forEach((expiresAt, token) => {
+      if (expiresAt <= now) remote.tokens.delete(token);
+    });
+  }
+
+  Object.entries(REMOTE_FILES).forEach(([pathname, { file, type }]) => {
+    live.get(pathname, (req, res) => {
+      fs.readFile(path.join(ROOT, file), (err, data) => {
+        if (err) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        res.end(data);
+      });
+    });
+  });
+
+  live.on('remote-pair', async (socket) => {
+    if (socket.role !== 'presenter') return;
+    dropExpiredTokens();
+
+    const token = createToken();
+    const expiresAt = Date.now() + PAIR_TOKEN_TTL_MS;
+    remote.tokens.set(token, expiresAt);
+
+    const url = `http://${getRemoteHost(socket.host, lanHost)}/remote?token=${token}`;
+    try {
+      const qr = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+      live.send(socket, { type: 'remote-pairing', url, qr, expiresAt, remotes: countRemotes() });
+    } catch (err) {
+      console.error('Could not create the pairing QR code:', err.message);
+      live.send(socket, { type: 'remote-pairing', url, qr: null, expiresAt, remotes: countRemotes() });
+    }
+  });
+
+  // A phone pairs with a fresh token, or comes back with the key it was given
+  live.on('remote-hello', (socket, message) => {
+    let key = null;
+    const expiresAt = remote.tokens.get(message.token);
+    if (expiresAt && expiresAt > Date.now()) {
+      remote.tokens.delete(message.token);
+      key = createToken();
+      remote.keys.add(key);
+    } else if (remote.keys.has(message.key)) {
+      key = message.key;
+    }
+    if (!key) {
+      live.send(socket, { type: 'error', error: 'invalid-remote-token' });
+      return;
+    }
+
+    socket.role = 'remote';
+    live.send(socket, { type: 'remote-welcome', key });
+    sendState(socket);
+    // Ask the deck for its current slide, notes and controls
+    live.broadcast({ type: 'remote-sync' }, 'presenter');
+    announceRemotes();
+    console.log('📱 remote paired', live.countClients());
+  });
+
+  live.on('remote-state', (socket, message) => {
+    if (socket.role !== 'presenter' || !message.state || !message.state.slide) return;
+    remote.state = message.state;
+    remote.tracker.enter(message.state.slide.number);
+    sendState();
+  });
+
+  live.on('remote-command', (socket, message) => {
+    if (socket.role !== 'remote') return;
+    const { tracker } = remote;
+
+    switch (message.command) {
+      case 'clock-pause':
+        if (tracker.isPaused()) tracker.resume();
+        else tracker.pause();
+        sendState();
+        return;
+      case 'clock-reset':
+        tracker.start(remote.state ? remote.state.slide.number : null);
+        sendState();
+        return;
+    }
+
+    if (!DECK_COMMANDS.includes(message.command)) return;
+    live.broadcast({
+      type: 'remote-command',
+      command: message.command,
+      section: message.section,
+      control: message.control
+    }, 'presenter');
+  });
+
+  live.wss.on('connection', (socket) => {
+    socket.on('close', () => {
+      if (socket.role === 'remote') announceRemotes();
+    });
+  });
+
+  return remote;
+}
+
+module.exports = { registerRemote, getRemoteHost, PAIR_TOKEN_TTL_MS };
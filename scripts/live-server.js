@@ -0,0 +1,220 @@
+// javascript
+/**
+ * Local live session server for classroom follow-along.
+ *
+ * The presenter's deck publishes slide changes over a WebSocket and attendee
+ * browsers in "follow presenter" mode receive them. Everything stays on the LAN;
+ * no internet access is needed. Run it next to the static server (`npm start`).
+ *
+ * Usage:
+ *   node scripts/live-server.js [port]
+ *
+ * Defaults:
+ *   port: 8001 (or LIVE_PORT)
+ *   presenter key: random (or LIVE_PRESENTER_KEY)
+ *
+ * Then open:
+ *   presenter: http://<lan-ip>:8000/?live=presenter&liveKey=<key>
+ *   attendees: http://<lan-ip>:8000/?live=audience
+ *
+ * Knowledge check answers are collected as well (see scripts/live-polls.js) and
+ * saved per session to sessions/<session id>.json. The presenter can pair a phone
+ * as a remote control by QR code; the phone page is served from this server
+ * (see scripts/live-remote.js). Annotations drawn on the presenter's deck are
+ * mirrored to the attendees.
+ *
+ * Requires: ws, qrcode
+ *   npm install ws qrcode
+ */
+
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { registerPolls } = require('./live-polls');
+const { registerRemote } = require('./live-remote');
+const DECK_MANIFEST = require('../deck-manifest.js');
+
+const DEFAULT_PORT = 8001;
+const DECK_PORT = 8000;
+const HEARTBEAT_MS = 15000;
+
+function getLanAddresses() {
+  const addresses = [];
+  for (const iface of Object.values(os.networkInterfaces())) {
+    for (const addr of iface || []) {
+      if (addr.family === 'IPv4' && !addr.internal) addresses.push(addr.address);
+    }
+  }
+  return addresses.length ? addresses : ['localhost'];
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Create the HTTP + WebSocket server. Message handling is keyed by `type` so other
+ * live features can register handlers with `on(type, handler)`, and pages with
+ * `get(pathname, handler)`.
+ */
+function createLiveServer({ presenterKey }) {
+  const state = { slide: null, quiz: null, annotations: {}, annotationsHidden: false, updatedAt: null };
+  const handlers = {};
+  const routes = {};
+
+  const server = http.createServer((req, res) => {
+    // Small status endpoint for checking the session from a browser
+    if (req.url === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({ slide: state.slide, updatedAt: state.updatedAt, clients: countClients() }));
+      return;
+    }
+    const route = req.method === 'GET' && routes[new URL(req.url, 'http://localhost').pathname];
+    if (route) {
+      route(req, res);
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  const wss = new WebSocketServer({ server, path: '/live' });
+
+  function countClients() {
+    const counts = { presenter: 0, audience: 0 };
+    wss.clients.forEach(client => {
+      counts[client.role] = (counts[client.role] || 0) + 1;
+    });
+    return counts;
+  }
+
+  function broadcast(message, role) {
+    wss.clients.forEach(client => {
+      if (!role || client.role === role) send(client, message);
+    });
+  }
+
+  function on(type, handler) {
+    handlers[type] = handler;
+  }
+
+  function get(pathname, handler) {
+    routes[pathname] = handler;
+  }
+
+  on('hello', (socket, message) => {
+    if (message.role === 'presenter') {
+      if (message.key !== presenterKey) {
+        send(socket, { type: 'error', error: 'invalid-presenter-key' });
+        return;
+      }
+      socket.role = 'presenter';
+    }
+    send(socket, { type: 'welcome', role: socket.role, slide: state.slide, quiz: state.quiz });
+    if (socket.role === 'presenter') {
+      // The presenter's deck sends all its saved annotations back (a restarted server starts empty)
+      send(socket, { type: 'annotations-sync' });
+    } else {
+      // Attendees joining late see what the presenter has drawn so far
+      send(socket, { type: 'annotations', slides: state.annotations, all: true, draft: null, hidden: state.annotationsHidden });
+    }
+    console.log(`👋 ${socket.role} connected`, countClients());
+  });
+
+  on('slide', (socket, message) => {
+    if (socket.role !== 'presenter') return;
+    state.slide = { number: message.number, slug: message.slug, step: message.step || 0 };
+    state.updatedAt = new Date().toISOString();
+    broadcast({ type: 'slide', slide: state.slide }, 'audience');
+  });
+
+  // Presenter annotations (annotation-layer.js): finished strokes are kept per slide slug, strokes being
+  // drawn and the laser pointer are only passed on. `all` replaces every slide (the sync after connecting).
+  on('annotations', (socket, message) => {
+    if (socket.role !== 'presenter') return;
+    const slides = {};
+    if (message.all) state.annotations = {};
+    Object.entries(message.slides || {}).forEach(([slug, strokes]) => {
+      if (!Array.isArray(strokes)) return;
+      slides[slug] = strokes;
+      if (strokes.length) state.annotations[slug] = strokes;
+      else delete state.annotations[slug];
+    });
+    if (typeof message.hidden === 'boolean') state.annotationsHidden = message.hidden;
+    broadcast({ type: 'annotations', slides, all: Boolean(message.all), draft: message.draft || null, hidden: state.annotationsHidden }, 'audience');
+  });
+
+  on('laser', (socket, message) => {
+    if (socket.role !== 'presenter') return;
+    broadcast({ type: 'laser', slug: message.slug, point: message.point || null }, 'audience');
+  });
+
+  wss.on('connection', (socket, req) => {
+    socket.role = 'audience';
+    // Address the client reached the server on (used for the phone remote's pairing URL)
+    socket.host = req.headers.host;
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (e) {
+        return; // ignore malformed frames
+      }
+      // Valid JSON is not always a message (null, numbers, arrays)
+      if (!message || typeof message !== 'object' || Array.isArray(message)) return;
+      if (!Object.prototype.hasOwnProperty.call(handlers, message.type)) return;
+      try {
+        handlers[message.type](socket, message);
+      } catch (err) {
+        // One bad message must not take down every session
+        console.error(`Live message "${message.type}" failed:`, err.message);
+      }
+    });
+  });
+
+  // Drop clients that disappeared without closing (laptops going to sleep, Wi-Fi changes)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(client => {
+      if (!client.isAlive) return client.terminate();
+      client.isAlive = false;
+      client.ping();
+    });
+  }, HEARTBEAT_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return { server, wss, state, on, get, broadcast, send, countClients };
+}
+
+// CLI entry
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.LIVE_PORT || DEFAULT_PORT, 10);
+  const presenterKey = process.env.LIVE_PRESENTER_KEY || crypto.randomBytes(4).toString('hex');
+  const live = createLiveServer({ presenterKey });
+  const root = path.join(__dirname, '..');
+  registerPolls(live, {
+    quizDir: path.join(root, 'quizzes'),
+    sessionDir: path.join(root, 'sessions'),
+    sessionId: new Date().toISOString().replace(/[:.]/g, '-')
+  });
+  registerRemote(live, { manifest: DECK_MANIFEST, lanHost: `${getLanAddresses()[0]}:${port}` });
+
+  live.server.listen(port, () => {
+    console.log(`📡 Live session server on port ${port}`);
+    for (const address of getLanAddresses()) {
+      // The deck assumes port 8001 on the same host unless told otherwise
+      const serverParam = port === DEFAULT_PORT ? '' : `&liveServer=${address}:${port}`;
+      console.log(`   Presenter: http://${address}:${DECK_PORT}/?live=presenter&liveKey=${presenterKey}${serverParam}`);
+      console.log(`   Attendees: http://${address}:${DECK_PORT}/?live=audience${serverParam}`);
+    }
+    console.log('   Phone remote: click 📱 in the presenter deck and scan the QR code');
+  });
+}
+
+module.exports = { createLiveServer, getLanAddresses, DEFAULT_PORT };
@@ -0,0 +1,86 @@
+// javascript
+/**
+ * Merge the full-page captures written by capture-fullpage.js into one PDF.
+ *
+ * Reads captures.json from the capture folder: pages keep the deck order, the outline
+ * groups them by section → slide → tab, and page labels follow the slide number
+ * ("24", "24.2", …) so a slide sliced into several pages stays recognisable.
+ *
+ * Usage:
+ *   node scripts/merge-screenshots-to-pdf.js [captureDir] [outPdf] [options]
+ *   npm run merge-pdf
+ *
+ * Options:
+ *   --page=16:9|a4        normalise every page (use a4 with capture-fullpage --paginate=a4)
+ *   --title=... --author=...   document metadata
+ *   --jpeg-quality=80 --jpeg-threshold=300 --max-width=1920 --no-jpeg   see images-to-pdf.js
+ *
+ * Defaults:
+ *   captureDir: ./scripts/fullpage
+ *   outPdf:     ./fullpage.pdf
+ *
+ * Requires: pdf-lib, pngjs, jpeg-js
+ *   npm install pdf-lib pngjs jpeg-js
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('./deck-page');
+const { buildPdf, loadSlideDescriptions } = require('./pdf-builder');
+const { toPdfOptions } = require('./images-to-pdf');
+
+async function mergeScreenshotsToPdf(captureDir, outPath, options = {}) {
+  const indexPath = path.join(captureDir, 'captures.json');
+  let index;
+  try {
+    index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${indexPath} - run scripts/capture-fullpage.js first (${err.message})`);
+  }
+
+  const describeSlide = loadSlideDescriptions();
+  const pages = [];
+
+  for (const record of index.slides) {
+    const { section } = describeSlide(record.slide);
+    let pageInSlide = 0;
+
+    for (const capture of record.captures) {
+      for (const file of capture.files) {
+        pageInSlide++;
+        pages.push({
+          bytes: await fs.readFile(path.join(captureDir, file)),
+          isPng: /\.png$/i.test(file),
+          slide: record.slide,
+          title: record.title,
+          section,
+          variant: capture.variant,
+          label: pageInSlide === 1 ? String(record.slide) : `${record.slide}.${pageInSlide}`
+        });
+      }
+    }
+  }
+  if (pages.length === 0) throw new Error('No captures listed in ' + indexPath);
+
+  await fs.writeFile(outPath, await buildPdf(pages, toPdfOptions(options)));
+  return { outPath, pages: pages.length };
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      const { positional, options } = parseArgs(process.argv.slice(2));
+      const captureDir = positional[0] || path.join(process.cwd(), 'scripts', 'fullpage');
+      const outPath = positional[1] || path.join(process.cwd(), 'fullpage.pdf');
+
+      const result = await mergeScreenshotsToPdf(captureDir, outPath, options);
+      console.log(`Wrote ${result.pages} pages to`, result.outPath);
+    } catch (err) {
+      console.error('Error merging screenshots to PDF:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { mergeScreenshotsToPdf };
@@ -0,0 +1,263 @@
+// javascript
+/**
+ * Build a slide PDF from images with document metadata, a nested outline
+ * (section → slide → tab/variant), page labels matching slide numbers, optional
+ * page normalisation to 16:9 or A4 (letterboxed) and JPEG re-encoding of large PNGs.
+ *
+ * Used by images-to-pdf.js, export-to-pdf.js and merge-screenshots-to-pdf.js.
+ *
+ * Requires: pdf-lib, pngjs, jpeg-js
+ *   npm install pdf-lib pngjs jpeg-js
+ */
+
+const { PDFDocument, PDFName, PDFHexString, rgb } = require('pdf-lib');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const deckManifest = require('../deck-manifest.js');
+
+// Page sizes in PDF points (landscape); A4 turns portrait for portrait images
+const PAGE_SIZES = {
+  '16:9': [960, 540],
+  a4: [841.89, 595.28]
+};
+
+const DEFAULT_JPEG_THRESHOLD = 300 * 1024;
+const DEFAULT_JPEG_QUALITY = 80;
+const DEFAULT_MAX_WIDTH = 1920;
+
+// Box-filter downscale of RGBA pixels (the screenshots are often 4K, far beyond print needs)
+function downscale(png, maxWidth) {
+  if (png.width <= maxWidth) return png;
+
+  const width = maxWidth;
+  const height = Math.round(png.height * maxWidth / png.width);
+  const ratio = png.width / width;
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * ratio);
+    const y1 = Math.min(png.height, Math.max(y0 + 1, Math.floor((y + 1) * ratio)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * ratio);
+      const x1 = Math.min(png.width, Math.max(x0 + 1, Math.floor((x + 1) * ratio)));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * png.width + sx) * 4;
+          sum[0] += png.data[i];
+          sum[1] += png.data[i + 1];
+          sum[2] += png.data[i + 2];
+          sum[3] += png.data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) data[o + c] = Math.round(sum[c] / count);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Encode a PNG as JPEG, alpha flattened onto white and downscaled to maxWidth.
+ * Also used for the overview thumbnails (build-thumbnails.js).
+ */
+function encodeJpeg(pngBytes, quality, maxWidth) {
+  const png = downscale(PNG.sync.read(pngBytes), maxWidth);
+  const data = png.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    if (alpha < 1) {
+      data[i] = Math.round(data[i] * alpha + 255 * (1 - alpha));
+      data[i + 1] = Math.round(data[i + 1] * alpha + 255 * (1 - alpha));
+      data[i + 2] = Math.round(data[i + 2] * alpha + 255 * (1 - alpha));
+      data[i + 3] = 255;
+    }
+  }
+  return jpeg.encode({ data, width: png.width, height: png.height }, quality).data;
+}
+
+// Re-encoded JPEG, or null when it is not smaller than the PNG
+function pngToJpeg(pngBytes, quality, maxWidth) {
+  const encoded = encodeJpeg(pngBytes, quality, maxWidth);
+  return encoded.length < pngBytes.length ? encoded : null;
+}
+
+async function embedImage(pdfDoc, bytes, isPng, options) {
+  if (isPng && options.jpeg !== false && bytes.length > (options.jpegThreshold || DEFAULT_JPEG_THRESHOLD)) {
+    const jpegBytes = pngToJpeg(bytes, options.jpegQuality || DEFAULT_JPEG_QUALITY, options.maxWidth || DEFAULT_MAX_WIDTH);
+    if (jpegBytes) return pdfDoc.embedJpg(jpegBytes);
+  }
+  return isPng ? pdfDoc.embedPng(bytes) : pdfDoc.embedJpg(bytes);
+}
+
+// Add a page for the image: sized to the image, or letterboxed into a normalised page size
+function addImagePage(pdfDoc, image, pageSize, background) {
+  if (!pageSize) {
+    const page = pdfDoc.addPage([image.width, image.height]);
+    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+    return page;
+  }
+
+  let [pageWidth, pageHeight] = PAGE_SIZES[pageSize];
+  if (pageSize === 'a4' && image.height > image.width) {
+    [pageWidth, pageHeight] = [pageHeight, pageWidth];
+  }
+
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  const scale = Math.min(pageWidth / image.width, pageHeight / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+  page.drawRectangle({ x: 0, y: 0, width: pageWidth, height: pageHeight, color: background });
+  page.drawImage(image, { x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, width, height });
+  return page;
+}
+
+/**
+ * Group pages into outline nodes: section → slide → variant.
+ * Returns [{ title, pageIndex, children }].
+ */
+function buildOutlineTree(pages) {
+  const roots = [];
+  let sectionNode = null;
+  let slideNode = null;
+
+  pages.forEach((page, pageIndex) => {
+    if (!page.title) return;
+
+    if (page.section && (!sectionNode || sectionNode.title !== page.section)) {
+      sectionNode = { title: page.section, pageIndex, children: [] };
+      roots.push(sectionNode);
+      slideNode = null;
+    } else if (!page.section) {
+      sectionNode = null;
+    }
+
+    const siblings = sectionNode ? sectionNode.children : roots;
+    if (!slideNode || slideNode.slide !== page.slide || slideNode.title !== formatSlideTitle(page)) {
+      slideNode = { title: formatSlideTitle(page), slide: page.slide, pageIndex, children: [] };
+      siblings.push(slideNode);
+    }
+
+    if (page.variant && !slideNode.children.some(child => child.title === page.variant)) {
+      slideNode.children.push({ title: page.variant, pageIndex, children: [] });
+    }
+  });
+
+  return roots;
+}
+
+function formatSlideTitle(page) {
+  return page.slide ? `${page.slide}. ${page.title}` : page.title;
+}
+
+// Write the outline dictionaries pdf-lib has no high-level API for
+function addOutline(pdfDoc, tree) {
+  if (tree.length === 0) return;
+
+  const context = pdfDoc.context;
+  const pageRefs = pdfDoc.getPages().map(page => page.ref);
+  const outlinesRef = context.nextRef();
+
+  const countVisible = (nodes) => nodes.reduce((sum, node) => sum + 1 + countVisible(node.children), 0);
+
+  const writeLevel = (nodes, parentRef) => {
+    const refs = nodes.map(() => context.nextRef());
+    nodes.forEach((node, i) => {
+      const dest = context.obj([pageRefs[node.pageIndex], PDFName.of('Fit')]);
+      const dict = context.obj({});
+      dict.set(PDFName.of('Title'), PDFHexString.fromText(node.title));
+      dict.set(PDFName.of('Parent'), parentRef);
+      dict.set(PDFName.of('Dest'), dest);
+      if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < nodes.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+      if (node.children.length) {
+        const childRefs = writeLevel(node.children, refs[i]);
+        dict.set(PDFName.of('First'), childRefs[0]);
+        dict.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+        dict.set(PDFName.of('Count'), context.obj(countVisible(node.children)));
+      }
+      context.assign(refs[i], dict);
+    });
+    return refs;
+  };
+
+  const topRefs = writeLevel(tree, outlinesRef);
+  const outlines = context.obj({});
+  outlines.set(PDFName.of('Type'), PDFName.of('Outlines'));
+  outlines.set(PDFName.of('First'), topRefs[0]);
+  outlines.set(PDFName.of('Last'), topRefs[topRefs.length - 1]);
+  outlines.set(PDFName.of('Count'), context.obj(countVisible(tree)));
+  context.assign(outlinesRef, outlines);
+
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+// Page labels shown by PDF viewers instead of the physical page index (e.g. "24", "24.2")
+function addPageLabels(pdfDoc, pages) {
+  if (!pages.some(page => page.label)) return;
+
+  const nums = [];
+  pages.forEach((page, index) => {
+    const label = pdfDoc.context.obj({});
+    label.set(PDFName.of('P'), PDFHexString.fromText(page.label || String(index + 1)));
+    nums.push(pdfDoc.context.obj(index), label);
+  });
+  const labels = pdfDoc.context.obj({});
+  labels.set(PDFName.of('Nums'), pdfDoc.context.obj(nums));
+  pdfDoc.catalog.set(PDFName.of('PageLabels'), labels);
+}
+
+/**
+ * pages:   [{ bytes, isPng, slide, title, section, variant, label }] (only bytes is required)
+ * options: { title, author, subject, keywords, pageSize: null | '16:9' | 'a4', background: [r, g, b] 0-1,
+ *            jpeg (default true), jpegQuality, jpegThreshold (bytes), maxWidth (pixels, re-encoded images only) }
+ * Returns the PDF bytes.
+ */
+async function buildPdf(pages, options = {}) {
+  if (options.pageSize && !PAGE_SIZES[options.pageSize]) {
+    throw new Error(`Unknown page size "${options.pageSize}" (use ${Object.keys(PAGE_SIZES).join(' or ')})`);
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  const background = rgb(...(options.background || [1, 1, 1]));
+
+  pdfDoc.setTitle(options.title || deckManifest.title, { showInWindowTitleBar: true });
+  pdfDoc.setAuthor(options.author || 'AWS Security Fundamentals training');
+  pdfDoc.setSubject(options.subject || 'AWS Security Fundamentals - slides');
+  pdfDoc.setKeywords(options.keywords || ['AWS', 'Security', 'IAM', 'CloudFront', 'Training']);
+  pdfDoc.setCreator('aws-security-slides');
+  pdfDoc.setLanguage(options.language || 'vi');
+  pdfDoc.setCreationDate(new Date());
+  pdfDoc.setModificationDate(new Date());
+
+  for (const page of pages) {
+    const image = await embedImage(pdfDoc, page.bytes, page.isPng !== false, options);
+    addImagePage(pdfDoc, image, options.pageSize, background);
+  }
+
+  addOutline(pdfDoc, buildOutlineTree(pages));
+  addPageLabels(pdfDoc, pages);
+
+  return pdfDoc.save();
+}
+
+/**
+ * Load a manifest describing slides and sections: a deck-manifest.js style module or a JSON
+ * file with the same { sections: [{ key, name }], slides: [{ title, section }] } shape.
+ * Returns a lookup (slideNumber) => { slide, title, section } (section is the display name).
+ */
+function loadSlideDescriptions(manifestPath) {
+  const manifest = manifestPath ? require(require('path').resolve(manifestPath)) : deckManifest;
+  const sectionNames = {};
+  (manifest.sections || []).forEach(section => { sectionNames[section.key] = section.name; });
+
+  return (slideNumber) => {
+    const entry = manifest.slides[slideNumber - 1];
+    if (!entry) return { slide: slideNumber, title: `Slide ${slideNumber}`, section: null };
+    return { slide: slideNumber, title: entry.title, section: sectionNames[entry.section] || entry.section || null };
+  };
+}
+
+module.exports = { buildPdf, buildOutlineTree, loadSlideDescriptions, encodeJpeg, PAGE_SIZES };
@@ -0,0 +1,88 @@
+// javascript
+/**
+ * Copy the third-party assets used by the slide pages from node_modules into vendor/,
+ * so the deck never needs cdn.tailwindcss.com, jsdelivr, cdnjs or Google Fonts.
+ *
+ *   vendor/tailwindcss/tailwindcss.js   Tailwind Play CDN build (v3)
+ *   vendor/three/three.min.js           three.js r128
+ *   vendor/chart.js/chart.umd.min.js    Chart.js 4
+ *   vendor/fonts/inter.css + *.woff2    Inter 400-900 (latin, latin-ext, vietnamese)
+ *
+ * vendor/ is committed; re-run after bumping one of these packages, then `npm run precache`.
+ *
+ * Usage:
+ *   node scripts/vendor-assets.js
+ *   npm run vendor
+ *
+ * Requires: tailwindcss-cdn, three, chart.js, @fontsource/inter
+ *   npm install tailwindcss-cdn three@0.128.0 chart.js @fontsource/inter
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT, 'vendor');
+
+const VENDOR_FILES = [
+  { from: 'tailwindcss-cdn/3.4.10/tailwindcss.js', to: 'tailwindcss/tailwindcss.js' },
+  { from: 'three/build/three.min.js', to: 'three/three.min.js' },
+  { from: 'chart.js/dist/chart.umd.min.js', to: 'chart.js/chart.umd.min.js' }
+];
+
+const FONT_WEIGHTS = [400, 500, 600, 700, 800, 900];
+const FONT_SUBSETS = ['latin', 'latin-ext', 'vietnamese'];
+
+// Package "exports" maps hide dist files from require.resolve, so read node_modules directly
+function resolvePackageFile(file) {
+  return path.join(ROOT, 'node_modules', ...file.split('/'));
+}
+
+// Keep only the @font-face blocks of the wanted subsets, pointing at the copied woff2 files
+async function vendorFonts() {
+  const fontsDir = path.join(VENDOR_DIR, 'fonts');
+  await fs.mkdir(fontsDir, { recursive: true });
+
+  const blocks = [];
+  for (const weight of FONT_WEIGHTS) {
+    const css = await fs.readFile(resolvePackageFile(`@fontsource/inter/${weight}.css`), 'utf8');
+    for (const block of css.split(/\n(?=\/\* inter-)/)) {
+      const subset = FONT_SUBSETS.find(s => block.startsWith(`/* inter-${s}-${weight}-normal */`));
+      if (!subset) continue;
+
+      const file = `inter-${subset}-${weight}-normal.woff2`;
+      await fs.copyFile(resolvePackageFile(`@fontsource/inter/files/${file}`), path.join(fontsDir, file));
+      blocks.push(block.trim().replace(/src: [^;]+;/, `src: url(./${file}) format('woff2');`));
+    }
+  }
+
+  const header = '/* Inter from @fontsource/inter - generated by scripts/vendor-assets.js */';
+  await fs.writeFile(path.join(fontsDir, 'inter.css'), `${header}\n\n${blocks.join('\n\n')}\n`);
+  return blocks.length;
+}
+
+async function vendorAssets() {
+  for (const { from, to } of VENDOR_FILES) {
+    const target = path.join(VENDOR_DIR, to);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(resolvePackageFile(from), target);
+    console.log(`📦 ${from} -> vendor/${to}`);
+  }
+
+  const fontFaces = await vendorFonts();
+  console.log(`🔤 ${fontFaces} Inter font faces -> vendor/fonts/inter.css`);
+}
+
+// CLI entry
+if (require.main === module) {
+  (async () => {
+    try {
+      await vendorAssets();
+    } catch (err) {
+      console.error('Error vendoring assets:', err);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = { vendorAssets, VENDOR_FILES };
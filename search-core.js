@@ -0,0 +1,132 @@
+// AWS Security Training - slide search
+// Matches queries against search-index.json (built by scripts/build-search-index.js) without regard to
+// case or Vietnamese diacritics: "dac quyen" finds "đặc quyền", "bao mat" finds "Bảo Mật".
+// Every word of the query must appear in the entry's label or text. Entries with a `locale` come from translated
+// slide content and only match in that language, where they replace the slide's untranslated content (speaker
+// notes excepted). Results carry a snippet split into plain and matched segments, so callers can highlight
+// without building HTML from the index text.
+// Loaded as a plain <script> in the browser (window.DeckSearch) and via require() from the Node scripts.
+(function (root) {
+    const DEFAULT_LIMIT = 30;
+    const SNIPPET_RADIUS = 60;
+    // A match in the label of a slide (its title), tab or accordion item ranks above one in body text or notes
+    const KIND_WEIGHT = { slide: 3, tab: 2, accordion: 2, notes: 0 };
+    const LABEL_WEIGHT = 10;
+    // The query words side by side ("capital one") beat the same words scattered through the text
+    const PHRASE_WEIGHT = 5;
+
+    function foldChar(char) {
+        return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd').replace(/Đ/g, 'D').toLowerCase();
+    }
+
+    // Folded text plus, for each folded character, the index of the original character it came from
+    function foldText(text) {
+        let folded = '';
+        const map = [];
+        for (let i = 0; i < text.length; i++) {
+            const piece = foldChar(text[i]);
+            folded += piece;
+            for (let j = 0; j < piece.length; j++) map.push(i);
+        }
+        return { folded, map };
+    }
+
+    function foldQuery(query) {
+        return foldText(String(query || '')).folded.split(/\s+/).filter(Boolean);
+    }
+
+    // Fold every entry once; search() runs against the prepared entries
+    function prepareIndex(index) {
+        return ((index && index.entries) || []).map(entry => ({
+            entry,
+            label: foldText(entry.label || '').folded,
+            text: foldText(entry.text || '')
+        }));
+    }
+
+    // Text around the whole phrase (or else the first matched word), as [{ text, match }] segments
+    // with every query word marked
+    function buildSnippet(text, folded, terms) {
+        if (!text) return [];
+        const phrase = folded.folded.indexOf(terms.join(' '));
+        const first = phrase !== -1 ? phrase : Math.min(...terms.map(term => folded.folded.indexOf(term)).filter(pos => pos !== -1));
+        const center = Number.isFinite(first) ? folded.map[first] : 0;
+        const start = Math.max(0, center - SNIPPET_RADIUS);
+        const end = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+
+        const marks = [];
+        terms.forEach(term => {
+            let pos = folded.folded.indexOf(term);
+            while (pos !== -1) {
+                const from = folded.map[pos];
+                const to = folded.map[pos + term.length - 1] + 1;
+                if (to > start && from < end) marks.push([Math.max(from, start), Math.min(to, end)]);
+                pos = folded.folded.indexOf(term, pos + term.length);
+            }
+        });
+        marks.sort((a, b) => a[0] - b[0]);
+
+        const segments = [];
+        let cursor = start;
+        marks.forEach(([from, to]) => {
+            if (to <= cursor) return;
+            from = Math.max(from, cursor);
+            if (from > cursor) segments.push({ text: text.slice(cursor, from), match: false });
+            segments.push({ text: text.slice(from, to), match: true });
+            cursor = to;
+        });
+        if (cursor < end) segments.push({ text: text.slice(cursor, end), match: false });
+
+        if (start > 0) segments.unshift({ text: '…', match: false });
+        if (end < text.length) segments.push({ text: '…', match: false });
+        return segments;
+    }
+
+    // Ranked results: { slide, slug, title, kind, label, state, lang, snippet }
+    function search(prepared, query, manifest, limit = DEFAULT_LIMIT, locale = null) {
+        const terms = foldQuery(query);
+        if (terms.length === 0) return [];
+
+        const slideNumbers = {};
+        manifest.slides.forEach((slide, i) => { slideNumbers[slide.slug] = i + 1; });
+
+        // Slides whose content (not only the title) is translated into the requested locale
+        const translated = new Set(prepared
+            .filter(({ entry }) => entry.locale && entry.locale === locale && entry.kind === 'slide' && entry.text)
+            .map(({ entry }) => entry.slug));
+
+        const results = [];
+        prepared.forEach(({ entry, label, text }) => {
+            const slide = slideNumbers[entry.slug];
+            if (!slide || (entry.locale && entry.locale !== locale)) return;
+            if (!entry.locale && entry.kind !== 'notes' && translated.has(entry.slug)) return;
+            if (!terms.every(term => label.includes(term) || text.folded.includes(term))) return;
+
+            const labelHits = terms.filter(term => label.includes(term)).length;
+            const phrase = terms.join(' ');
+            const phraseHit = terms.length > 1 && (label.includes(phrase) || text.folded.includes(phrase));
+            results.push({
+                slide,
+                slug: entry.slug,
+                title: manifest.slides[slide - 1].title,
+                kind: entry.kind,
+                label: entry.label || '',
+                state: entry.state || {},
+                lang: entry.lang || null,
+                snippet: buildSnippet(entry.text || '', text, terms),
+                score: labelHits * LABEL_WEIGHT + (phraseHit ? PHRASE_WEIGHT : 0) + (KIND_WEIGHT[entry.kind] || 0)
+            });
+        });
+
+        results.sort((a, b) => b.score - a.score || a.slide - b.slide);
+        return results.slice(0, limit);
+    }
+
+    const DeckSearch = { foldText, foldQuery, prepareIndex, buildSnippet, search };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckSearch;
+    } else {
+        root.DeckSearch = DeckSearch;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,238 @@
+// AWS Security Training - search palette
+// Ctrl+K (Cmd+K on macOS) searches the text of every slide: fragments, iframe pages, accordion items, tabs
+// and speaker notes, from the prebuilt search-index.json (`npm run search-index`). Matching ignores case and
+// diacritics (search-core.js). Opening a result jumps to the slide fully built and reopens the matching tab
+// or accordion item.
+const SEARCH_INDEX_FILE = 'search-index.json';
+const SEARCH_RESULT_LIMIT = 30;
+
+class SearchPalette {
+    constructor(presentation) {
+        this.presentation = presentation;
+        this.isOpen = false;
+        this.index = null;          // promise of the prepared index (DeckSearch.prepareIndex)
+        this.results = [];
+        this.selected = -1;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'search-palette';
+        this.overlay.hidden = true;
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.dataset.i18nAriaLabel = 'search.title';
+        this.overlay.innerHTML = `
+            <div class="search-box">
+                <input type="search" class="search-input" autocomplete="off" spellcheck="false" data-i18n-placeholder="search.placeholder"
+                    role="combobox" data-i18n-aria-label="search.input" aria-controls="search-results" aria-expanded="false" aria-autocomplete="list">
+                <ol id="search-results" class="search-results" role="listbox"></ol>
+                <div class="search-status" aria-live="polite"></div>
+                <div class="search-hint" data-i18n="search.hint"></div>
+            </div>`;
+        this.overlay.setAttribute('aria-label', DeckI18n.t('search.title'));
+        DeckI18n.applyTranslations(this.overlay);
+        document.body.appendChild(this.overlay);
+
+        this.input = this.overlay.querySelector('.search-input');
+        this.list = this.overlay.querySelector('.search-results');
+        this.status = this.overlay.querySelector('.search-status');
+
+        this.input.addEventListener('input', () => this.update());
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Clicking the backdrop closes the palette
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.hide();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() !== 'k' || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+            e.preventDefault();
+            this.toggle();
+        });
+
+        // Result titles and labels follow the deck language
+        window.addEventListener('locale-changed', () => {
+            if (this.isOpen) this.update();
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.isOpen = true;
+        this.returnFocus = document.activeElement;
+        this.overlay.hidden = false;
+        document.body.classList.add('search-open');
+        this.input.focus();
+        this.input.select();
+        this.update();
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.overlay.hidden = true;
+        document.body.classList.remove('search-open');
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') this.returnFocus.focus();
+    }
+
+    loadIndex() {
+        if (!this.index) {
+            this.index = DeckBundle.readJSON(SEARCH_INDEX_FILE).then(index => DeckSearch.prepareIndex(index));
+            // Allow a retry on the next keystroke
+            this.index.catch(() => { this.index = null; });
+        }
+        return this.index;
+    }
+
+    async update() {
+        const query = this.input.value;
+        if (!query.trim()) {
+            this.render([], DeckI18n.t('search.prompt'));
+            return;
+        }
+
+        let prepared;
+        try {
+            prepared = await this.loadIndex();
+        } catch (err) {
+            console.warn('Search index unavailable:', err);
+            this.render([], DeckI18n.t('search.unavailable'));
+            return;
+        }
+        // A newer keystroke may have run while the index was loading
+        if (query !== this.input.value) return;
+
+        // Localized slide titles; entries of translated content only match in their own language
+        const manifest = { slides: this.presentation.slideEntries };
+        const results = DeckSearch.search(prepared, query, manifest, SEARCH_RESULT_LIMIT, this.presentation.locale);
+        this.render(results, results.length ? DeckI18n.t('search.count', { count: results.length }) : DeckI18n.t('search.none'));
+    }
+
+    render(results, status) {
+        this.results = results;
+        this.list.innerHTML = '';
+        this.status.textContent = status;
+
+        results.forEach((result, i) => {
+            const item = document.createElement('li');
+            item.id = `search-result-${i}`;
+            item.className = 'search-result';
+            item.setAttribute('role', 'option');
+
+            const heading = document.createElement('div');
+            heading.className = 'search-result-title';
+            heading.innerHTML = `<span class="search-result-number">${result.slide}</span>`;
+            heading.appendChild(document.createTextNode(result.title));
+            const where = describeSearchResult(result);
+            if (where) {
+                const tag = document.createElement('span');
+                tag.className = 'search-result-where';
+                tag.textContent = where;
+                heading.appendChild(tag);
+            }
+            item.appendChild(heading);
+
+            if (result.snippet.length) {
+                const snippet = document.createElement('div');
+                snippet.className = 'search-result-snippet';
+                result.snippet.forEach(segment => {
+                    if (segment.match) {
+                        const mark = document.createElement('mark');
+                        mark.textContent = segment.text;
+                        snippet.appendChild(mark);
+                    } else {
+                        snippet.appendChild(document.createTextNode(segment.text));
+                    }
+                });
+                item.appendChild(snippet);
+            }
+
+            item.addEventListener('mousemove', () => this.select(i));
+            item.addEventListener('click', () => this.open(result));
+            this.list.appendChild(item);
+        });
+
+        this.input.setAttribute('aria-expanded', String(results.length > 0));
+        this.selected = -1;
+        this.select(results.length ? 0 : -1);
+    }
+
+    select(index) {
+        if (index === this.selected && index !== -1) return;
+        this.selected = index;
+        Array.from(this.list.children).forEach((item, i) => {
+            item.classList.toggle('is-selected', i === index);
+            item.setAttribute('aria-selected', String(i === index));
+        });
+
+        const item = this.list.children[index];
+        if (item) {
+            this.input.setAttribute('aria-activedescendant', item.id);
+            item.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // Jump to the slide fully built, with the matching tab or accordion item open
+    open(result) {
+        this.hide();
+        this.presentation.showSlideState(result.slide, result.state, { step: 'last' });
+    }
+
+    handleKeydown(e) {
+        // Keep the deck's own shortcuts (arrows, space) away while typing a query
+        e.stopPropagation();
+
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.hide();
+                break;
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (this.results.length) {
+                    const offset = e.key === 'ArrowDown' ? 1 : -1;
+                    this.select((this.selected + offset + this.results.length) % this.results.length);
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (this.results[this.selected]) this.open(this.results[this.selected]);
+                break;
+            case 'k':
+            case 'K':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.hide();
+                }
+                break;
+        }
+    }
+}
+
+// Where in the slide the match is: the tab or accordion item it opens, or the speaker notes
+function describeSearchResult(result) {
+    switch (result.kind) {
+        case 'tab':
+            return DeckI18n.t('search.tab', { label: result.label });
+        case 'accordion':
+            return DeckI18n.t('search.accordion', { label: result.label });
+        case 'notes':
+            return result.lang ? DeckI18n.t('search.notesLang', { lang: result.lang }) : DeckI18n.t('search.notes');
+        default:
+            return '';
+    }
+}
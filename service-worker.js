@@ -0,0 +1,167 @@
+// AWS Security Training - service worker
+// Precaches every file listed in precache-manifest.js (scripts/build-precache.js) so the
+// deck works offline after one visit.
+//   same-origin: network first (edits show up immediately), cached copy when offline
+//   vendor/, images and remote images: cache first
+// Clients receive { type: 'precache-progress' | 'cache-status' } messages (offline-client.js).
+importScripts('precache-manifest.js');
+
+const CACHE_PREFIX = 'aws-security-';
+const PRECACHE = `${CACHE_PREFIX}precache-${self.PRECACHE_MANIFEST.version}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+const NETWORK_TIMEOUT_MS = 3000;
+const PRECACHE_CONCURRENCY = 6;
+
+let precaching = null;
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+// Cache every missing file; one failed file must not abort the rest
+function precacheAll() {
+    if (precaching) return precaching;
+
+    precaching = (async () => {
+        const cache = await caches.open(PRECACHE);
+        const cachedUrls = new Set((await cache.keys()).map(request => request.url));
+        const requests = [
+            ...self.PRECACHE_MANIFEST.files.map(file => new Request(file, { cache: 'reload' })),
+            ...self.PRECACHE_MANIFEST.remote.map(url => new Request(url, { mode: 'no-cors' }))
+        ];
+        const total = requests.length;
+        const pending = requests.filter(request => !cachedUrls.has(request.url));
+        let done = total - pending.length;
+        let failed = 0;
+
+        const worker = async () => {
+            while (pending.length) {
+                const request = pending.shift();
+                try {
+                    const response = await fetch(request);
+                    if (!response.ok && response.type !== 'opaque') throw new Error(`HTTP ${response.status}`);
+                    await cache.put(request, response);
+                    done++;
+                } catch (err) {
+                    failed++;
+                    console.warn('Precache failed:', request.url, err.message);
+                }
+                notifyClients({ type: 'precache-progress', done, failed, total });
+            }
+        };
+        await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, worker));
+        return { done, failed, total };
+    })().finally(() => {
+        precaching = null;
+    });
+
+    return precaching;
+}
+
+async function getCacheStatus() {
+    const cache = await caches.open(PRECACHE);
+    const cachedUrls = new Set((await cache.keys()).map(request => request.url));
+    const urls = [
+        ...self.PRECACHE_MANIFEST.files.map(file => new URL(file, self.location).toString()),
+        ...self.PRECACHE_MANIFEST.remote.map(url => new URL(url).toString())
+    ];
+    return {
+        type: 'cache-status',
+        version: self.PRECACHE_MANIFEST.version,
+        cached: urls.filter(url => cachedUrls.has(url)).length,
+        total: urls.length,
+        precaching: Boolean(precaching)
+    };
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheAll().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+        notifyClients(await getCacheStatus());
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const type = event.data && event.data.type;
+    if (type === 'cache-status') {
+        getCacheStatus().then(status => event.source.postMessage(status));
+    } else if (type === 'precache') {
+        precacheAll().then(getCacheStatus).then(status => event.source.postMessage(status));
+    }
+});
+
+function fetchWithTimeout(request) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT_MS);
+        fetch(request).then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
+
+// Look the request up in every cache; pages are stored without their query (?mode=preview, ?live=...)
+async function matchCached(request) {
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && url.pathname.endsWith('/')) {
+        return caches.match(new URL('index.html', url).toString(), { ignoreSearch: true });
+    }
+    return caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.status === 200) {
+            const cache = await caches.open(PRECACHE);
+            const url = new URL(request.url);
+            url.search = '';
+            cache.put(url.toString(), response.clone()).catch(() => {
+                // quota exceeded or body already used; the page still gets the response
+            });
+        }
+        return response;
+    } catch (err) {
+        const cached = await matchCached(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await matchCached(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.status === 200 || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone()).catch(() => {});
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    // Range requests (narration audio, video seeking) get 206 partial responses, which must not be cached
+    if (request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    // Anything not on http(s) bypasses the cache (the live session uses WebSockets)
+    if (!url.protocol.startsWith('http')) return;
+
+    const isSameOrigin = url.origin === self.location.origin;
+    const isStatic = /\/vendor\/|\.(png|jpe?g|svg|webp|ico|woff2?)$/i.test(url.pathname);
+
+    if (isSameOrigin && !isStatic) {
+        event.respondWith(networkFirst(request));
+    } else if (isSameOrigin || ['image', 'font', 'style', 'script'].includes(request.destination)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -0,0 +1,343 @@
+// AWS Security Training - slide overview
+// Press O for a grid of every slide grouped by section; click a slide (or use the arrow keys and Enter) to jump to it.
+// Thumbnails come from `npm run thumbnails` (thumbnails/index.json) when available, otherwise they are a
+// scaled-down live copy of the slide's fragment. Iframe pages are not loaded in the grid; they show a placeholder.
+const OVERVIEW_THUMBNAIL_INDEX = 'thumbnails/index.json';
+// Live thumbnails render the slide at this size, then scale it down to the card
+const OVERVIEW_RENDER_WIDTH = 1280;
+const OVERVIEW_RENDER_HEIGHT = 720;
+
+let overviewStyles = null;
+
+class SlideOverview {
+    constructor(presentation) {
+        this.presentation = presentation;
+        this.isOpen = false;
+        this.cards = [];
+        this.rendered = new Set();     // slide numbers whose thumbnail has been built
+        this.thumbnailIndex = null;    // promise of { slug: file } from thumbnails/index.json
+        this.observer = null;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'slide-overview';
+        this.overlay.hidden = true;
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.dataset.i18nAriaLabel = 'overview.title';
+        this.overlay.innerHTML = `
+            <div class="overview-header">
+                <h2 data-i18n="overview.title"></h2>
+                <span class="overview-hint" data-i18n="overview.hint"></span>
+                <button type="button" class="overview-close" data-i18n-aria-label="overview.close">✕</button>
+            </div>
+            <div class="overview-body"></div>`;
+        this.overlay.setAttribute('aria-label', DeckI18n.t('overview.title'));
+        DeckI18n.applyTranslations(this.overlay);
+        document.body.appendChild(this.overlay);
+
+        this.overlay.querySelector('.overview-close').addEventListener('click', () => this.hide());
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() !== 'o' || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+            e.preventDefault();
+            this.toggle();
+        });
+
+        // Section names, titles and live thumbnails follow the deck language; rebuild them on the next show
+        window.addEventListener('locale-changed', () => this.reset());
+    }
+
+    reset() {
+        if (this.observer) this.observer.disconnect();
+        this.overlay.querySelector('.overview-body').innerHTML = '';
+        this.cards = [];
+        this.rendered = new Set();
+        if (this.isOpen) {
+            this.isOpen = false;
+            this.show();
+        }
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        if (this.cards.length === 0) this.build();
+
+        this.isOpen = true;
+        this.returnFocus = document.activeElement;
+        this.overlay.hidden = false;
+        document.body.classList.add('overview-open');
+
+        this.cards.forEach(card => {
+            const current = parseInt(card.dataset.slide, 10) === this.presentation.currentSlide;
+            card.classList.toggle('is-current', current);
+            if (current) card.setAttribute('aria-current', 'true');
+            else card.removeAttribute('aria-current');
+        });
+
+        const currentCard = this.getCard(this.presentation.currentSlide) || this.cards[0];
+        currentCard.focus();
+        currentCard.scrollIntoView({ block: 'center' });
+        this.observeThumbnails();
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.overlay.hidden = true;
+        document.body.classList.remove('overview-open');
+        if (this.observer) this.observer.disconnect();
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') this.returnFocus.focus();
+    }
+
+    // One block per section of the deck with a card per slide
+    build() {
+        const body = this.overlay.querySelector('.overview-body');
+        Object.values(this.presentation.sections).forEach(section => {
+            const block = document.createElement('section');
+            block.className = 'overview-section';
+            block.innerHTML = `<h3>${section.name} <span class="overview-duration">${section.duration || ''}</span></h3>`;
+
+            const grid = document.createElement('ol');
+            grid.className = 'overview-grid';
+            section.slides.forEach(slideNumber => {
+                const entry = this.presentation.getSlideEntry(slideNumber);
+                const item = document.createElement('li');
+                item.innerHTML = `
+                    <button type="button" class="overview-card" data-slide="${slideNumber}">
+                        <span class="overview-thumb" aria-hidden="true"></span>
+                        <span class="overview-caption"><span class="overview-number">${slideNumber}</span>${entry.title}</span>
+                    </button>`;
+                const card = item.firstElementChild;
+                card.addEventListener('click', () => this.jumpTo(slideNumber));
+                grid.appendChild(item);
+                this.cards.push(card);
+            });
+
+            block.appendChild(grid);
+            body.appendChild(block);
+        });
+    }
+
+    getCard(slideNumber) {
+        return this.cards.find(card => parseInt(card.dataset.slide, 10) === slideNumber) || null;
+    }
+
+    jumpTo(slideNumber) {
+        this.hide();
+        this.presentation.goToSlide(slideNumber);
+    }
+
+    // Build thumbnails as their cards scroll into view (all at once without IntersectionObserver)
+    observeThumbnails() {
+        const pending = this.cards.filter(card => !this.rendered.has(parseInt(card.dataset.slide, 10)));
+        if (typeof IntersectionObserver === 'undefined') {
+            pending.forEach(card => this.renderThumbnail(card));
+            return;
+        }
+
+        if (!this.observer) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                    this.observer.unobserve(entry.target);
+                    this.renderThumbnail(entry.target);
+                });
+            }, { root: this.overlay, rootMargin: '200px' });
+        }
+        pending.forEach(card => this.observer.observe(card));
+    }
+
+    loadThumbnailIndex() {
+        if (!this.thumbnailIndex) {
+            this.thumbnailIndex = DeckBundle.readJSON(OVERVIEW_THUMBNAIL_INDEX)
+                .then(index => (index && index.slides) || {})
+                .catch(() => ({}));
+        }
+        return this.thumbnailIndex;
+    }
+
+    async renderThumbnail(card) {
+        const slideNumber = parseInt(card.dataset.slide, 10);
+        if (this.rendered.has(slideNumber)) return;
+        this.rendered.add(slideNumber);
+
+        const thumb = card.querySelector('.overview-thumb');
+        const entry = this.presentation.getSlideEntry(slideNumber);
+        const file = (await this.loadThumbnailIndex())[entry.slug];
+
+        if (file) {
+            const img = document.createElement('img');
+            img.alt = '';
+            img.loading = 'lazy';
+            img.src = DeckBundle.resolveUrl(`thumbnails/${file}`);
+            // A missing or stale image falls back to the live thumbnail
+            img.addEventListener('error', () => {
+                img.remove();
+                this.renderLiveThumbnail(thumb, slideNumber, entry);
+            }, { once: true });
+            thumb.appendChild(img);
+            return;
+        }
+        this.renderLiveThumbnail(thumb, slideNumber, entry);
+    }
+
+    // Scaled copy of the fragment in a shadow root, so its ids and .slide class stay out of the deck's queries
+    async renderLiveThumbnail(thumb, slideNumber, entry) {
+        if (!entry.fragment || !thumb.attachShadow) {
+            showThumbnailPlaceholder(thumb, entry);
+            return;
+        }
+
+        let html;
+        try {
+            html = await this.presentation.fetchFragment(slideNumber);
+        } catch (err) {
+            showThumbnailPlaceholder(thumb, entry);
+            return;
+        }
+
+        const temp = document.createElement('div');
+        temp.innerHTML = html.trim();
+        const slideEl = temp.firstElementChild;
+        if (!slideEl) {
+            showThumbnailPlaceholder(thumb, entry);
+            return;
+        }
+        slideEl.removeAttribute('id');
+        slideEl.classList.add('slide', 'active');
+        slideEl.querySelectorAll('script, aside.notes').forEach(el => el.remove());
+        slideEl.querySelectorAll('iframe').forEach(frame => {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'overview-frame';
+            placeholder.textContent = `🖥️ ${entry.title}`;
+            frame.replaceWith(placeholder);
+        });
+
+        const host = document.createElement('div');
+        host.className = 'overview-live';
+        host.setAttribute('inert', '');
+        host.style.width = `${OVERVIEW_RENDER_WIDTH}px`;
+        host.style.height = `${OVERVIEW_RENDER_HEIGHT}px`;
+        host.style.transform = `scale(${thumb.clientWidth / OVERVIEW_RENDER_WIDTH})`;
+
+        const shadow = host.attachShadow({ mode: 'open' });
+        const styles = getOverviewStyles();
+        if (styles.sheet) {
+            shadow.adoptedStyleSheets = [styles.sheet];
+        } else {
+            const style = document.createElement('style');
+            style.textContent = styles.css;
+            shadow.appendChild(style);
+        }
+        const frameStyle = document.createElement('style');
+        frameStyle.textContent = ':host { position: relative; } .slide { transition: none; } .overview-frame { display: flex; align-items: center; justify-content: center; width: 100%; height: 100%; font-size: 48px; background: rgba(0, 0, 0, 0.05); }';
+        shadow.appendChild(frameStyle);
+        shadow.appendChild(slideEl);
+
+        thumb.appendChild(host);
+    }
+
+    // Arrow keys move between cards by position on screen (rows wrap across sections), Enter/Space jump
+    handleKeydown(e) {
+        // Keep the deck's own shortcuts (arrows, space) from navigating behind the overview
+        e.stopPropagation();
+
+        const index = this.cards.indexOf(document.activeElement);
+        switch (e.key) {
+            case 'Escape':
+            case 'o':
+            case 'O':
+                e.preventDefault();
+                this.hide();
+                break;
+            case 'ArrowRight':
+            case 'ArrowLeft':
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                e.preventDefault();
+                const next = index === -1 ? this.cards[0] : pickOverviewCard(this.cards, this.cards[index], e.key);
+                if (next) {
+                    next.focus();
+                    next.scrollIntoView({ block: 'nearest' });
+                }
+                break;
+            }
+            case 'Home':
+                e.preventDefault();
+                this.cards[0].focus();
+                break;
+            case 'End':
+                e.preventDefault();
+                this.cards[this.cards.length - 1].focus();
+                break;
+        }
+    }
+}
+
+function isTypingTarget(target) {
+    return Boolean(target && target.tagName && (target.isContentEditable || ['input', 'textarea', 'select'].includes(target.tagName.toLowerCase())));
+}
+
+function showThumbnailPlaceholder(thumb, entry) {
+    const icon = entry.quiz ? '📝' : entry.iframe ? '🖥️' : '📄';
+    thumb.innerHTML = `<span class="overview-placeholder">${icon}</span>`;
+}
+
+// Next card in reading order (left/right) or the closest card in the next row (up/down)
+function pickOverviewCard(cards, from, key) {
+    const index = cards.indexOf(from);
+    if (key === 'ArrowRight') return cards[index + 1] || null;
+    if (key === 'ArrowLeft') return cards[index - 1] || null;
+
+    const origin = from.getBoundingClientRect();
+    const down = key === 'ArrowDown';
+    let best = null;
+    let bestScore = Infinity;
+    cards.forEach(card => {
+        const rect = card.getBoundingClientRect();
+        const dy = down ? rect.top - origin.top : origin.top - rect.top;
+        if (dy <= 1) return;
+        // Prefer the nearest row, then the card most directly above/below
+        const score = dy * 10000 + Math.abs(rect.left - origin.left);
+        if (score < bestScore) {
+            bestScore = score;
+            best = card;
+        }
+    });
+    return best;
+}
+
+// The deck's CSS rules for live thumbnails: shadow roots do not see document styles.
+// Shared as one constructed stylesheet where supported, otherwise copied into each thumbnail.
+function getOverviewStyles() {
+    if (overviewStyles) return overviewStyles;
+
+    const css = Array.from(document.styleSheets).map(sheet => {
+        try {
+            return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+        } catch (err) {
+            return ''; // cross-origin stylesheet
+        }
+    }).join('\n');
+
+    if (typeof CSSStyleSheet !== 'undefined' && 'adoptedStyleSheets' in Document.prototype) {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        overviewStyles = { sheet };
+    } else {
+        overviewStyles = { css };
+    }
+    return overviewStyles;
+}
@@ -10,6 +10,9 @@
  * - Uses `requestAnimationFrame` for smooth animation.
  * - Utilizes an offscreen buffer for efficient rendering of static elements.
  * - Exposes Play/Pause/Restart/Invalidate controls and click-to-request interactivity.
+ * - Keyboard operable: the canvas takes focus, Up/Down pick a user, Enter/Space (or 1-4) send its request.
+ * - Describes what happens in a structured event log (one entry per request, invalidation or reset),
+ *   read out through an aria-live region, listed in the transcript panel and dispatched as `canvas-log`.
  * - Responsive layout that adapts to container size.
  */
 
@@ -36,17 +39,64 @@ const ANIM_CONFIG = {
   hitTravelMs: 700,
   gapMs: 700, // Gap before auto-replay
 
+  // Event log entries kept in the transcript panel
+  logLimit: 50,
+
   // Visuals
+  // Fallback colors; with the deck theme loaded they are replaced by the tokens in THEME_TOKENS
   dotRadius: 8,
   colors: {
     user: '#146EB4',
     edge: '#4A90E2',
     origin: '#FF9900',
+    regional: '#E6F2FF',
     text: '#232F3E',
-    path: 'rgba(35,47,62,0.9)'
+    path: 'rgba(35,47,62,0.9)',
+    node: '#fff',
+    cached: '#28a745',
+    uncached: 'rgba(0,0,0,0.12)',
+    caching: '#FFA500',
+    invalidated: '#DC3545'
   }
 };
 
+// Design tokens (theme.css) behind each entry of ANIM_CONFIG.colors
+const THEME_TOKENS = {
+  user: '--deck-blue',
+  edge: '--deck-sky',
+  origin: '--deck-accent',
+  regional: '--deck-border',
+  text: '--deck-heading',
+  path: '--deck-text-muted',
+  node: '--deck-surface',
+  cached: '--deck-green',
+  uncached: '--deck-border',
+  caching: '--deck-orange',
+  invalidated: '--deck-red'
+};
+
+/**
+ * Copies the current theme colors into ANIM_CONFIG.colors. Without the deck theme the fallbacks stay.
+ */
+function applyThemeColors() {
+  const theme = window.DeckTheme;
+  if (!theme) return;
+  const tokens = theme.readTokens(Object.values(THEME_TOKENS));
+  Object.entries(THEME_TOKENS).forEach(([key, token]) => {
+    if (tokens[token]) ANIM_CONFIG.colors[key] = tokens[token];
+  });
+}
+
+/**
+ * Looks up a deck string (i18n.js) in the current deck language.
+ * @param {string} key - The i18n key.
+ * @param {object} [params] - Values for the {placeholders}.
+ * @returns {string} The translated string, or the key without the deck's i18n module.
+ */
+function t(key, params) {
+  return window.DeckI18n ? window.DeckI18n.t(key, params) : key;
+}
+
 
 // =============================================================================
 //
@@ -59,30 +109,55 @@ const ANIM_CONFIG = {
  * @param {Document|Element} scope - The DOM scope to search within.
  */
 export function init(scope = document) {
-  const slide = scope.querySelector('#slide-20');
+  const slide = scope.querySelector('.slide[data-slide-id="cloudfront-overview"]');
   if (!slide) return;
-
   const canvas = slide.querySelector('#cloudfront-canvas-element');
+  if (!canvas || canvas._cfAnimation) return;
+
   const fallback = slide.querySelector('.canvas-fallback');
   const playBtn = slide.querySelector('#cf-play-pause');
+  const transcriptBtn = slide.querySelector('#cf-transcript-toggle');
 
   const prefersReduced = window.matchMedia ?.('(prefers-reduced-motion: reduce)').matches;
   if (!canvas || prefersReduced) {
     if (canvas) canvas.style.display = 'none';
     if (playBtn) playBtn.setAttribute('aria-hidden', 'true');
+    if (transcriptBtn) transcriptBtn.hidden = true;
     if (fallback) fallback.style.display = 'block';
     return;
   }
 
   if (fallback) fallback.style.display = 'none';
 
+  applyThemeColors();
   const animation = createCloudfrontAnimation(canvas, slide);
   if (animation) {
     canvas._cfAnimation = animation;
     animation.start();
+    bindToDeck(slide, animation);
   }
 }
 
+/**
+ * Ties the animation to the deck's slide lifecycle (see onSlide in app.js): it only runs while
+ * its slide is current and the tab is visible, and is destroyed with the slide.
+ * @param {Element} slide - The slide element containing the canvas.
+ * @param {object} animation - The controller returned by createCloudfrontAnimation.
+ */
+function bindToDeck(slide, animation) {
+  const deck = window.presentation;
+  if (!deck || typeof deck.onSlide !== 'function') return;
+
+  deck.onSlide(slide, {
+    enter: animation.resume,
+    leave: animation.suspend,
+    pause: animation.suspend,
+    resume: animation.resume,
+    destroy: animation.destroy
+  });
+  if (!deck.isSlideActive(slide)) animation.suspend();
+}
+
 /**
  * Auto-initializes the animation when the DOM is ready.
  */
@@ -105,6 +180,9 @@ function createCloudfrontAnimation(canvas, slide) {
 
   const playBtn = slide.querySelector('#cf-play-pause');
   const clearBtn = slide.querySelector('#cf-clear-cache');
+  const transcriptBtn = slide.querySelector('#cf-transcript-toggle');
+  const transcriptList = slide.querySelector('#cf-transcript');
+  const liveRegion = slide.querySelector('#cf-live');
 
   const staticBuffer = document.createElement('canvas');
   const staticCtx = staticBuffer.getContext('2d');
@@ -114,6 +192,8 @@ function createCloudfrontAnimation(canvas, slide) {
     isPlaying: true,
     isFinished: false,
     destroyed: false,
+    suspended: false,
+    resumeOnEnter: false,
     runIndex: 0,
     replayTimer: null,
     width: 0,
@@ -134,7 +214,10 @@ function createCloudfrontAnimation(canvas, slide) {
     edgesState: [],
     regionalState: [],
     requests: [],
-    invalidations: []
+    invalidations: [],
+    selectedUser: 0,
+    focused: false,
+    log: []
   };
 
   // ===========================================================================
@@ -244,19 +327,19 @@ function createCloudfrontAnimation(canvas, slide) {
     c.textAlign = 'center';
     c.textBaseline = 'middle';
     const drawNode = (node, label, strokeStyle) => {
-        c.fillStyle = '#fff'; c.strokeStyle = strokeStyle; c.lineWidth = 2;
+        c.fillStyle = colors.node; c.strokeStyle = strokeStyle; c.lineWidth = 2;
         drawRoundedRect(c, node.x - node.w/2, node.y - node.h/2, node.w, node.h, 8);
         c.fillStyle = colors.text; c.font = '14px system-ui, Arial'; c.fillText(label, node.x, node.y);
     };
     drawNode(layout.origin, 'Origin', colors.origin);
     state.regionalState.forEach(r => {
-        drawNode(r, r.label, '#E6F2FF');
-        c.fillStyle = r.cached ? '#28a745' : 'rgba(0,0,0,0.12)';
+        drawNode(r, r.label, colors.regional);
+        c.fillStyle = r.cached ? colors.cached : colors.uncached;
         c.beginPath(); c.arc(r.x - r.w/2 + 12, r.y - r.h/2 + 14, 6, 0, 2 * Math.PI); c.fill();
     });
     state.edgesState.forEach(e => {
         drawNode(e, e.label, colors.edge);
-        c.fillStyle = e.cached ? '#28a745' : 'rgba(0,0,0,0.12)';
+        c.fillStyle = e.cached ? colors.cached : colors.uncached;
         c.beginPath(); c.arc(e.x + e.w/2 - 14, e.y - e.h/2 + 14, 6, 0, 2 * Math.PI); c.fill();
     });
     layout.users.forEach(u => {
@@ -264,7 +347,13 @@ function createCloudfrontAnimation(canvas, slide) {
         c.fillStyle = colors.text; c.font = '12px system-ui, Arial';
         c.fillText(u.label, u.x, u.y + u.h / 2 + 8);
     });
-    c.strokeStyle = 'rgba(35,47,62,0.75)'; c.lineWidth = 1.2; c.setLineDash([6, 4]);
+    // Keyboard focus: ring around the selected user
+    const selected = layout.users[state.selectedUser];
+    if (state.focused && selected) {
+        c.strokeStyle = colors.origin; c.lineWidth = 3;
+        c.beginPath(); c.arc(selected.x, selected.y, Math.min(selected.w, selected.h) / 2 + 6, 0, 2 * Math.PI); c.stroke();
+    }
+    c.strokeStyle = colors.path; c.lineWidth = 1.2; c.setLineDash([6, 4]);
     const drawCurve = (from, to, cp) => { c.beginPath(); c.moveTo(from.x, from.y); c.quadraticCurveTo(cp.x, cp.y, to.x, to.y); c.stroke(); };
     layout.users.forEach((u, ui) => {
       const e = state.edgesState[u.assignedEdgeIndex];
@@ -292,7 +381,7 @@ function createCloudfrontAnimation(canvas, slide) {
       const user = state.layout.users[i];
       const edgeIndex = user.assignedEdgeIndex;
       const startAt = ANIM_CONFIG.sequential ? (i === 0 ? now : Infinity) : (now + i * ANIM_CONFIG.userStaggerMs);
-      return { userIndex: i, edgeIndex, regionalIndex: state.layout.edgesToRegional[edgeIndex], startAt, state: 'pending', t0: 0 };
+      return { userIndex: i, edgeIndex, regionalIndex: state.layout.edgesToRegional[edgeIndex], startAt, state: 'pending', t0: 0, path: [] };
     });
     state.runIndex++;
     drawStaticToBuffer();
@@ -303,10 +392,12 @@ function createCloudfrontAnimation(canvas, slide) {
     const cx = node.x; const cy = node.y;
     const maxR = Math.max(node.w, node.h); const r = 6 + maxR * easeInOut(t);
     ctx.beginPath();
-    const colorMap = { 'green': '40,167,69', 'orange': '255,165,0', 'blue': '74,144,226' };
-    ctx.strokeStyle = `rgba(${colorMap[color] || colorMap.blue}, ${1 - t})`;
+    const { colors } = ANIM_CONFIG;
+    const colorMap = { 'green': colors.cached, 'orange': colors.caching, 'blue': colors.edge };
+    ctx.strokeStyle = colorMap[color] || colorMap.blue; ctx.globalAlpha = 1 - t;
     ctx.lineWidth = 3; ctx.arc(cx, cy, r, 0, 2 * Math.PI); ctx.stroke();
-    ctx.fillStyle = ANIM_CONFIG.colors.text; ctx.font = '13px system-ui, Arial';
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = colors.text; ctx.font = '13px system-ui, Arial';
     ctx.textAlign = 'center'; ctx.fillText('Caching', cx, cy - maxR / 2 - 10);
   }
 
@@ -314,9 +405,10 @@ function createCloudfrontAnimation(canvas, slide) {
     if (!node) return;
     const cx = node.x; const cy = node.y;
     const maxR = Math.max(node.w, node.h) * 1.2; const r = 6 + maxR * easeInOut(t);
-    ctx.beginPath(); ctx.strokeStyle = `rgba(220, 53, 69, ${1 - t})`;
+    ctx.beginPath(); ctx.strokeStyle = ANIM_CONFIG.colors.invalidated; ctx.globalAlpha = 1 - t;
     ctx.lineWidth = 4; ctx.arc(cx, cy, r, 0, 2 * Math.PI); ctx.stroke();
-    ctx.fillStyle = 'rgba(220, 53, 69, 0.8)'; ctx.font = '13px system-ui, Arial';
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = ANIM_CONFIG.colors.invalidated; ctx.font = '13px system-ui, Arial';
     ctx.textAlign = 'center'; ctx.fillText('Invalidated', cx, cy - maxR / 2 - 10);
   }
 
@@ -335,7 +427,7 @@ function createCloudfrontAnimation(canvas, slide) {
       state.isFinished = true;
       const cachesExist = state.edgesState.some(e => e.cached) || state.regionalState.some(r => r.cached);
       if (state.runIndex === 1 && !state.replayTimer && cachesExist && state.requests.length > 0) {
-        state.replayTimer = setTimeout(() => { setupRun(); startLoop(); }, ANIM_CONFIG.gapMs);
+        state.replayTimer = setTimeout(() => { logEvent({ type: 'replay' }, t('canvas.cf.replay')); setupRun(); startLoop(); }, ANIM_CONFIG.gapMs);
       }
       pauseLoop();
     }
@@ -362,25 +454,25 @@ function createCloudfrontAnimation(canvas, slide) {
         switch (req.state) {
             case 'traveling_to_edge':
                 drawDotAlong(userRight, edgeLeft, t, ANIM_CONFIG.colors.user, 'Request', computeVerticalOffsets.userEdge(req.userIndex, req.edgeIndex));
-                if (t >= 1) nextState(edge.cached ? 'edge_hit_return' : 'traveling_to_regional'); break;
+                if (t >= 1) { req.path.push({ step: edge.cached ? 'hit' : 'miss', node: edge.label }); nextState(edge.cached ? 'edge_hit_return' : 'traveling_to_regional'); } break;
             case 'traveling_to_regional':
                 drawDotAlong(edgeRight, regLeft, t, 'orange', 'Miss', computeVerticalOffsets.edgeRegional(req.edgeIndex, req.regionalIndex));
-                if (t >= 1) nextState(regional.cached ? 'regional_hit_return' : 'fetching_origin'); break;
+                if (t >= 1) { req.path.push({ step: regional.cached ? 'hit' : 'miss', node: regional.label }); nextState(regional.cached ? 'regional_hit_return' : 'fetching_origin'); } break;
             case 'fetching_origin':
                 drawDotAlong(regRight, originLeft, t, 'red', 'Fetch', computeVerticalOffsets.regionalOrigin(req.regionalIndex));
-                if (t >= 1) nextState('storing_regional'); break;
+                if (t >= 1) { req.path.push({ step: 'origin', node: 'Origin' }); nextState('storing_regional'); } break;
             case 'storing_regional':
                 drawCacheStorePulse(t, regional, 'orange');
-                if (t >= 1) { regional.cached = true; drawStaticToBuffer(); nextState('returning_to_edge_from_regional'); } break;
+                if (t >= 1) { regional.cached = true; req.path.push({ step: 'cached', node: regional.label }); drawStaticToBuffer(); nextState('returning_to_edge_from_regional'); } break;
             case 'storing_edge':
                 drawCacheStorePulse(t, edge, 'green');
-                if (t >= 1) { edge.cached = true; drawStaticToBuffer(); nextState('returning_to_user'); } break;
+                if (t >= 1) { edge.cached = true; req.path.push({ step: 'cached', node: edge.label }); drawStaticToBuffer(); nextState('returning_to_user'); } break;
             case 'regional_hit_return': case 'returning_to_edge_from_regional':
                 drawDotAlong(regLeft, edgeRight, t, 'green', 'Hit', computeVerticalOffsets.edgeRegional(req.edgeIndex, req.regionalIndex));
                 if (t >= 1) nextState('storing_edge'); break;
             case 'edge_hit_return': case 'returning_to_user':
                 drawDotAlong(edgeLeft, userRight, t, 'green', t >= 1 ? 'OK' : 'Hit', computeVerticalOffsets.userEdge(req.userIndex, req.edgeIndex));
-                if (t >= 1) req.state = 'done'; break;
+                if (t >= 1) { req.state = 'done'; logRequest(req); } break;
         }
     });
     setActiveCount(active);
@@ -397,7 +489,7 @@ function createCloudfrontAnimation(canvas, slide) {
       if (!targetNode) { inv.state = 'done'; return; }
       const targetPos = { x: targetNode.x, y: targetNode.y };
       if (inv.state === 'traveling') {
-        drawDotAlong(originPos, targetPos, t, 'rgba(220, 53, 69, 0.9)', 'Invalidate ⚡');
+        drawDotAlong(originPos, targetPos, t, ANIM_CONFIG.colors.invalidated, 'Invalidate ⚡');
         if (t >= 1) {
           inv.state = 'pulsing';
           inv.startTime = now;
@@ -409,6 +501,7 @@ function createCloudfrontAnimation(canvas, slide) {
           targetNode.cached = false;
           drawStaticToBuffer();
           inv.state = 'done';
+          logInvalidated(targetNode);
         }
       }
     });
@@ -434,7 +527,7 @@ function createCloudfrontAnimation(canvas, slide) {
     const oneMinus = 1 - u;
     const x = oneMinus * oneMinus * from.x + 2 * oneMinus * u * cp.x + u * u * to.x;
     const y = oneMinus * oneMinus * from.y + 2 * oneMinus * u * cp.y + u * u * to.y;
-    ctx.beginPath(); ctx.fillStyle = color; ctx.strokeStyle = 'rgba(0,0,0,0.12)';
+    ctx.beginPath(); ctx.fillStyle = color; ctx.strokeStyle = ANIM_CONFIG.colors.uncached;
     ctx.lineWidth = 1; ctx.arc(x, y, ANIM_CONFIG.dotRadius, 0, 2 * Math.PI);
     ctx.fill(); ctx.stroke();
     if (label) {
@@ -443,6 +536,107 @@ function createCloudfrontAnimation(canvas, slide) {
     }
   }
 
+  // ===========================================================================
+  //   EVENT LOG (aria-live region, transcript panel, `canvas-log` event)
+  // ===========================================================================
+
+  /**
+   * Records an entry, reads it out and adds it to the transcript.
+   * @param {object} entry - Structured event: `type` plus its details (user, path, nodes…).
+   * @param {string} message - The sentence describing it, in the deck language.
+   */
+  function logEvent(entry, message) {
+    const logged = { ...entry, message, at: new Date().toISOString() };
+    state.log.push(logged);
+    if (state.log.length > ANIM_CONFIG.logLimit) state.log.shift();
+
+    announce(message);
+    if (transcriptList) {
+      const item = document.createElement('li');
+      item.textContent = message;
+      transcriptList.appendChild(item);
+      while (transcriptList.children.length > ANIM_CONFIG.logLimit) transcriptList.firstElementChild.remove();
+      transcriptList.scrollTop = transcriptList.scrollHeight;
+    }
+    canvas.dispatchEvent(new CustomEvent('canvas-log', { detail: logged, bubbles: true }));
+  }
+
+  // Screen reader only: selection changes and refused clicks are not worth a transcript line
+  function announce(message) {
+    if (liveRegion) liveRegion.textContent = message;
+  }
+
+  // "User 2 request missed Edge B, missed Regional 1, fetched from Origin, cached at Regional 1, cached at Edge B."
+  function logRequest(req) {
+    const user = state.layout.users[req.userIndex].label;
+    const steps = req.path.map(({ step, node }) => t(`canvas.cf.${step}`, { node }));
+    logEvent({ type: 'request', user, path: req.path }, t('canvas.cf.request', { user, steps: steps.join(', ') }));
+  }
+
+  function logInvalidated(node) {
+    logEvent({ type: 'invalidated', node: node.label }, t('canvas.cf.invalidated', { node: node.label }));
+  }
+
+  function onTranscriptClick(e) {
+    e.preventDefault();
+    const open = transcriptList.hidden;
+    transcriptList.hidden = !open;
+    transcriptBtn.setAttribute('aria-expanded', String(open));
+  }
+
+  function onLocaleChanged() {
+    if (transcriptBtn) transcriptBtn.textContent = t('canvas.transcript');
+    canvas.setAttribute('aria-label', t('canvas.cf.label'));
+  }
+
+  // ===========================================================================
+  //   KEYBOARD: focus the canvas, Up/Down pick a user, Enter/Space send, 1-4 send directly
+  // ===========================================================================
+
+  // Static frame with the focus ring; a running loop picks the new buffer up on its next frame
+  function repaint() {
+    drawStaticToBuffer();
+    if (state.rafId) return;
+    ctx.clearRect(0, 0, state.width, state.height);
+    ctx.drawImage(staticBuffer, 0, 0, state.width, state.height);
+  }
+
+  function selectUser(index) {
+    state.selectedUser = index;
+    repaint();
+    const user = state.layout.users[index];
+    announce(t('canvas.cf.selected', { user: user.label, edge: state.edgesState[user.assignedEdgeIndex].label }));
+  }
+
+  function onCanvasKeydown(e) {
+    const count = state.layout.users.length;
+    const digit = parseInt(e.key, 10);
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      selectUser((state.selectedUser + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      requestFromUser(state.selectedUser);
+    } else if (digit >= 1 && digit <= count && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      state.selectedUser = digit - 1;
+      repaint();
+      requestFromUser(digit - 1);
+    } else {
+      return;
+    }
+    // Space and the arrows would otherwise move the deck
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function onCanvasFocus() {
+    state.focused = true;
+    repaint();
+  }
+
+  function onCanvasBlur() {
+    state.focused = false;
+    repaint();
+  }
+
   // ===========================================================================
   //   ANIMATION & EVENT CONTROLS
   // ===========================================================================
@@ -463,6 +657,23 @@ function createCloudfrontAnimation(canvas, slide) {
     if (playBtn) { playBtn.textContent = 'Play'; playBtn.setAttribute('aria-pressed', 'false'); }
   }
 
+  // Lifecycle pause (slide left or tab hidden): remembers whether it was running or about to replay,
+  // so resume() does not override the Pause button
+  function suspend() {
+    if (state.suspended) return;
+    state.suspended = true;
+    state.resumeOnEnter = state.isPlaying || Boolean(state.replayTimer);
+    clearTimeout(state.replayTimer);
+    state.replayTimer = null;
+    pauseLoop();
+  }
+
+  function resume() {
+    if (!state.suspended) return;
+    state.suspended = false;
+    if (state.resumeOnEnter) startLoop();
+  }
+
   function restart() {
     state.runIndex = 0;
     state.isFinished = false;
@@ -491,12 +702,19 @@ function createCloudfrontAnimation(canvas, slide) {
   function onClearCacheClick(e) {
     e.preventDefault();
     clearCache();
+    logEvent({ type: 'cleared' }, t('canvas.cf.cleared'));
     restart();
   }
 
   function invalidateAllCaches() {
     const now = performance.now();
     const invalidationTravelTime = 800;
+    const nodes = [...state.regionalState, ...state.edgesState].filter(node => node.cached).map(node => node.label);
+    if (nodes.length) {
+      logEvent({ type: 'invalidate', nodes }, t('canvas.cf.invalidate', { nodes: nodes.join(', ') }));
+    } else {
+      logEvent({ type: 'invalidate', nodes }, t('canvas.cf.nothingCached'));
+    }
     state.regionalState.forEach((r, index) => {
       if (r.cached) state.invalidations.push({ type: 'regional', targetIndex: index, startTime: now, duration: invalidationTravelTime, state: 'traveling' });
     });
@@ -511,6 +729,19 @@ function createCloudfrontAnimation(canvas, slide) {
     invalidateAllCaches();
   }
 
+  // A new request from a user (mouse click on it or the keyboard); one at a time per user
+  function requestFromUser(index) {
+    if (state.destroyed) return;
+    const user = state.layout.users[index];
+    if (state.requests.some(req => req.userIndex === index && req.state !== 'done')) {
+      announce(t('canvas.cf.busy', { user: user.label }));
+      return;
+    }
+    const edgeIndex = user.assignedEdgeIndex;
+    state.requests.push({ userIndex: index, edgeIndex, regionalIndex: state.layout.edgesToRegional[edgeIndex], startAt: performance.now(), state: 'pending', t0: 0, path: [] });
+    if (!state.isPlaying) { state.isFinished = false; startLoop(); }
+  }
+
   function onCanvasClick(ev) {
     if (state.destroyed) return;
     const rect = canvas.getBoundingClientRect();
@@ -520,12 +751,7 @@ function createCloudfrontAnimation(canvas, slide) {
       const radius = Math.min(user.w, user.h) / 2;
       const dx = clickX - user.x;
       const dy = clickY - user.y;
-      if (dx * dx + dy * dy <= radius * radius) {
-        if (state.requests.some(req => req.userIndex === index && req.state !== 'done')) return;
-        const edgeIndex = user.assignedEdgeIndex;
-        state.requests.push({ userIndex: index, edgeIndex, regionalIndex: state.layout.edgesToRegional[edgeIndex], startAt: performance.now(), state: 'pending', t0: 0, });
-        if (!state.isPlaying) { state.isFinished = false; startLoop(); }
-      }
+      if (dx * dx + dy * dy <= radius * radius) requestFromUser(index);
     });
   }
 
@@ -540,6 +766,12 @@ function createCloudfrontAnimation(canvas, slide) {
 
   const resizeObserver = new ResizeObserver(onResize);
 
+  function onThemeChanged() {
+    applyThemeColors();
+    drawStaticToBuffer();
+    if (!state.isPlaying) renderFrame(performance.now());
+  }
+
   return {
     start: () => {
       sizeCanvas(); setupRun(); startLoop();
@@ -547,23 +779,42 @@ function createCloudfrontAnimation(canvas, slide) {
       if (clearBtn) clearBtn.addEventListener('click', onClearCacheClick);
       const invalidateBtn = slide.querySelector('#cf-invalidate');
       if (invalidateBtn) invalidateBtn.addEventListener('click', onInvalidateClick);
+      if (transcriptBtn && transcriptList) transcriptBtn.addEventListener('click', onTranscriptClick);
+      canvas.tabIndex = 0;
+      canvas.setAttribute('role', 'application');
+      onLocaleChanged();
       canvas.addEventListener('click', onCanvasClick);
+      canvas.addEventListener('keydown', onCanvasKeydown);
+      canvas.addEventListener('focus', onCanvasFocus);
+      canvas.addEventListener('blur', onCanvasBlur);
       window.addEventListener('resize', onResize);
+      window.addEventListener('theme-changed', onThemeChanged);
+      window.addEventListener('locale-changed', onLocaleChanged);
       resizeObserver.observe(canvas);
     },
     play: startLoop,
     pause: pauseLoop,
+    suspend: suspend,
+    resume: resume,
     restart: restart,
     clearCache: clearCache,
     invalidate: invalidateAllCaches,
+    request: requestFromUser,
+    getLog: () => state.log.slice(),
     destroy: () => {
       state.destroyed = true; pauseLoop(); clearTimeout(state.replayTimer);
       if (playBtn) playBtn.removeEventListener('click', onPlayPauseClick);
       if (clearBtn) clearBtn.removeEventListener('click', onClearCacheClick);
       const invalidateBtn = slide.querySelector('#cf-invalidate');
       if (invalidateBtn) invalidateBtn.removeEventListener('click', onInvalidateClick);
+      if (transcriptBtn) transcriptBtn.removeEventListener('click', onTranscriptClick);
       canvas.removeEventListener('click', onCanvasClick);
+      canvas.removeEventListener('keydown', onCanvasKeydown);
+      canvas.removeEventListener('focus', onCanvasFocus);
+      canvas.removeEventListener('blur', onCanvasBlur);
       window.removeEventListener('resize', onResize);
+      window.removeEventListener('theme-changed', onThemeChanged);
+      window.removeEventListener('locale-changed', onLocaleChanged);
       resizeObserver.disconnect();
       if (canvas._cfAnimation) delete canvas._cfAnimation;
     }
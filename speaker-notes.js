@@ -0,0 +1,62 @@
+// AWS Security Training - speaker notes
+// Notes convention:
+//   - Fragments (slides/*.html): put talking points in <aside class="notes" lang="vi|en"> inside the slide.
+//     They are stripped before the fragment reaches the audience view.
+//   - Any slide (required for iframe pages): a sidecar file notes/<manifest id>.html using the same asides.
+// Notes without a lang attribute are treated as Vietnamese, the deck's default language.
+// Loaded as a plain <script> in the browser (window.SpeakerNotes) and via require() from the Node scripts.
+(function (root) {
+    const DEFAULT_LANG = 'vi';
+    const ASIDE_PATTERN = /<aside\b([^>]*)>([\s\S]*?)<\/aside>/gi;
+
+    function isNotesAside(attrs) {
+        const classMatch = attrs.match(/\bclass\s*=\s*["']([^"']*)["']/i);
+        return Boolean(classMatch) && classMatch[1].split(/\s+/).includes('notes');
+    }
+
+    function getLang(attrs) {
+        const langMatch = attrs.match(/\blang\s*=\s*["']([^"']+)["']/i);
+        return langMatch ? langMatch[1].toLowerCase().split('-')[0] : DEFAULT_LANG;
+    }
+
+    // Split slide HTML into the audience HTML and the notes per language ({ vi: '<p>…</p>', en: … })
+    function extractSpeakerNotes(html) {
+        const notes = {};
+        const stripped = html.replace(ASIDE_PATTERN, (match, attrs, body) => {
+            if (!isNotesAside(attrs)) return match;
+            const lang = getLang(attrs);
+            notes[lang] = notes[lang] ? `${notes[lang]}\n${body.trim()}` : body.trim();
+            return '';
+        });
+        return { html: stripped, notes };
+    }
+
+    // Combine notes objects; later sources are appended after earlier ones for the same language
+    function mergeSpeakerNotes(...sources) {
+        const merged = {};
+        sources.filter(Boolean).forEach(source => {
+            Object.entries(source).forEach(([lang, body]) => {
+                merged[lang] = merged[lang] ? `${merged[lang]}\n${body}` : body;
+            });
+        });
+        return merged;
+    }
+
+    // Sidecar notes file for a manifest slide entry
+    function getNotesSidecarPath(entry) {
+        return `notes/${entry.id}.html`;
+    }
+
+    const SpeakerNotes = {
+        DEFAULT_LANG,
+        extractSpeakerNotes,
+        mergeSpeakerNotes,
+        getNotesSidecarPath
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SpeakerNotes;
+    } else {
+        root.SpeakerNotes = SpeakerNotes;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,118 @@
+// AWS Security Training - color themes
+// One theme for the whole deck: the shell, fragments, iframe pages and canvas animations all read the
+// design tokens of theme.css (--deck-bg, --deck-text, --deck-blue, ...), which change with
+// <html data-theme="light|dark|contrast">.
+//   - Every page loads this file in <head>, so the theme is set before the first paint. Inside the deck an
+//     iframe page follows the parent deck; standalone it uses ?theme=, then the last choice in localStorage,
+//     then the system preference.
+//   - setTheme() applies a theme to the document and its same-origin frames and fires `theme-changed` on
+//     each window. Other windows of the deck (presenter view) follow through the localStorage `storage` event.
+//   - Canvas code reads colors with readTokens() and redraws on `theme-changed`.
+// Loaded as a plain <script> in the browser (window.DeckTheme) and via require() from the Node scripts.
+(function (root) {
+    const DEFAULT_THEME = 'light';
+    const THEMES = ['light', 'dark', 'contrast'];
+    const STORAGE_KEY = 'aws-security-theme';
+
+    let currentTheme = null;
+
+    function isSupported(theme) {
+        return THEMES.includes(theme);
+    }
+
+    function readStoredTheme() {
+        try {
+            return root.localStorage ? root.localStorage.getItem(STORAGE_KEY) : null;
+        } catch (err) {
+            return null; // storage disabled (private mode, file://)
+        }
+    }
+
+    // The deck around an iframe page, if it is same-origin and themed
+    function getParentTheme() {
+        try {
+            const parent = root.parent;
+            return parent && parent !== root && parent.DeckTheme ? parent.DeckTheme.getTheme() : null;
+        } catch (err) {
+            return null; // cross-origin parent
+        }
+    }
+
+    function resolveTheme(search = root.location ? root.location.search : '') {
+        const fromParent = getParentTheme();
+        if (isSupported(fromParent)) return fromParent;
+        const fromURL = new URLSearchParams(search).get('theme');
+        if (isSupported(fromURL)) return fromURL;
+        const stored = readStoredTheme();
+        if (isSupported(stored)) return stored;
+        const prefersDark = root.matchMedia && root.matchMedia('(prefers-color-scheme: dark)').matches;
+        return prefersDark ? 'dark' : DEFAULT_THEME;
+    }
+
+    function getTheme() {
+        if (!currentTheme) currentTheme = resolveTheme();
+        return currentTheme;
+    }
+
+    // options.persist: remember the choice for the next visit and for the other deck windows
+    function setTheme(theme, { persist = true } = {}) {
+        if (!isSupported(theme)) return false;
+        const changed = theme !== currentTheme;
+        currentTheme = theme;
+        if (persist) {
+            try {
+                if (root.localStorage) root.localStorage.setItem(STORAGE_KEY, theme);
+            } catch (err) {
+                // not persisted; ?theme= still works
+            }
+        }
+        if (root.document) root.document.documentElement.dataset.theme = theme;
+        // Iframe pages and preview frames follow their parent
+        Array.from(root.frames || []).forEach(frame => {
+            try {
+                if (frame.DeckTheme) frame.DeckTheme.setTheme(theme, { persist: false });
+            } catch (err) {
+                // cross-origin frame
+            }
+        });
+        if (changed && root.dispatchEvent && root.CustomEvent) {
+            root.dispatchEvent(new root.CustomEvent('theme-changed', { detail: { theme } }));
+        }
+        return true;
+    }
+
+    // Current values of CSS custom properties, e.g. readTokens(['--deck-bg', '--deck-blue'])
+    // -> { '--deck-bg': '#F9FAFB', '--deck-blue': '#2563EB' }
+    function readTokens(names, element = root.document.documentElement) {
+        const style = root.getComputedStyle(element);
+        const tokens = {};
+        names.forEach(name => {
+            tokens[name] = style.getPropertyValue(name).trim();
+        });
+        return tokens;
+    }
+
+    const DeckTheme = {
+        DEFAULT_THEME,
+        THEMES,
+        STORAGE_KEY,
+        isSupported,
+        resolveTheme,
+        getTheme,
+        setTheme,
+        readTokens
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeckTheme;
+    } else {
+        root.DeckTheme = DeckTheme;
+        // Apply right away (this script runs in <head>) and follow theme changes made in other deck windows
+        setTheme(getTheme(), { persist: false });
+        root.addEventListener('storage', (e) => {
+            if (e.key === STORAGE_KEY && isSupported(e.newValue) && !getParentTheme()) {
+                setTheme(e.newValue, { persist: false });
+            }
+        });
+    }
+})(typeof window !== 'undefined' ? window : this);